@@ -38,7 +38,7 @@ const envOptional = (account && region) ? { env: { account, region } } : {};
 
 const storage = new StorageStack(app, `e2emm-stack-storage-${stage}`, { ...envOptional });
 const notification = new NotificationStack(app, `e2emm-stack-notification-${stage}`, { ...envOptional });
-const messaging = new MessagingStack(app, `e2emm-stack-messaging-${stage}`, { ...envOptional, notificationTopic: notification.topic });
+const messaging = new MessagingStack(app, `e2emm-stack-messaging-${stage}`, { ...envOptional, notificationTopic: notification.topic, table: storage.table });
 
 // SES 受信→S3 保存
 new SesReceiveStack(app, `e2emm-stack-ses-receive-${stage}`, {
@@ -51,6 +51,7 @@ new EmailIngestStack(app, `e2emm-stack-email-ingest-${stage}`, {
   bucket: storage.bucket,
   notificationTopic: notification.topic,
   table: storage.table,
+  inboxTable: storage.inboxTable,
 });
 
 new StateMachineStack(app, `e2emm-stack-statemachine-${stage}`, {
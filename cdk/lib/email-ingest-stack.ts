@@ -6,8 +6,31 @@
  * - env CA_E2E_MONITOR        : 契約アドレス（任意・空可）
  * - env EXPLORER_API_URL      : エクスプローラAPI URL（既定 Polygonscan互換）
  * - env EXPLORER_API_KEY      : エクスプローラAPI Key（任意）
+ * - env E2E_TARGETS           : 監視対象（コントラクト/チェーン/レシート取得先/判定用の受信アドレス・エクスプローラホスト）の一覧(JSON配列。任意。未指定時は下記の単一設定)
+ * - env RECEIPT_PROVIDERS     : レシート取得プロバイダの順序付き一覧(JSON配列。任意。未指定時は RPC_ALCHEMY_URL → EXPLORER_API_URL)
+ * - env RECEIPT_QUORUM        : 一致を要求するプロバイダ数（既定 1）
+ * - env RECEIPT_MAX_ATTEMPTS / RECEIPT_BACKOFF_BASE_MS / RECEIPT_TIMEOUT_MS : 再試行回数 / バックオフ初期値 / プロバイダ毎タイムアウト
+ * - env RECEIPT_BREAKER_THRESHOLD / RECEIPT_BREAKER_COOLDOWN_MS : サーキットブレーク閾値（連続失敗数）/ 遮断時間
+ * - env LOW_BALANCE_THRESHOLD : 残高の下限（任意。下回ると LowBalance メトリクス/アラーム）
+ * - env BALANCE_MATCH_WINDOW_MINUTES : 残高通知を紐付ける実行の時間窓（分、既定 10）
+ * - env BALANCE_MATCH_MIN_SCORE : 残高通知の紐付けに必要な最低スコア（0〜1、既定 0）
+ * - env BALANCE_WALLET_IDS    : 残高通知に記載されるこの監視のウォレット識別子（カンマ区切り。Vault 名など、任意）
+ * - env EMAIL_TIME_SKEW_THRESHOLD_SEC : メール時刻間のずれの許容秒数（既定 300。超過で EmailTimeSkew メトリクス）
+ * - env EXPECTED_SENDER_ADDRESS : E2ePing の想定送信者（pinger）アドレス（任意。設定時のみ sender を検証）
+ * - env VERIFY_EVENT_TAG      : E2ePing の tag をレコードの tagHex32 と照合するか（既定 true。構造化 tag は stage・試行番号等も照合）
+ * - env MAIL_AUTH_MODE        : 受信メール真正性検証のモード（enforce|monitor|off、既定 enforce）
+ * - env MAIL_AUTH_REQUIRED_CHECKS : pass 必須の判定（spam,virus,spf,dkim,dmarc のカンマ区切り、既定 spam,virus,dmarc）
+ * - env ALLOWED_SENDER_DOMAINS : 許可する送信元ドメイン（カンマ区切り、サブドメイン含む。未指定なら制限なし）
+ * - env INBOX_TTL_DAYS        : 処理できなかったメール（inbox テーブル）の保持日数（既定 90）
+ * - env PROCESSED_LEDGER_TTL_DAYS : 処理済みS3オブジェクト台帳の保持日数（既定 30。期間内の再配信は処理しない）
+ * - env CLASSIFICATION_RULES_PARAM : メール分類ルール(JSON)のSSMパラメータ名（任意。未指定時は同梱ルール）
+ * - env MIN_CONFIRMATIONS     : イベント解決に必要な最小確認数（既定 5）
+ * - env CONFIRMATION_WAIT_SEC : 確認数不足時に Lambda 内で待つ最大秒数（既定 20。超過時はエラー終了で非同期リトライ、リトライ後も解決しなければ DLQ）
+ * - env REORG_VERIFY_RATE_MINUTES : reorg-verifier の実行間隔（分、既定 10）
+ * - env REORG_LOOKBACK_MINUTES : reorg-verifier が再検証する作成時刻の範囲（分、既定 180）
+ * - env FINALITY_CONFIRMATIONS : finality=FINAL とみなす確認数（既定 128。以降は再検証しない）
  */
-import { Duration, Stack, StackProps, Tags } from 'aws-cdk-lib';
+import { Duration, RemovalPolicy, Stack, StackProps, Tags } from 'aws-cdk-lib';
 import { Construct } from 'constructs';
 import { Bucket } from 'aws-cdk-lib/aws-s3';
 import { Topic } from 'aws-cdk-lib/aws-sns';
@@ -15,20 +38,24 @@ import { Runtime, Tracing } from 'aws-cdk-lib/aws-lambda';
 import { NodejsFunction } from 'aws-cdk-lib/aws-lambda-nodejs';
 import { Table } from 'aws-cdk-lib/aws-dynamodb';
 import { join } from 'path';
-import { Rule } from 'aws-cdk-lib/aws-events';
+import { Rule, Schedule } from 'aws-cdk-lib/aws-events';
 import { LambdaFunction as LambdaTarget } from 'aws-cdk-lib/aws-events-targets';
 import { LogGroup, RetentionDays } from 'aws-cdk-lib/aws-logs';
-import { Alarm, ComparisonOperator, Metric } from 'aws-cdk-lib/aws-cloudwatch';
+import { Alarm, ComparisonOperator, Metric, TreatMissingData } from 'aws-cdk-lib/aws-cloudwatch';
 import { SnsAction } from 'aws-cdk-lib/aws-cloudwatch-actions';
+import { PolicyStatement } from 'aws-cdk-lib/aws-iam';
+import { Queue } from 'aws-cdk-lib/aws-sqs';
 
 export interface EmailIngestStackProps extends StackProps {
   bucket: Bucket;
   notificationTopic: Topic;
   table: Table;
+  inboxTable: Table;
 }
 
 export class EmailIngestStack extends Stack {
   public readonly parserFn: NodejsFunction;
+  public readonly reorgVerifierFn: NodejsFunction;
 
   constructor(scope: Construct, id: string, props: EmailIngestStackProps) {
     super(scope, id, props);
@@ -36,6 +63,29 @@ export class EmailIngestStack extends Stack {
     const stage = this.node.tryGetContext('stage') ?? process.env.STAGE ?? 'dev';
     // X-Ray Tracing設定（環境変数で制御、デフォルトは有効）
     const enableXRayTracing = process.env.ENABLE_XRAY_TRACING !== 'false';
+    // レシート取得プロバイダ設定（email-ingest / reorg-verifier で共有）
+    // E2E_TARGETS はターゲットごとのコントラクト・レシート取得先を含む
+    const receiptEnv = {
+      E2E_TARGETS: process.env.E2E_TARGETS || '',
+      EXPLORER_API_URL: process.env.EXPLORER_API_URL || 'https://api-amoy.polygonscan.com/api',
+      EXPLORER_API_KEY: process.env.EXPLORER_API_KEY || '',
+      RPC_ALCHEMY_URL: process.env.RPC_ALCHEMY_URL || '',
+      RPC_ALCHEMY_APIKEY: process.env.RPC_ALCHEMY_APIKEY || '',
+      RECEIPT_PROVIDERS: process.env.RECEIPT_PROVIDERS || '',
+      RECEIPT_QUORUM: process.env.RECEIPT_QUORUM || '1',
+      RECEIPT_MAX_ATTEMPTS: process.env.RECEIPT_MAX_ATTEMPTS || '4',
+      RECEIPT_BACKOFF_BASE_MS: process.env.RECEIPT_BACKOFF_BASE_MS || '1000',
+      RECEIPT_TIMEOUT_MS: process.env.RECEIPT_TIMEOUT_MS || '5000',
+      RECEIPT_BREAKER_THRESHOLD: process.env.RECEIPT_BREAKER_THRESHOLD || '3',
+      RECEIPT_BREAKER_COOLDOWN_MS: process.env.RECEIPT_BREAKER_COOLDOWN_MS || '60000',
+    };
+    // 確認数不足・時間切れのまま非同期リトライを使い切ったイベント（と EventBridge から配信できなかったイベント）の退避先
+    // メッセージ本文は元の S3 イベントのため、確認後にそのまま email-ingest を呼び出して再処理できる
+    const ingestDlq = new Queue(this, 'EmailIngestDlq', {
+      queueName: `e2emm-email-ingest-dlq-${stage}`,
+      retentionPeriod: Duration.days(14),
+      removalPolicy: RemovalPolicy.DESTROY,
+    });
     this.parserFn = new NodejsFunction(this, 'EmailParserFn', {
       runtime: Runtime.NODEJS_20_X,
       entry: join(__dirname, '../../src/lambda/email-ingest/index.js'),
@@ -43,23 +93,45 @@ export class EmailIngestStack extends Stack {
       functionName: `e2emm-email-ingest-${stage}`,
       timeout: Duration.seconds(60),
       memorySize: 512,
+      // 非同期呼び出し（EventBridge）のエラー終了時のリトライ。使い切ったら DLQ へ
+      retryAttempts: 2,
+      maxEventAge: Duration.hours(1),
+      deadLetterQueue: ingestDlq,
       tracing: enableXRayTracing ? Tracing.ACTIVE : Tracing.DISABLED,
       bundling: {
         minify: true,
         externalModules: ['aws-sdk'],
         nodeModules: [
           '@aws-sdk/client-s3',
+          '@aws-sdk/client-ssm',
           '@aws-sdk/client-dynamodb',
           '@aws-sdk/lib-dynamodb'
         ],
       },
       environment: {
         RESULTS_TABLE: props.table.tableName,
+        // リプレイ（{ replay: {...} } での手動呼び出し）の既定バケット
+        EMAIL_BUCKET: props.bucket.bucketName,
+        INBOX_TABLE: props.inboxTable.tableName,
+        INBOX_TTL_DAYS: process.env.INBOX_TTL_DAYS || '90',
+        PROCESSED_LEDGER_TTL_DAYS: process.env.PROCESSED_LEDGER_TTL_DAYS || '30',
         CONTRACT_ADDRESS: process.env.CA_E2E_MONITOR || '',
-        EXPLORER_API_URL: process.env.EXPLORER_API_URL || 'https://api-amoy.polygonscan.com/api',
-        EXPLORER_API_KEY: process.env.EXPLORER_API_KEY || '',
-        RPC_ALCHEMY_URL: process.env.RPC_ALCHEMY_URL || '',
-        RPC_ALCHEMY_APIKEY: process.env.RPC_ALCHEMY_APIKEY || '',
+        ...receiptEnv,
+        MIN_CONFIRMATIONS: process.env.MIN_CONFIRMATIONS || '5',
+        CONFIRMATION_WAIT_SEC: process.env.CONFIRMATION_WAIT_SEC || '20',
+        CLASSIFICATION_RULES_PARAM: process.env.CLASSIFICATION_RULES_PARAM || '',
+        LOW_BALANCE_THRESHOLD: process.env.LOW_BALANCE_THRESHOLD || '',
+        BALANCE_MATCH_WINDOW_MINUTES: process.env.BALANCE_MATCH_WINDOW_MINUTES || '10',
+        BALANCE_MATCH_MIN_SCORE: process.env.BALANCE_MATCH_MIN_SCORE || '0',
+        BALANCE_WALLET_IDS: process.env.BALANCE_WALLET_IDS || '',
+        EMAIL_TIME_SKEW_THRESHOLD_SEC: process.env.EMAIL_TIME_SKEW_THRESHOLD_SEC || '300',
+        EXPECTED_SENDER_ADDRESS: process.env.EXPECTED_SENDER_ADDRESS || '',
+        VERIFY_EVENT_TAG: process.env.VERIFY_EVENT_TAG || 'true',
+        // 構造化 tag の stage と照合する環境名
+        STAGE: stage,
+        MAIL_AUTH_MODE: process.env.MAIL_AUTH_MODE || 'enforce',
+        MAIL_AUTH_REQUIRED_CHECKS: process.env.MAIL_AUTH_REQUIRED_CHECKS || 'spam,virus,dmarc',
+        ALLOWED_SENDER_DOMAINS: process.env.ALLOWED_SENDER_DOMAINS || '',
       },
     });
 
@@ -78,13 +150,32 @@ export class EmailIngestStack extends Stack {
         },
       },
     });
-    s3ObjectCreatedRule.addTarget(new LambdaTarget(this.parserFn));
+    s3ObjectCreatedRule.addTarget(new LambdaTarget(this.parserFn, {
+      retryAttempts: 4,
+      maxEventAge: Duration.hours(2),
+      deadLetterQueue: ingestDlq,
+    }));
 
+    // GetObject に加え、リプレイ時の ListBucket も含む
     props.bucket.grantRead(this.parserFn);
     // Query を実行するため Read 権限（GSI 含む）を付与
     props.table.grantReadData(this.parserFn);
     props.table.grantWriteData(this.parserFn);
+    props.inboxTable.grantWriteData(this.parserFn);
     props.notificationTopic.grantPublish(this.parserFn);
+    // 分類ルールを SSM から読み込む場合のみ、そのパラメータに限って参照権限を付与
+    // ARN はパラメータ名の先頭の '/' を除いて組み立てる（parameter/<name>）
+    const classificationRulesParam = process.env.CLASSIFICATION_RULES_PARAM;
+    if (classificationRulesParam) {
+      this.parserFn.addToRolePolicy(new PolicyStatement({
+        actions: ['ssm:GetParameter'],
+        resources: [this.formatArn({
+          service: 'ssm',
+          resource: 'parameter',
+          resourceName: classificationRulesParam.replace(/^\//, ''),
+        })],
+      }));
+    }
 
     // 失敗メトリクス（EMF）に対するアラーム（カスタム名前空間は Metric で作成）
     const failuresMetric = new Metric({
@@ -124,6 +215,138 @@ export class EmailIngestStack extends Stack {
     softMissAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
     Tags.of(softMissAlarm).add('severity', 'INFO');
 
+    // Rejected は真正性検証（SES判定/SPF・DKIM・DMARC/送信元ドメイン）で不合格となったメール
+    const rejectedMetric = new Metric({
+      namespace: 'E2E/EmailIngest',
+      metricName: 'Rejected',
+      statistic: 'sum',
+      period: Duration.minutes(5),
+      dimensionsMap: { FunctionName: this.parserFn.functionName },
+    });
+    const rejectedAlarm = new Alarm(this, 'EmailIngestRejectedAlarm', {
+      metric: rejectedMetric,
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: TreatMissingData.NOT_BREACHING,
+      alarmName: `${this.parserFn.functionName}--WARN--rejected`,
+      alarmDescription: 'severity=WARN: EmailIngest Rejected (spoofed/unauthenticated mail) >= 1 (5m sum).',
+    });
+    rejectedAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+    Tags.of(rejectedAlarm).add('severity', 'WARN');
+
+    // DoubleSend は1つの correlationId に対して別 tx のイベントが届いた場合（tx-sender の二重送信）に出力
+    const doubleSendMetric = new Metric({
+      namespace: 'E2E/EmailIngest',
+      metricName: 'DoubleSend',
+      statistic: 'sum',
+      period: Duration.minutes(5),
+      dimensionsMap: { FunctionName: this.parserFn.functionName },
+    });
+    const doubleSendAlarm = new Alarm(this, 'EmailIngestDoubleSendAlarm', {
+      metric: doubleSendMetric,
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: TreatMissingData.NOT_BREACHING,
+      alarmName: `${this.parserFn.functionName}--WARN--double-send`,
+      alarmDescription: 'severity=WARN: More than one ping tx sent for a correlationId >= 1 (5m sum).',
+    });
+    doubleSendAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+    Tags.of(doubleSendAlarm).add('severity', 'WARN');
+
+    // LowBalance は残高通知メールの残高が LOW_BALANCE_THRESHOLD を下回った場合に出力
+    const lowBalanceMetric = new Metric({
+      namespace: 'E2E/EmailIngest',
+      metricName: 'LowBalance',
+      statistic: 'sum',
+      period: Duration.minutes(5),
+      dimensionsMap: { FunctionName: this.parserFn.functionName },
+    });
+    const lowBalanceAlarm = new Alarm(this, 'EmailIngestLowBalanceAlarm', {
+      metric: lowBalanceMetric,
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: TreatMissingData.NOT_BREACHING,
+      alarmName: `${this.parserFn.functionName}--WARN--low-balance`,
+      alarmDescription: 'severity=WARN: Wallet balance below LOW_BALANCE_THRESHOLD (5m sum).',
+    });
+    lowBalanceAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+    Tags.of(lowBalanceAlarm).add('severity', 'WARN');
+
+    // reorg-verifier: 解決済みレコードのブロックハッシュを定期的に再検証し、reorg で消えた tx のレコードを差し戻す
+    this.reorgVerifierFn = new NodejsFunction(this, 'ReorgVerifierFn', {
+      runtime: Runtime.NODEJS_20_X,
+      entry: join(__dirname, '../../src/lambda/reorg-verifier/index.js'),
+      handler: 'handler',
+      functionName: `e2emm-reorg-verifier-${stage}`,
+      timeout: Duration.seconds(120),
+      memorySize: 256,
+      tracing: enableXRayTracing ? Tracing.ACTIVE : Tracing.DISABLED,
+      bundling: {
+        minify: true,
+        externalModules: ['aws-sdk'],
+        nodeModules: ['@aws-sdk/client-dynamodb', '@aws-sdk/lib-dynamodb'],
+      },
+      environment: {
+        RESULTS_TABLE: props.table.tableName,
+        ...receiptEnv,
+        REORG_LOOKBACK_MINUTES: process.env.REORG_LOOKBACK_MINUTES || '180',
+        FINALITY_CONFIRMATIONS: process.env.FINALITY_CONFIRMATIONS || '128',
+      },
+    });
+    new LogGroup(this, 'ReorgVerifierLogGroup', {
+      logGroupName: `/aws/lambda/${this.reorgVerifierFn.functionName}`,
+      retention: RetentionDays.ONE_YEAR,
+    });
+    props.table.grantReadWriteData(this.reorgVerifierFn);
+    const reorgVerifyRule = new Rule(this, 'ReorgVerifySchedule', {
+      schedule: Schedule.rate(Duration.minutes(Number(process.env.REORG_VERIFY_RATE_MINUTES || 10))),
+    });
+    reorgVerifyRule.addTarget(new LambdaTarget(this.reorgVerifierFn));
+
+    // Reorged は解決済みレコードの tx が reorg で消えた/revert に変化した場合（差し戻し）に出力
+    // 別ブロックへの再取り込み（tx は有効）は ReorgMoved として別に出力し、アラームの対象にしない
+    const reorgedMetric = new Metric({
+      namespace: 'E2E/EmailIngest',
+      metricName: 'Reorged',
+      statistic: 'sum',
+      period: Duration.minutes(5),
+      dimensionsMap: { FunctionName: this.reorgVerifierFn.functionName },
+    });
+    const reorgedAlarm = new Alarm(this, 'ReorgVerifierReorgedAlarm', {
+      metric: reorgedMetric,
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: TreatMissingData.NOT_BREACHING,
+      alarmName: `${this.reorgVerifierFn.functionName}--WARN--reorged`,
+      alarmDescription: 'severity=WARN: Resolved E2E record affected by chain reorg >= 1 (5m sum).',
+    });
+    reorgedAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+    Tags.of(reorgedAlarm).add('severity', 'WARN');
+
+    // DLQ visible messages >= 1（処理されないまま退避したメール）
+    const ingestDlqVisibleMetric = new Metric({
+      namespace: 'AWS/SQS',
+      metricName: 'ApproximateNumberOfMessagesVisible',
+      dimensionsMap: { QueueName: ingestDlq.queueName },
+      period: Duration.minutes(5),
+      statistic: 'max',
+    });
+    const ingestDlqAlarm = new Alarm(this, 'EmailIngestDlqMessagesVisibleAlarm', {
+      metric: ingestDlqVisibleMetric,
+      threshold: 1,
+      evaluationPeriods: 1,
+      comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: TreatMissingData.NOT_BREACHING,
+      alarmName: `${ingestDlq.queueName}--WARN--dlq-messages-visible`,
+      alarmDescription: 'severity=WARN: EmailIngest DLQ ApproximateNumberOfMessagesVisible >= 1 (5m max).',
+    });
+    ingestDlqAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+    Tags.of(ingestDlqAlarm).add('severity', 'WARN');
+
     // Lambda Errors (backup alarm in case EMF path misses)
     const lambdaErrorsMetric = new Metric({
       namespace: 'AWS/Lambda',
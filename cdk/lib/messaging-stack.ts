@@ -4,6 +4,13 @@
  * 本スタックで参照される設定:
  * - context 'stage'（dev|stg|prod）: SQS/Lambda 名称サフィックス
  * - env SSM_PREFIX: Lambda 環境変数で参照（既定 /E2E-module/）
+ * - env E2E_TARGETS: 監視対象の一覧（JSON配列。任意）。tx-sender がメッセージの targetId で chainId/RPC/コントラクト/Vault を選ぶ
+ * - env TX_MAX_FEE_GWEI / TX_MAX_PRIORITY_FEE_GWEI / TX_MIN_PRIORITY_FEE_GWEI / TX_FEE_BUMP_PERCENT /
+ *       TX_REPLACE_AFTER_SEC / TX_MAX_REPLACEMENTS / TX_WAIT_DEADLINE_SEC: tx-sender の手数料上限・置き換え・採掘待ち
+ * - env SIGNER_BACKEND（fireblocks|private-key|json-rpc、既定 fireblocks）/ SIGNER_ADDRESS: tx-sender の署名バックエンド
+ * - env TX_SENDER_RESERVED_CONCURRENCY: tx-sender の予約同時実行数（任意。1 で送信アカウントの nonce 競合を防ぐ）
+ * - env PREFLIGHT_CHECKS / PREFLIGHT_MIN_BALANCE: tx-sender の送信前チェック（チェーン ID・SENDER_ROLE・estimateGas・残高）
+ * - props.table: 結果テーブル（任意）。指定時は tx-sender が送信結果（txStatus / txHash 等）をレコードへ記録する
  */
 import { Stack, StackProps, Duration, RemovalPolicy, Tags } from 'aws-cdk-lib';
 import { Construct } from 'constructs';
@@ -18,9 +25,11 @@ import { RetentionDays } from 'aws-cdk-lib/aws-logs';
 import { Alarm, ComparisonOperator, Metric, TreatMissingData } from 'aws-cdk-lib/aws-cloudwatch';
 import { SnsAction } from 'aws-cdk-lib/aws-cloudwatch-actions';
 import { Topic } from 'aws-cdk-lib/aws-sns';
+import { Table } from 'aws-cdk-lib/aws-dynamodb';
 
 export interface MessagingStackProps extends StackProps {
   notificationTopic?: Topic;
+  table?: Table;
 }
 
 export class MessagingStack extends Stack {
@@ -56,11 +65,29 @@ export class MessagingStack extends Stack {
       timeout: Duration.seconds(180),
       tracing: enableXRayTracing ? Tracing.ACTIVE : Tracing.DISABLED,
       logRetention: RetentionDays.ONE_YEAR,
+      // 同時実行を絞ると並行実行間の nonce 競合が起きない（未指定時は制限なし。競合は送信時に検出して解消）
+      reservedConcurrentExecutions: process.env.TX_SENDER_RESERVED_CONCURRENCY
+        ? Number(process.env.TX_SENDER_RESERVED_CONCURRENCY)
+        : undefined,
       bundling: { minify: true, externalModules: ['aws-sdk'] },
       environment: {
         SSM_PREFIX: '/E2E-module/',
         RPC_URL: process.env.RPC_URL || '',
         CHAIN_ID: process.env.CHAIN_ID || '',
+        E2E_TARGETS: process.env.E2E_TARGETS || '',
+        TX_MAX_FEE_GWEI: process.env.TX_MAX_FEE_GWEI || '500',
+        TX_MAX_PRIORITY_FEE_GWEI: process.env.TX_MAX_PRIORITY_FEE_GWEI || '100',
+        TX_MIN_PRIORITY_FEE_GWEI: process.env.TX_MIN_PRIORITY_FEE_GWEI || '30',
+        TX_FEE_BUMP_PERCENT: process.env.TX_FEE_BUMP_PERCENT || '20',
+        TX_REPLACE_AFTER_SEC: process.env.TX_REPLACE_AFTER_SEC || '30',
+        TX_MAX_REPLACEMENTS: process.env.TX_MAX_REPLACEMENTS || '3',
+        // Lambda タイムアウト（180秒）内に結果を返す
+        TX_WAIT_DEADLINE_SEC: process.env.TX_WAIT_DEADLINE_SEC || '150',
+        SIGNER_BACKEND: process.env.SIGNER_BACKEND || 'fireblocks',
+        SIGNER_ADDRESS: process.env.SIGNER_ADDRESS || '',
+        PREFLIGHT_CHECKS: process.env.PREFLIGHT_CHECKS ?? 'chainId,role,estimateGas,balance',
+        PREFLIGHT_MIN_BALANCE: process.env.PREFLIGHT_MIN_BALANCE || '0',
+        RESULTS_TABLE: props?.table?.tableName ?? '',
       },
     });
 
@@ -70,6 +97,11 @@ export class MessagingStack extends Stack {
       reportBatchItemFailures: true,
     }));
 
+    // 送信結果をレコードへ記録（GSI_CorrelationIdHex の逆引き + UpdateItem）
+    if (props?.table) {
+      props.table.grantReadWriteData(this.txSenderFn);
+    }
+
     // 最小権限: SSM 参照
     this.txSenderFn.addToRolePolicy(new PolicyStatement({
       actions: ['ssm:GetParameter'],
@@ -118,6 +150,94 @@ export class MessagingStack extends Stack {
       throttlesAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
       Tags.of(throttlesAlarm).add('severity', 'WARN');
 
+      // 採掘待ちを打ち切った時点で未採掘の tx（nonce を塞いでいる可能性）
+      const txPendingMetric = new Metric({
+        namespace: 'E2E/TxSender',
+        metricName: 'TxOutcome',
+        dimensionsMap: { FunctionName: this.txSenderFn.functionName, Outcome: 'pending' },
+        period: Duration.minutes(5),
+        statistic: 'sum',
+      });
+      const txPendingAlarm = new Alarm(this, 'TxSenderPendingAlarm', {
+        metric: txPendingMetric,
+        threshold: 1,
+        evaluationPeriods: 1,
+        comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+        treatMissingData: TreatMissingData.NOT_BREACHING,
+        alarmName: `${this.txSenderFn.functionName}--WARN--tx-pending`,
+        alarmDescription: 'severity=WARN: Ping tx not mined by TX_WAIT_DEADLINE_SEC even after fee bumps >= 1 (5m sum).',
+      });
+      txPendingAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+      Tags.of(txPendingAlarm).add('severity', 'WARN');
+
+      // 再試行しない分類（残高不足・SENDER_ROLE 無し・Fireblocks のポリシー拒否等）で破棄したメッセージ
+      const txDiscardedMetric = new Metric({
+        namespace: 'E2E/TxSender',
+        metricName: 'TxDiscarded',
+        dimensionsMap: { FunctionName: this.txSenderFn.functionName },
+        period: Duration.minutes(5),
+        statistic: 'sum',
+      });
+      const txDiscardedAlarm = new Alarm(this, 'TxSenderDiscardedAlarm', {
+        metric: txDiscardedMetric,
+        threshold: 1,
+        evaluationPeriods: 1,
+        comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+        treatMissingData: TreatMissingData.NOT_BREACHING,
+        alarmName: `${this.txSenderFn.functionName}--WARN--tx-discarded`,
+        alarmDescription: 'severity=WARN: Messages failed with a non-retryable error class >= 1 (5m sum). See TxErrors by ErrorClass.',
+      });
+      txDiscardedAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+      Tags.of(txDiscardedAlarm).add('severity', 'WARN');
+
+      // ping の nonce 引数（イベントの nonce）と tx の nonce の不一致（Fireblocks が nonce を割り当てた）
+      const txNonceMismatchMetric = new Metric({
+        namespace: 'E2E/TxSender',
+        metricName: 'TxNonceMismatch',
+        dimensionsMap: { FunctionName: this.txSenderFn.functionName },
+        period: Duration.minutes(5),
+        statistic: 'sum',
+      });
+      const txNonceMismatchAlarm = new Alarm(this, 'TxSenderNonceMismatchAlarm', {
+        metric: txNonceMismatchMetric,
+        threshold: 1,
+        evaluationPeriods: 1,
+        comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+        treatMissingData: TreatMissingData.NOT_BREACHING,
+        alarmName: `${this.txSenderFn.functionName}--WARN--tx-nonce-mismatch`,
+        alarmDescription: 'severity=WARN: E2ePing nonce argument differs from the tx nonce >= 1 (5m sum). See txNonceMismatch / pingNonce on the record.',
+      });
+      txNonceMismatchAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+      Tags.of(txNonceMismatchAlarm).add('severity', 'WARN');
+
+      // 送信前チェックの失敗（原因ごと。送信アカウントのロール剥奪・残高不足・チェーン設定違い等）
+      const preflightAlarms: Array<[string, string, string]> = [
+        ['PreflightNoRole', 'preflight-no-role', 'Sender lacks SENDER_ROLE on E2eMonitor'],
+        ['PreflightLowBalance', 'preflight-low-balance', 'Sender balance below PREFLIGHT_MIN_BALANCE / estimated gas cost'],
+        ['PreflightChainMismatch', 'preflight-chain-mismatch', 'RPC chain id differs from configured CHAIN_ID'],
+        ['PreflightEstimateFailed', 'preflight-estimate-failed', 'ping gas estimation reverted'],
+      ];
+      for (const [metricName, suffix, reason] of preflightAlarms) {
+        const preflightMetric = new Metric({
+          namespace: 'E2E/TxSender',
+          metricName,
+          dimensionsMap: { FunctionName: this.txSenderFn.functionName },
+          period: Duration.minutes(5),
+          statistic: 'sum',
+        });
+        const preflightAlarm = new Alarm(this, `TxSender${metricName}Alarm`, {
+          metric: preflightMetric,
+          threshold: 1,
+          evaluationPeriods: 1,
+          comparisonOperator: ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+          treatMissingData: TreatMissingData.NOT_BREACHING,
+          alarmName: `${this.txSenderFn.functionName}--WARN--${suffix}`,
+          alarmDescription: `severity=WARN: ${reason} (${metricName} >= 1, 5m sum).`,
+        });
+        preflightAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+        Tags.of(preflightAlarm).add('severity', 'WARN');
+      }
+
       // DLQ visible messages >= 1
       const dlqVisibleMetric = new Metric({
         namespace: 'AWS/SQS',
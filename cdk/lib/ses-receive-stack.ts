@@ -44,6 +44,8 @@ export class SesReceiveStack extends Stack {
       ruleName: `e2emm-rule-${stage}`,
       enabled: true,
       recipients: Array.isArray(recipients) && recipients.length > 0 ? recipients : undefined,
+      // スパム/ウイルス判定ヘッダ（X-SES-Spam-Verdict 等）を付与。email-ingest の真正性検証で使用
+      scanEnabled: true,
       actions: [
         new S3({
           bucket: props.bucket,
@@ -3,6 +3,8 @@
  *
  * 本スタックで参照される設定:
  * - context 'stage'（dev|stg|prod）: ステートマシン名サフィックス
+ * - env E2E_TARGETS: 監視対象の一覧（JSON配列。任意）。ターゲットごとにスケジュールを作成し、実行入力の targetId で対象を区別
+ * - env CORRELATION_ENCODING / TAG_ENCODING: prepare-message が組成する correlationIdHex32 / tagHex32 の形式（v1|legacy、既定 v1）
  * - EventBridge ルールは論理名のみ（必要に応じて ruleName 付与可）
  */
 import { Duration, Stack, StackProps } from 'aws-cdk-lib';
@@ -29,6 +31,22 @@ export interface StateMachineStackProps extends StackProps {
   notificationTopic: Topic;
 }
 
+/**
+ * E2E_TARGETS（JSON配列）からターゲットIDを取り出す（未設定時は 'default' の1件。Lambda 側の common/targets.js と同じ規則）
+ */
+function parseTargetIds(raw: string | undefined): string[] {
+  if (!raw) return ['default'];
+  const list = JSON.parse(raw);
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('E2E_TARGETS must be a non-empty JSON array');
+  }
+  return list.map((t: { id?: unknown }, i: number) => {
+    const id = String(t && t.id ? t.id : '');
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) throw new Error(`E2E_TARGETS #${i} has invalid "id": ${id}`);
+    return id;
+  });
+}
+
 /**
  * EVENT_RATE_MINUTESの値に基づいてcron式を生成
  * 例: 15分 → 毎時00分、15分、30分、45分
@@ -81,13 +99,24 @@ export class StateMachineStack extends Stack {
       : 3;
     const defaultTimeoutMinutes = 5 * totalAttemptsDefault + 1;
     const machineName = `e2emm-state-machine-${stage}`;
+    // 監視対象（先頭が既定。入力に targetId が無い手動実行は既定ターゲット）
+    const targetIds = parseTargetIds(process.env.E2E_TARGETS);
+    const targetsEnv = { E2E_TARGETS: process.env.E2E_TARGETS || '' };
 
     // Attempts configuration
     const totalAttempts = totalAttemptsDefault; // default 3 attempts (1 means no retry)
 
+    // Select target (fallback to the default target when input has no targetId)
+    const setDefaultTarget = new Pass(this, 'SetDefaultTarget', {
+      parameters: {
+        targetId: targetIds[0],
+      },
+    });
+
     // Initialize attempts/poll counter
     const initAttempts = new Pass(this, 'InitAttempts', {
       parameters: {
+        targetId: JsonPath.stringAt('$.targetId'),
         attempt: 1,
         totalAttempts,
         pollCount: 0,
@@ -97,6 +126,7 @@ export class StateMachineStack extends Stack {
 
     const resetPollCount = new Pass(this, 'ResetPollCount', {
       parameters: {
+        targetId: JsonPath.stringAt('$.targetId'),
         attempt: JsonPath.stringAt('$.attempt'),
         totalAttempts,
         pollCount: 0,
@@ -107,6 +137,7 @@ export class StateMachineStack extends Stack {
     const generateCorrelationId = new Pass(this, 'GenerateCorrelationId', {
       parameters: {
         correlationId: JsonPath.uuid(),
+        targetId: JsonPath.stringAt('$.targetId'),
         attempt: JsonPath.stringAt('$.attempt'),
         totalAttempts,
         pollCount: 0,
@@ -136,6 +167,12 @@ export class StateMachineStack extends Stack {
       lambdaFunction: initRecordFn,
       payload: TaskInput.fromObject({
         correlationId: JsonPath.stringAt('$.correlationId'),
+        // コントラクトに送る correlationId（bytes32）。旧形式（SHA-256）のイベントは email-ingest が GSI_CorrelationIdHex で逆引きする
+        correlationIdHex: JsonPath.stringAt('$.prep.correlationIdHex32'),
+        // prepare-message が組成した tag を記録（email-ingest でイベントの tag と照合）
+        tagHex32: JsonPath.stringAt('$.prep.tagHex32'),
+        // prepare-message が検証した監視対象（email-ingest がメールのターゲットと照合）
+        targetId: JsonPath.stringAt('$.prep.targetId'),
         attempt: JsonPath.stringAt('$.attempt'),
         totalAttempts: JsonPath.stringAt('$.totalAttempts'),
       }),
@@ -151,6 +188,14 @@ export class StateMachineStack extends Stack {
       memorySize: 256,
       timeout: Duration.seconds(10),
       tracing: enableXRayTracing ? Tracing.ACTIVE : Tracing.DISABLED,
+      // CORRELATION_ENCODING / TAG_ENCODING: correlationIdHex32 / tagHex32 の形式（v1 = 可逆・構造化形式、legacy = 旧来の SHA-256。移行時の切り戻し用）
+      // STAGE: tag に詰める環境名
+      environment: {
+        ...targetsEnv,
+        CORRELATION_ENCODING: process.env.CORRELATION_ENCODING || 'v1',
+        TAG_ENCODING: process.env.TAG_ENCODING || 'v1',
+        STAGE: stage,
+      },
       bundling: { minify: true, externalModules: ['aws-sdk'] },
     });
 
@@ -159,6 +204,12 @@ export class StateMachineStack extends Stack {
       payload: TaskInput.fromObject({
         correlationId: JsonPath.stringAt('$.correlationId'),
         tagSeed: JsonPath.stringAt('$.tagSeed'),
+        targetId: JsonPath.stringAt('$.targetId'),
+        // correlationIdHex32 / tagHex32 に試行番号を埋め込む
+        attempt: JsonPath.stringAt('$.attempt'),
+        // tagHex32 に総試行数と実行名（末尾 8 文字）を埋め込む
+        totalAttempts: JsonPath.stringAt('$.totalAttempts'),
+        executionId: JsonPath.executionName,
       }),
       resultPath: '$.prep',
       payloadResponseOnly: true,
@@ -167,9 +218,10 @@ export class StateMachineStack extends Stack {
     // Ensure tagSeed exists (fallback to default when missing)
     const setDefaultTagSeed = new Pass(this, 'SetDefaultTagSeed', {
       parameters: {
-        // Use attempt number as tag seed ("1", "2", ...)
+        // Use attempt number as tag seed ("1", "2", ...). Only used when TAG_ENCODING=legacy
         tagSeed: JsonPath.stringAt('$.attempt'),
         correlationId: JsonPath.stringAt('$.correlationId'),
+        targetId: JsonPath.stringAt('$.targetId'),
         attempt: JsonPath.stringAt('$.attempt'),
         totalAttempts,
         pollCount: JsonPath.stringAt('$.pollCount'),
@@ -183,6 +235,7 @@ export class StateMachineStack extends Stack {
         correlationId: JsonPath.stringAt('$.correlationId'),  // 元のUUID形式を保持
         correlationIdHex32: JsonPath.stringAt('$.prep.correlationIdHex32'),  // hex形式は別変数に
         messageBody: JsonPath.stringAt('$.prep.messageBody'),
+        targetId: JsonPath.stringAt('$.targetId'),
         attempt: JsonPath.stringAt('$.attempt'),
         totalAttempts,
         pollCount: JsonPath.stringAt('$.pollCount'),
@@ -249,6 +302,7 @@ export class StateMachineStack extends Stack {
     const incAttempt = new Pass(this, 'IncrementAttempt', {
       parameters: {
         'attempt.$': 'States.MathAdd($.attempt, 1)',
+        'targetId.$': '$.targetId',
         totalAttempts,
         // preserve pollCount for EmitFinalFailedMetric dimensions
         'pollCount.$': '$.pollCount',
@@ -277,6 +331,7 @@ export class StateMachineStack extends Stack {
             Unit: 'Count',
             Value: 1,
             Dimensions: [
+              { Name: 'Target', Value: JsonPath.stringAt('$.targetId') },
               { Name: 'Attempt', Value: JsonPath.format('{}', JsonPath.stringAt('$.attempt')) },
               { Name: 'TotalAttempts', Value: JsonPath.format('{}', JsonPath.stringAt('$.totalAttempts')) },
               { Name: 'PollCount', Value: JsonPath.format('{}', JsonPath.stringAt('$.pollCount')) },
@@ -311,6 +366,17 @@ export class StateMachineStack extends Stack {
               { Name: 'StateMachineName', Value: machineName },
             ],
           },
+          {
+            // ターゲット別（複数ターゲット時のアラームに使用）
+            MetricName: 'FinalFailed',
+            Unit: 'Count',
+            Value: 1,
+            Dimensions: [
+              { Name: 'Stage', Value: stage },
+              { Name: 'StateMachineName', Value: machineName },
+              { Name: 'Target', Value: JsonPath.stringAt('$.targetId') },
+            ],
+          },
           {
             MetricName: 'FinalFailedInfo',
             Unit: 'Count',
@@ -318,6 +384,7 @@ export class StateMachineStack extends Stack {
             Dimensions: [
               { Name: 'Stage', Value: stage },
               { Name: 'StateMachineName', Value: machineName },
+              { Name: 'Target', Value: JsonPath.stringAt('$.targetId') },
               { Name: 'Attempt', Value: JsonPath.format('{}', JsonPath.stringAt('$.attempt')) },
               { Name: 'TotalAttempts', Value: JsonPath.format('{}', JsonPath.stringAt('$.totalAttempts')) },
               { Name: 'PollCount', Value: JsonPath.format('{}', JsonPath.stringAt('$.pollCount')) },
@@ -339,6 +406,7 @@ export class StateMachineStack extends Stack {
         attempt: JsonPath.stringAt('$.attempt'),
         totalAttempts,
         correlationId: JsonPath.stringAt('$.correlationId'),
+        targetId: JsonPath.stringAt('$.targetId'),
         messageBody: JsonPath.stringAt('$.messageBody'),
       },
     });
@@ -377,6 +445,16 @@ export class StateMachineStack extends Stack {
               { Name: 'StateMachineName', Value: machineName },
             ],
           },
+          {
+            MetricName: 'Success',
+            Unit: 'Count',
+            Value: 1,
+            Dimensions: [
+              { Name: 'Stage', Value: stage },
+              { Name: 'StateMachineName', Value: machineName },
+              { Name: 'Target', Value: JsonPath.stringAt('$.targetId') },
+            ],
+          },
         ],
       },
       iamResources: ['*'],
@@ -444,19 +522,23 @@ export class StateMachineStack extends Stack {
       iamResources: ['*'],
       resultPath: JsonPath.DISCARD,
     });
+    initAttempts
+      .next(emitHeartbeatMetric)
+      .next(generateCorrelationId)
+      .next(setDefaultTagSeed)
+      .next(prepareMessage)
+      .next(initializeRecord)      // ← 初期レコード作成（prepare-message の tagHex32 を保存）
+      .next(adoptPreparedValues)
+      .next(sendMessage)
+      .next(waitStart)
+      .next(getItemCorrFirst)
+      .next(checkFound);
+    const selectTarget = new Choice(this, 'HasTargetId?')
+      .when(Condition.isPresent('$.targetId'), initAttempts)
+      .otherwise(setDefaultTarget.next(initAttempts));
     this.machine = new StateMachine(this, 'E2eMachine', {
       stateMachineName: machineName,
-      definition: initAttempts
-        .next(emitHeartbeatMetric)
-        .next(generateCorrelationId)
-        .next(initializeRecord)      // ← 初期レコード作成を追加
-        .next(setDefaultTagSeed)
-        .next(prepareMessage)
-        .next(adoptPreparedValues)
-        .next(sendMessage)
-        .next(waitStart)
-        .next(getItemCorrFirst)
-        .next(checkFound),
+      definition: selectTarget,
       timeout: Duration.minutes(timeoutMinutes),
       tracingEnabled: enableXRayTracing,
       logs: {
@@ -540,6 +622,44 @@ export class StateMachineStack extends Stack {
     errorAlarm.addOkAction(new SnsAction(props.notificationTopic));
     Tags.of(errorAlarm).add('severity', 'ERROR');
 
+    // 複数ターゲット時: 他ターゲットの成功で最終失敗が打ち消されないよう、ターゲット別にも同じ判定を行う
+    if (targetIds.length > 1) {
+      for (const targetId of targetIds) {
+        const targetDims = { Stage: stage, StateMachineName: machineName, Target: targetId };
+        const targetErrorAlarm = new Alarm(this, `StateMachineFailedError-${targetId}`, {
+          metric: new MathExpression({
+            expression: 'ff - s',
+            usingMetrics: {
+              ff: new Metric({
+                namespace: 'E2E/StateMachine',
+                metricName: 'FinalFailed',
+                period: Duration.minutes(recoveryWindowMinutes),
+                statistic: 'sum',
+                dimensionsMap: targetDims,
+              }),
+              s: new Metric({
+                namespace: 'E2E/StateMachine',
+                metricName: 'Success',
+                period: Duration.minutes(recoveryWindowMinutes),
+                statistic: 'sum',
+                dimensionsMap: targetDims,
+              }),
+            },
+            period: Duration.minutes(recoveryWindowMinutes),
+          }),
+          threshold: 0,
+          evaluationPeriods: 1,
+          comparisonOperator: ComparisonOperator.GREATER_THAN_THRESHOLD,
+          treatMissingData: TreatMissingData.NOT_BREACHING,
+          alarmName: `${this.machine.stateMachineName}--ERROR--final-failed--${targetId}`,
+          alarmDescription: `severity=ERROR: Final failure for target ${targetId} (auto-OK on next success within window).`,
+        });
+        targetErrorAlarm.addAlarmAction(new SnsAction(props.notificationTopic));
+        targetErrorAlarm.addOkAction(new SnsAction(props.notificationTopic));
+        Tags.of(targetErrorAlarm).add('severity', 'ERROR');
+      }
+    }
+
     // Heartbeat missed アラーム（ウォッチドッグ）
     // 1分粒度で EVENT_RATE_MINUTES+3 連続で欠損/0 なら ALARM（= どこか1分でも 1 が出れば即OK）
     const heartbeatMetric = new Metric({
@@ -590,14 +710,17 @@ export class StateMachineStack extends Stack {
     // デプロイ後、次の指定時刻のうち最も近い時刻から開始される
     // 注意: EventBridgeのcron式はUTC時間で動作します
     const cronExpression = generateCronExpression(eventRateMinutes);
-    const rule = new Rule(this, 'E2eScheduleRule', {
-      schedule: Schedule.expression(cronExpression),
-      enabled: true,
-    });
-    rule.addTarget(new SfnStateMachine(this.machine, {
-      // 入力不要（State Machine 内でUUID/既定tagSeedを生成）
-      input: RuleTargetInput.fromObject({}),
-    }));
+    // ターゲットごとにスケジュールを作成（既定ターゲットは従来の論理IDを維持）
+    targetIds.forEach((targetId, i) => {
+      const rule = new Rule(this, i === 0 ? 'E2eScheduleRule' : `E2eScheduleRule-${targetId}`, {
+        schedule: Schedule.expression(cronExpression),
+        enabled: true,
+      });
+      rule.addTarget(new SfnStateMachine(this.machine, {
+        // targetId のみ指定（State Machine 内でUUID/既定tagSeedを生成）
+        input: RuleTargetInput.fromObject({ targetId }),
+      }));
+    });
   }
 }
 
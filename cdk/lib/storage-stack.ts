@@ -14,6 +14,7 @@ import { AttributeType, BillingMode, Table, ProjectionType } from 'aws-cdk-lib/a
 export class StorageStack extends Stack {
   public readonly bucket: Bucket;
   public readonly table: Table;
+  public readonly inboxTable: Table;
 
   constructor(scope: Construct, id: string, props?: StackProps) {
     super(scope, id, props);
@@ -44,6 +45,15 @@ export class StorageStack extends Stack {
       projectionType: ProjectionType.ALL,
     });
 
+    // GSI for direct lookup by on-chain correlationId (bytes32 hash)
+    // Used for: event notification resolution (email-ingest)
+    this.table.addGlobalSecondaryIndex({
+      indexName: 'GSI_CorrelationIdHex',
+      partitionKey: { name: 'correlationIdHex', type: AttributeType.STRING },
+      sortKey: { name: 'createdAtMs', type: AttributeType.NUMBER },
+      projectionType: ProjectionType.ALL,
+    });
+
     // GSI for time-window correlation (query by eventBucket + eventEmailAtMs)
     // Legacy: Used as fallback for balance notification
     this.table.addGlobalSecondaryIndex({
@@ -52,6 +62,34 @@ export class StorageStack extends Stack {
       sortKey: { name: 'eventEmailAtMs', type: AttributeType.NUMBER },
       projectionType: ProjectionType.ALL,
     });
+
+    // Inbox: email-ingest が処理できなかった（紐付け・分類できなかった / 不合格）メールの記録
+    // キー: inboxId = "<bucket>/<key>"（同じメールの再処理は上書き）
+    this.inboxTable = new Table(this, 'InboxTable', {
+      tableName: `e2emm-inbox-${stage}`,
+      partitionKey: { name: 'inboxId', type: AttributeType.STRING },
+      billingMode: BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY,
+      timeToLiveAttribute: 'ttl',
+    });
+
+    // GSI for all inbox mails in time order
+    // Used for: listing ignored mails over a period
+    this.inboxTable.addGlobalSecondaryIndex({
+      indexName: 'GSI_TimeOrder',
+      partitionKey: { name: 'recordType', type: AttributeType.STRING },
+      sortKey: { name: 'mailAtMs', type: AttributeType.NUMBER },
+      projectionType: ProjectionType.ALL,
+    });
+
+    // GSI for inbox mails by reason
+    // Used for: spotting a specific failure (e.g. template change → Unclassified) over a period
+    this.inboxTable.addGlobalSecondaryIndex({
+      indexName: 'GSI_Reason',
+      partitionKey: { name: 'reason', type: AttributeType.STRING },
+      sortKey: { name: 'mailAtMs', type: AttributeType.NUMBER },
+      projectionType: ProjectionType.ALL,
+    });
   }
 }
 
@@ -4,10 +4,10 @@
  * 前提:
  * - プロジェクトルートに .env を配置（本スクリプトは ../../../.env を読み込み）
  * - 必須ENV: FIREBLOCKS_SECRET_KEY_FILE, FIREBLOCKS_API_KEY, FIREBLOCKS_VID_PINGER, CA_E2E_MONITOR
- * - 任意ENV: RPC_URL(既定 https://rpc-amoy.polygon.technology), CHAIN_ID(既定 80002)
+ * - 任意ENV: RPC_URL(既定 https://rpc-amoy.polygon.technology), CHAIN_ID(既定 80002), STAGE(tag に詰める環境名、既定 manual)
  *
  * 実行例:
- *   # 相関ID/タグを自動生成して送信
+ *   # 相関IDを自動生成、タグは構造化形式（stage / scenario=e2eping / attempt=1/1）で送信
  *   node src/contract/testScript/e2eping.js
  *
  *   # 相関ID/タグ(bytes32: 0x + 64 hex) を指定して送信
@@ -16,9 +16,10 @@
  * 動作:
  * - Fireblocks Provider + ethers を用いて E2eMonitor.ping(correlationId, tag, clientTimestamp, nonce) を送信
  * - TxHash/Receipt(ブロック番号) を表示し、同一ブロック内で E2ePing があれば簡易検出
+ * - tag は src/lambda/common/tag-codec.js でデコードして表示し、イベントの tag が送信値と一致するか確認
  *
  * 注意:
- * - correlationId/tag は bytes32（0x+64桁）必須。未指定時はランダム生成
+ * - correlationId/tag は bytes32（0x+64桁）必須。未指定時は correlationId はランダム、tag は構造化形式で生成
  * - FIREBLOCKS_SECRET_KEY_FILE は .env からの相対/絶対パスを許容
  */
 // 環境変数を .env から読み込む（呼び出し場所に依らず解決）
@@ -42,10 +43,13 @@ const dotenv = require('dotenv');
 
 const { ethers } = require('ethers');
 const { FireblocksWeb3Provider } = require('@fireblocks/fireblocks-web3-provider');
+// Lambda と共通の tag エンコード（依存パッケージなし）
+const { encodeTag, decodeTag, formatTag } = require('../../lambda/common/tag-codec');
 
 // 定数設定（Polygon Amoy）
 const RPC_URL = process.env.RPC_URL || 'https://rpc-amoy.polygon.technology';
 const CHAIN_ID = Number(process.env.CHAIN_ID || 80002);
+const STAGE = process.env.STAGE || 'manual';
 
 // 必須環境変数の検証と読み込み
 function requireEnv(name) {
@@ -103,7 +107,13 @@ async function main(argCorrelationIdHex32, argTagHex32) {
     : randomHex32();
   const tagHex32 = argTagHex32
     ? ensure0x64Hex(argTagHex32)
-    : randomHex32();
+    : encodeTag({
+      stage: STAGE,
+      scenario: 'e2eping',
+      attempt: 1,
+      totalAttempts: 1,
+      executionId: Date.now().toString(36),
+    });
 
   const senderAddress = await signer.getAddress();
   const nonce = await provider.getTransactionCount(senderAddress);
@@ -112,6 +122,7 @@ async function main(argCorrelationIdHex32, argTagHex32) {
   console.log('E2eMonitor ping parameters:');
   console.log('- correlationIdHex32:', correlationIdHex32);
   console.log('- tagHex32         :', tagHex32);
+  console.log('- tag (decoded)    :', formatTag(decodeTag(tagHex32)));
   console.log('- clientTimestamp  :', clientTimestamp);
   console.log('- nonce            :', nonce);
   console.log('Network/Account:');
@@ -140,6 +151,11 @@ async function main(argCorrelationIdHex32, argTagHex32) {
     if (events && events.length > 0) {
       const ev = events[0];
       console.log('E2ePing detected at tx:', ev.transactionHash);
+      const eventTag = String(ev.args.tag).toLowerCase();
+      console.log('- tag (decoded)    :', formatTag(decodeTag(eventTag)));
+      if (eventTag !== tagHex32.toLowerCase()) {
+        console.log('WARNING: event tag does not match the sent tag:', eventTag);
+      }
     } else {
       console.log('E2ePing not found in the same block (this may be normal depending on indexer latency).');
     }
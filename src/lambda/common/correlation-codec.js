@@ -0,0 +1,86 @@
+/**
+ * correlationId ⇔ bytes32 のエンコード（Lambda 間で共有）
+ *
+ * 参照元: prepare-message（ping に載せる bytes32 の生成）、init-record（correlationIdHex 未指定時の生成）、
+ *         email-ingest（E2ePing の topics[1] から結果テーブルのキーを復元）、tx-sender（レコードの特定）
+ * 役割: correlationId（UUID）を可逆に bytes32 へ詰め、イベントから GSI を引かずにパーティションキーを復元できるようにする。
+ *
+ * 形式（v1, 32 bytes）:
+ *   [0]      バージョン（0x01）
+ *   [1..16]  UUID の 16 bytes
+ *   [17]     試行番号（attempt、0〜255。不明は 0）
+ *   [18..27] 予約（0）
+ *   [28..31] チェックサム（[0..27] の SHA-256 の先頭 4 bytes）
+ * 旧形式（legacy）: correlationId 文字列の SHA-256（復元不可。GSI_CorrelationIdHex で逆引き）。
+ * v1 の条件（バージョン・予約・チェックサム）を満たさない値は旧形式として扱う（移行期間中の旧レコード・旧メッセージ用）。
+ */
+'use strict';
+
+const { createHash } = require('crypto');
+
+const ENCODING_V1 = 0x01;
+// 小文字の UUID のみ（デコード結果を結果テーブルのキーとしてそのまま使うため）
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const BYTES32_RE = /^0x[0-9a-fA-F]{64}$/;
+const CHECKSUM_OFFSET = 28;
+
+function checksum(bytes) {
+  return createHash('sha256').update(bytes.subarray(0, CHECKSUM_OFFSET)).digest().subarray(0, 4);
+}
+
+/**
+ * 旧形式（SHA-256）の bytes32
+ * @param {string} input
+ * @returns {string} 0x + 64 hex（小文字）
+ */
+function legacyBytes32(input) {
+  return `0x${createHash('sha256').update(String(input)).digest('hex')}`;
+}
+
+/**
+ * correlationId を bytes32 にエンコード
+ * UUID 以外（旧来の任意文字列）や legacy 指定時は旧形式
+ * @param {string} correlationId
+ * @param {{ attempt?: number|string, encoding?: 'v1'|'legacy' }} [options]
+ * @returns {string} 0x + 64 hex（小文字）
+ */
+function encodeCorrelationId(correlationId, options = {}) {
+  const id = String(correlationId);
+  if (options.encoding === 'legacy' || !UUID_RE.test(id)) return legacyBytes32(id);
+
+  const bytes = Buffer.alloc(32);
+  bytes[0] = ENCODING_V1;
+  Buffer.from(id.replace(/-/g, ''), 'hex').copy(bytes, 1);
+  const attempt = Number(options.attempt);
+  bytes[17] = Number.isInteger(attempt) && attempt >= 0 && attempt <= 255 ? attempt : 0;
+  checksum(bytes).copy(bytes, CHECKSUM_OFFSET);
+  return `0x${bytes.toString('hex')}`;
+}
+
+/**
+ * bytes32 をデコード
+ * @param {string} hex - 0x + 64 hex
+ * @returns {{ version: 1, correlationId: string, attempt: number }|{ version: 0 }|null}
+ *   version 0: 旧形式（correlationId は復元できない）、null: bytes32 ではない
+ */
+function decodeCorrelationId(hex) {
+  if (typeof hex !== 'string' || !BYTES32_RE.test(hex)) return null;
+  const bytes = Buffer.from(hex.slice(2), 'hex');
+  const isV1 = bytes[0] === ENCODING_V1
+    && bytes.subarray(18, CHECKSUM_OFFSET).every((b) => b === 0)
+    && checksum(bytes).equals(bytes.subarray(CHECKSUM_OFFSET));
+  if (!isV1) return { version: 0 };
+
+  const u = bytes.subarray(1, 17).toString('hex');
+  return {
+    version: ENCODING_V1,
+    correlationId: `${u.slice(0, 8)}-${u.slice(8, 12)}-${u.slice(12, 16)}-${u.slice(16, 20)}-${u.slice(20)}`,
+    attempt: bytes[17],
+  };
+}
+
+module.exports = {
+  encodeCorrelationId,
+  decodeCorrelationId,
+  legacyBytes32,
+};
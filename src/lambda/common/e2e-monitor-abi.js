@@ -0,0 +1,17 @@
+/**
+ * E2eMonitor コントラクトの ABI（Lambda 間で共有）
+ *
+ * 参照元: tx-sender（ping 送信・送信前の SENDER_ROLE 確認・revert のデコード）、email-ingest（E2ePing ログのデコード）
+ * 定義元: src/contract/contracts/E2eMonitor.sol（hasRole・エラーは継承元の OpenZeppelin AccessControl）
+ */
+'use strict';
+
+const E2E_MONITOR_ABI = [
+  "event E2ePing(bytes32 indexed correlationId, address indexed sender, uint256 clientTimestamp, uint256 nonce, uint256 blockTimestamp, bytes32 tag)",
+  "function ping(bytes32 correlationId, bytes32 tag, uint256 clientTimestamp, uint256 nonce) external",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AccessControlBadConfirmation()"
+];
+
+module.exports = { E2E_MONITOR_ABI };
@@ -0,0 +1,359 @@
+/**
+ * トランザクションレシート取得（Lambda 間で共有）
+ *
+ * 参照元: email-ingest（イベント解決）、reorg-verifier（解決済みレコードの再検証）
+ * 役割: 設定された順序付きプロバイダ（汎用 JSON-RPC / Etherscan 互換エクスプローラ）から
+ *       eth_getTransactionReceipt / eth_blockNumber を取得する。
+ *   - プロバイダ毎のタイムアウト
+ *   - result=null（未インデックス）時の指数バックオフ再試行
+ *   - 連続失敗したプロバイダのサーキットブレーク（ウォームコンテナ間で状態を保持）
+ *   - 任意で N プロバイダの一致（quorum）を要求
+ *   - プロバイダ毎のレイテンシ/失敗を onProviderResult コールバックで通知（EMF 出力は呼び出し側）
+ *
+ * プロバイダ設定（RECEIPT_PROVIDERS: JSON 配列）:
+ *   [
+ *     { "name": "alchemy", "type": "rpc", "url": "https://polygon-amoy.g.alchemy.com/v2/<key>", "timeoutMs": 5000 },
+ *     { "name": "polygonscan", "type": "explorer", "url": "https://api-amoy.polygonscan.com/api", "apiKey": "<key>",
+ *       "params": { "chainid": "80002" } }
+ *   ]
+ *   - rpc     : url に JSON-RPC POST。headers で任意ヘッダを付与可能
+ *   - explorer: Etherscan 互換 proxy API（module=proxy&action=<method>）。params で追加クエリを付与可能
+ */
+'use strict';
+
+const DEFAULTS = {
+  timeoutMs: 5000,
+  maxAttempts: 4,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 8000,
+  quorum: 1,
+  breakerThreshold: 3,
+  breakerCooldownMs: 60 * 1000,
+};
+
+// サーキットブレーカーの状態（プロバイダ名 → { failures, openUntilMs }）
+const breakerState = new Map();
+
+// Etherscan 互換 proxy API のクエリパラメータ名（JSON-RPC params の位置 → 名前）
+const EXPLORER_PARAM_NAMES = {
+  eth_getTransactionReceipt: ['txhash'],
+  eth_blockNumber: [],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorMessage(e) {
+  return e && e.message ? e.message : String(e);
+}
+
+/**
+ * 旧来の環境変数（RPC_ALCHEMY_URL / RPC_ALCHEMY_APIKEY / EXPLORER_API_URL / EXPLORER_API_KEY）から
+ * プロバイダ一覧を組み立てる（RECEIPT_PROVIDERS 未設定時の互換動作）
+ */
+function providersFromLegacyEnv(env) {
+  const providers = [];
+  const alchemyUrl = String(env.RPC_ALCHEMY_URL || '').trim();
+  const alchemyKey = env.RPC_ALCHEMY_APIKEY || '';
+  if (alchemyUrl) {
+    // すでに /v2/<key> を含むならそのまま。/v2 で終わるなら /<key> を付与。それ以外は /v2/<key> を付与
+    let url = alchemyUrl;
+    if (!url.includes('/v2/') && alchemyKey) {
+      url = url.endsWith('/v2') ? `${url}/${alchemyKey}` : url.replace(/\/+$/, '') + `/v2/${alchemyKey}`;
+    }
+    providers.push({ name: 'alchemy', type: 'rpc', url });
+  }
+  if (env.EXPLORER_API_URL) {
+    providers.push({ name: 'explorer', type: 'explorer', url: env.EXPLORER_API_URL, apiKey: env.EXPLORER_API_KEY || '' });
+  }
+  return providers;
+}
+
+/**
+ * 環境変数からレシート取得設定を構築
+ */
+function loadReceiptFetcherConfig(env = process.env) {
+  let providers;
+  if (env.RECEIPT_PROVIDERS) {
+    providers = JSON.parse(env.RECEIPT_PROVIDERS);
+    if (!Array.isArray(providers)) throw new Error('RECEIPT_PROVIDERS must be a JSON array');
+  } else {
+    providers = providersFromLegacyEnv(env);
+  }
+  const num = (v, d) => (v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : d);
+  return {
+    providers: providers.map((p, i) => {
+      if (!p || !p.url) throw new Error(`Receipt provider #${i} is missing "url"`);
+      const type = p.type || 'rpc';
+      if (type !== 'rpc' && type !== 'explorer') throw new Error(`Receipt provider "${p.name || i}" has unknown type: ${type}`);
+      return {
+        name: String(p.name || `${type}-${i}`),
+        type,
+        url: String(p.url),
+        apiKey: p.apiKey || '',
+        params: p.params || {},
+        headers: p.headers || {},
+        timeoutMs: num(p.timeoutMs, num(env.RECEIPT_TIMEOUT_MS, DEFAULTS.timeoutMs)),
+      };
+    }),
+    maxAttempts: Math.max(1, num(env.RECEIPT_MAX_ATTEMPTS, DEFAULTS.maxAttempts)),
+    backoffBaseMs: num(env.RECEIPT_BACKOFF_BASE_MS, DEFAULTS.backoffBaseMs),
+    backoffMaxMs: num(env.RECEIPT_BACKOFF_MAX_MS, DEFAULTS.backoffMaxMs),
+    quorum: Math.max(1, num(env.RECEIPT_QUORUM, DEFAULTS.quorum)),
+    breakerThreshold: Math.max(1, num(env.RECEIPT_BREAKER_THRESHOLD, DEFAULTS.breakerThreshold)),
+    breakerCooldownMs: num(env.RECEIPT_BREAKER_COOLDOWN_MS, DEFAULTS.breakerCooldownMs),
+  };
+}
+
+/**
+ * quorum 判定用にレシートの本質部分を正規化した文字列
+ */
+function receiptFingerprint(receipt) {
+  const logs = Array.isArray(receipt.logs) ? receipt.logs : [];
+  return JSON.stringify([
+    String(receipt.transactionHash || '').toLowerCase(),
+    String(receipt.blockHash || '').toLowerCase(),
+    String(receipt.status || '').toLowerCase(),
+    logs.map((l) => [
+      String(l.address || '').toLowerCase(),
+      (l.topics || []).map((t) => String(t).toLowerCase()),
+      String(l.data || '').toLowerCase(),
+    ]),
+  ]);
+}
+
+class ReceiptFetcher {
+  /**
+   * @param {Object} config - loadReceiptFetcherConfig() の結果
+   * @param {Object} [hooks]
+   * @param {Object} [hooks.logger] - { debug, info, warn }
+   * @param {Function} [hooks.onProviderResult] - ({ provider, outcome: 'found'|'null'|'error'|'skipped', latencyMs, error }) => void
+   */
+  constructor(config, hooks = {}) {
+    this.config = config;
+    this.providers = config.providers;
+    this.logger = hooks.logger || { debug() {}, info() {}, warn() {} };
+    this.onProviderResult = hooks.onProviderResult || (() => {});
+  }
+
+  isOpen(provider) {
+    const st = breakerState.get(provider.name);
+    return !!st && st.openUntilMs > Date.now();
+  }
+
+  recordSuccess(provider) {
+    breakerState.set(provider.name, { failures: 0, openUntilMs: 0 });
+  }
+
+  recordFailure(provider) {
+    const st = breakerState.get(provider.name) || { failures: 0, openUntilMs: 0 };
+    st.failures += 1;
+    if (st.failures >= this.config.breakerThreshold) {
+      st.openUntilMs = Date.now() + this.config.breakerCooldownMs;
+      this.logger.warn('Receipt provider circuit opened', {
+        provider: provider.name,
+        failures: st.failures,
+        cooldownMs: this.config.breakerCooldownMs,
+      });
+    }
+    breakerState.set(provider.name, st);
+  }
+
+  /**
+   * 1巡の最悪所要時間（quorum=1 は順に、quorum>1 は並列に問い合わせる）
+   * @returns {number} ms
+   */
+  roundBudgetMs() {
+    const timeouts = this.providers.map((p) => p.timeoutMs);
+    return this.config.quorum <= 1 ? timeouts.reduce((a, b) => a + b, 0) : Math.max(0, ...timeouts);
+  }
+
+  async requestRpc(provider, method, params, signal) {
+    const res = await fetch(provider.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...provider.headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+      signal,
+    });
+    if (!res.ok) throw new Error(`RPC error: ${res.status}`);
+    const json = await res.json();
+    if (json && json.error) throw new Error(`RPC error: ${json.error.message || JSON.stringify(json.error)}`);
+    if (!json || !('result' in json)) throw new Error('Invalid RPC response');
+    return json.result;
+  }
+
+  async requestExplorer(provider, method, params, signal) {
+    const names = EXPLORER_PARAM_NAMES[method];
+    if (!names) throw new Error(`Explorer does not support method: ${method}`);
+    const url = new URL(provider.url);
+    for (const [k, v] of Object.entries(provider.params)) url.searchParams.set(k, String(v));
+    url.searchParams.set('module', 'proxy');
+    url.searchParams.set('action', method);
+    names.forEach((name, i) => url.searchParams.set(name, String(params[i])));
+    if (provider.apiKey) url.searchParams.set('apikey', provider.apiKey);
+    const res = await fetch(url.toString(), { headers: provider.headers, signal });
+    if (!res.ok) throw new Error(`Explorer API error: ${res.status}`);
+    const body = await res.json();
+    if (!body || !('result' in body)) throw new Error('Invalid explorer response');
+    // エラー時は result にメッセージ文字列が入る（例: "Invalid API Key"）。16進値の応答（eth_blockNumber）は除く
+    if (typeof body.result === 'string' && !/^0x[0-9a-f]*$/i.test(body.result)) {
+      throw new Error(`Explorer API error: ${body.result}`);
+    }
+    return body.result;
+  }
+
+  /**
+   * 1プロバイダに問い合わせ
+   * @returns {Promise<{ outcome: string, result?: any }>}
+   */
+  async queryProvider(provider, method, params) {
+    if (this.isOpen(provider)) {
+      this.onProviderResult({ provider: provider.name, method, outcome: 'skipped', latencyMs: 0 });
+      return { outcome: 'skipped' };
+    }
+    const startMs = Date.now();
+    try {
+      this.logger.debug('Receipt provider request', { provider: provider.name, type: provider.type, method, params });
+      const signal = AbortSignal.timeout(provider.timeoutMs);
+      const result = provider.type === 'explorer'
+        ? await this.requestExplorer(provider, method, params, signal)
+        : await this.requestRpc(provider, method, params, signal);
+      const latencyMs = Date.now() - startMs;
+      this.recordSuccess(provider);
+      const outcome = result ? 'found' : 'null';
+      this.onProviderResult({ provider: provider.name, method, outcome, latencyMs });
+      return { outcome, result: result || undefined };
+    } catch (e) {
+      const latencyMs = Date.now() - startMs;
+      const error = e && e.name === 'TimeoutError' ? `Timeout after ${provider.timeoutMs}ms` : errorMessage(e);
+      this.recordFailure(provider);
+      this.onProviderResult({ provider: provider.name, method, outcome: 'error', latencyMs, error });
+      this.logger.warn('Receipt provider failed', { provider: provider.name, method, error, params });
+      return { outcome: 'error' };
+    }
+  }
+
+  /**
+   * 1巡分の問い合わせ
+   * - quorum=1: 先頭から順に問い合わせ、最初に得たレシートを採用
+   * - quorum>1: 全プロバイダに問い合わせ、同一内容のレシートが quorum 件以上あれば採用
+   * @returns {Promise<{ receipt: Object|null, errors: number, nulls: number, disagreement: boolean }>}
+   */
+  async fetchRound(txHash) {
+    const quorum = this.config.quorum;
+    let errors = 0;
+    let nulls = 0;
+    if (quorum <= 1) {
+      for (const provider of this.providers) {
+        const r = await this.queryProvider(provider, 'eth_getTransactionReceipt', [txHash]);
+        if (r.outcome === 'found') {
+          this.logger.info('Receipt fetch success', { provider: provider.name, txhash: txHash });
+          return { receipt: r.result, errors, nulls, disagreement: false };
+        }
+        if (r.outcome === 'null') nulls++;
+        else errors++;
+      }
+      return { receipt: null, errors, nulls, disagreement: false };
+    }
+
+    const results = await Promise.all(this.providers.map((p) => this.queryProvider(p, 'eth_getTransactionReceipt', [txHash])
+      .then((r) => ({ ...r, provider: p.name }))));
+    const groups = new Map();
+    for (const r of results) {
+      if (r.outcome === 'found') {
+        const fp = receiptFingerprint(r.result);
+        const g = groups.get(fp) || { receipt: r.result, providers: [] };
+        g.providers.push(r.provider);
+        groups.set(fp, g);
+      } else if (r.outcome === 'null') {
+        nulls++;
+      } else {
+        errors++;
+      }
+    }
+    for (const g of groups.values()) {
+      if (g.providers.length >= quorum) {
+        this.logger.info('Receipt quorum reached', { providers: g.providers, quorum, txhash: txHash });
+        return { receipt: g.receipt, errors, nulls, disagreement: false };
+      }
+    }
+    const disagreement = groups.size > 1;
+    if (groups.size > 0) {
+      this.logger.warn('Receipt quorum not reached', {
+        quorum,
+        groups: Array.from(groups.values()).map((g) => g.providers),
+        txhash: txHash,
+      });
+    }
+    return { receipt: null, errors, nulls, disagreement };
+  }
+
+  /**
+   * レシートを取得（未インデックス時は指数バックオフで再試行）
+   * @param {string} txHash
+   * @param {Object} [opts]
+   * @param {number} [opts.maxAttempts] - 試行回数（既定: 設定値）
+   * @param {number} [opts.deadlineMs] - この時刻（epoch ms）までに次の巡を終えられない場合は再試行を打ち切る
+   * @returns {Promise<Object>} レシート
+   * @throws {Error} 全試行でレシートを得られない場合。code で原因を区別する
+   *   - RECEIPT_NOT_FOUND     : 応答したプロバイダがいずれも null を返した（未インデックス / 存在しない tx）
+   *   - RECEIPT_NO_QUORUM     : 異なる内容のレシートが返り quorum に達しなかった
+   *   - RECEIPT_FETCH_FAILED  : 全プロバイダがエラー / 遮断中
+   *   最終巡の内訳を nulls / errors に付ける（RECEIPT_NOT_FOUND でも一部のプロバイダはエラーの場合がある）
+   */
+  async fetchReceipt(txHash, opts = {}) {
+    if (this.providers.length === 0) throw new Error('No receipt providers configured');
+    const maxAttempts = Math.max(1, opts.maxAttempts || this.config.maxAttempts);
+    let last = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      last = await this.fetchRound(txHash);
+      if (last.receipt) return last.receipt;
+      if (attempt < maxAttempts) {
+        const delayMs = Math.min(this.config.backoffBaseMs * 2 ** (attempt - 1), this.config.backoffMaxMs);
+        if (opts.deadlineMs && Date.now() + delayMs + this.roundBudgetMs() > opts.deadlineMs) {
+          this.logger.info('Receipt retry budget exhausted', { attempt, nulls: last.nulls, errors: last.errors, txhash: txHash });
+          break;
+        }
+        this.logger.info('Receipt not available yet, backing off', {
+          attempt,
+          delayMs,
+          nulls: last.nulls,
+          errors: last.errors,
+          txhash: txHash,
+        });
+        await sleep(delayMs);
+      }
+    }
+    let err;
+    if (last.disagreement) {
+      err = new Error(`Receipt quorum not reached (quorum=${this.config.quorum})`);
+      err.code = 'RECEIPT_NO_QUORUM';
+    } else if (last.nulls > 0) {
+      err = new Error('Receipt not found (not indexed yet or unknown tx)');
+      err.code = 'RECEIPT_NOT_FOUND';
+    } else {
+      err = new Error(`Receipt fetch failed on all providers (errors=${last.errors})`);
+      err.code = 'RECEIPT_FETCH_FAILED';
+    }
+    err.nulls = last.nulls;
+    err.errors = last.errors;
+    throw err;
+  }
+
+  /**
+   * 最新ブロック番号を取得（先頭から順に問い合わせ、最初の応答を採用）
+   * 複数プロバイダが応答できる場合でも一致は要求しない（確認数の下限判定にのみ使うため）
+   * @returns {Promise<number>}
+   */
+  async fetchBlockNumber() {
+    for (const provider of this.providers) {
+      const r = await this.queryProvider(provider, 'eth_blockNumber', []);
+      if (r.outcome === 'found') return Number(BigInt(r.result));
+    }
+    throw new Error('Block number unavailable on all providers');
+  }
+}
+
+module.exports = {
+  ReceiptFetcher,
+  loadReceiptFetcherConfig,
+};
@@ -0,0 +1,153 @@
+/**
+ * E2ePing の tag（bytes32）の構造化エンコード（Lambda・テストスクリプト間で共有）
+ *
+ * 参照元: prepare-message（tag の生成）、email-ingest（イベントの tag の表示・検証）、
+ *         src/contract/testScript/e2eping.js（手動送信時の生成・表示）
+ * 役割: どの環境・シナリオ・試行の ping かを tag に詰め、エクスプローラでイベントを見るだけで判別できるようにする。
+ *       依存パッケージなし（テストスクリプトからも相対パスで読み込むため）。
+ *
+ * 形式（v1, 32 bytes）:
+ *   [0]      スキーマバージョン（0x01）
+ *   [1..8]   stage（ASCII、最大 8 文字、末尾 0 埋め）
+ *   [9..20]  scenario（ASCII、最大 12 文字、末尾 0 埋め。Step Functions ではターゲット ID）
+ *   [21]     attempt（0〜255）
+ *   [22]     totalAttempts（0〜255）
+ *   [23..30] executionId（ASCII、最大 8 文字、末尾 0 埋め。実行名の末尾 8 文字）
+ *   [31]     チェックサム（[0..30] の SHA-256 の先頭 1 byte）
+ * 文字列は印字可能な ASCII（0x21〜0x7e）のみ。それ以外の文字は '_' に置き換え、長い場合は切り詰める。
+ * 旧形式（legacy）: tagSeed 文字列の SHA-256（復元不可）。v1 の条件を満たさない値は旧形式として扱う。
+ */
+'use strict';
+
+const { createHash } = require('crypto');
+
+const TAG_SCHEMA_V1 = 0x01;
+const BYTES32_RE = /^0x[0-9a-fA-F]{64}$/;
+// [開始, 長さ]
+const FIELDS = {
+  stage: [1, 8],
+  scenario: [9, 12],
+  executionId: [23, 8],
+};
+const ATTEMPT_OFFSET = 21;
+const TOTAL_ATTEMPTS_OFFSET = 22;
+const CHECKSUM_OFFSET = 31;
+
+function checksum(bytes) {
+  return createHash('sha256').update(bytes.subarray(0, CHECKSUM_OFFSET)).digest()[0];
+}
+
+function toUint8(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= 255 ? n : 0;
+}
+
+// エンコード時の文字列の正規化（置き換え・切り詰め）
+function normalizeAscii(field, value, { tail = false } = {}) {
+  const length = FIELDS[field][1];
+  const chars = String(value || '').replace(/[^\x21-\x7e]/g, '_');
+  return tail ? chars.slice(-length) : chars.slice(0, length);
+}
+
+function writeAscii(bytes, field, value, options) {
+  Buffer.from(normalizeAscii(field, value, options), 'ascii').copy(bytes, FIELDS[field][0]);
+}
+
+// 末尾 0 埋めの印字可能 ASCII でなければ null
+function readAscii(bytes, field) {
+  const [offset, length] = FIELDS[field];
+  const raw = bytes.subarray(offset, offset + length);
+  const end = raw.indexOf(0) === -1 ? length : raw.indexOf(0);
+  if (!raw.subarray(end).every((b) => b === 0)) return null;
+  if (!raw.subarray(0, end).every((b) => b >= 0x21 && b <= 0x7e)) return null;
+  return raw.subarray(0, end).toString('ascii');
+}
+
+/**
+ * 旧形式（SHA-256）の tag
+ * @param {string} tagSeed
+ * @returns {string} 0x + 64 hex（小文字）
+ */
+function legacyTag(tagSeed) {
+  return `0x${createHash('sha256').update(String(tagSeed)).digest('hex')}`;
+}
+
+/**
+ * 構造化 tag をエンコード
+ * @param {{ stage?: string, scenario?: string, attempt?: number|string, totalAttempts?: number|string, executionId?: string }} fields
+ *   executionId は末尾 8 文字を使う（Step Functions の実行名は UUID のため末尾の方が識別しやすい）
+ * @returns {string} 0x + 64 hex（小文字）
+ */
+function encodeTag(fields = {}) {
+  const bytes = Buffer.alloc(32);
+  bytes[0] = TAG_SCHEMA_V1;
+  writeAscii(bytes, 'stage', fields.stage);
+  writeAscii(bytes, 'scenario', fields.scenario);
+  bytes[ATTEMPT_OFFSET] = toUint8(fields.attempt);
+  bytes[TOTAL_ATTEMPTS_OFFSET] = toUint8(fields.totalAttempts);
+  writeAscii(bytes, 'executionId', fields.executionId, { tail: true });
+  bytes[CHECKSUM_OFFSET] = checksum(bytes);
+  return `0x${bytes.toString('hex')}`;
+}
+
+/**
+ * tag をデコード
+ * @param {string} hex - 0x + 64 hex
+ * @returns {{ version: 1, stage: string, scenario: string, attempt: number, totalAttempts: number, executionId: string }|{ version: 0 }|null}
+ *   version 0: 旧形式（内容は復元できない）、null: bytes32 ではない
+ */
+function decodeTag(hex) {
+  if (typeof hex !== 'string' || !BYTES32_RE.test(hex)) return null;
+  const bytes = Buffer.from(hex.slice(2), 'hex');
+  if (bytes[0] !== TAG_SCHEMA_V1 || bytes[CHECKSUM_OFFSET] !== checksum(bytes)) return { version: 0 };
+
+  const stage = readAscii(bytes, 'stage');
+  const scenario = readAscii(bytes, 'scenario');
+  const executionId = readAscii(bytes, 'executionId');
+  if (stage === null || scenario === null || executionId === null) return { version: 0 };
+  return {
+    version: TAG_SCHEMA_V1,
+    stage,
+    scenario,
+    attempt: bytes[ATTEMPT_OFFSET],
+    totalAttempts: bytes[TOTAL_ATTEMPTS_OFFSET],
+    executionId,
+  };
+}
+
+/**
+ * デコード結果と期待値を照合
+ * @param {Object} decoded - decodeTag() の v1 の結果
+ * @param {{ stage?: string, scenario?: string, attempt?: number|string, totalAttempts?: number|string }} expected
+ *   未指定（undefined / null / 空文字）の項目は照合しない。文字列はエンコード時と同じ正規化をして比較
+ * @returns {string[]} 一致しなかった項目名（一致すれば空配列）
+ */
+function tagMismatches(decoded, expected = {}) {
+  const given = (v) => v !== undefined && v !== null && v !== '';
+  const mismatches = [];
+  for (const field of ['stage', 'scenario']) {
+    if (given(expected[field]) && decoded[field] !== normalizeAscii(field, expected[field])) mismatches.push(field);
+  }
+  for (const field of ['attempt', 'totalAttempts']) {
+    if (given(expected[field]) && decoded[field] !== toUint8(expected[field])) mismatches.push(field);
+  }
+  return mismatches;
+}
+
+/**
+ * デコード結果を1行で表示（ログ・テストスクリプト用）
+ * @returns {string} 例: "v1 stage=dev scenario=default attempt=1/3 exec=5a7c9e01"、旧形式は "legacy"
+ */
+function formatTag(decoded) {
+  if (!decoded) return 'invalid';
+  if (decoded.version !== TAG_SCHEMA_V1) return 'legacy';
+  return `v1 stage=${decoded.stage} scenario=${decoded.scenario} attempt=${decoded.attempt}/${decoded.totalAttempts} exec=${decoded.executionId}`;
+}
+
+module.exports = {
+  encodeTag,
+  decodeTag,
+  tagMismatches,
+  formatTag,
+  legacyTag,
+};
@@ -0,0 +1,131 @@
+/**
+ * 監視対象（ターゲット）レジストリ（Lambda 間で共有）
+ *
+ * 参照元: prepare-message（既定ターゲット）、tx-sender（送信先チェーン/コントラクト/Vault）、
+ *         email-ingest（メールごとのチェーン設定）、reorg-verifier（レコードごとのレシート取得先）
+ * 役割: 1デプロイで複数のコントラクト/チェーン/Vault を監視するため、ターゲット一覧を環境変数から構築する。
+ *       ターゲット ID は prepare-message → SQS メッセージ → DynamoDB レコード（targetId）へ引き継がれ、
+ *       メトリクスの Target 次元にも使う。
+ *
+ * ターゲット設定（E2E_TARGETS: JSON 配列。先頭が既定ターゲット）:
+ *   [
+ *     {
+ *       "id": "amoy",                                   // 必須。英数字・-・_
+ *       "chainId": 80002,
+ *       "contractAddress": "0x...",                     // E2eMonitor コントラクト（省略時は各 Lambda の従来設定）
+ *       "rpcUrl": "https://rpc-amoy.polygon.technology", // tx-sender の送信先
+ *       "receiptProviders": [ ... ],                    // レシート取得先（RECEIPT_PROVIDERS と同形式。省略時は共通設定）
+ *       "explorerHosts": ["amoy.polygonscan.com"],      // メール本文のエクスプローラ URL でターゲットを判定
+ *       "recipients": ["e2e-amoy@example.com"],         // 受信アドレス（To / Cc / Delivered-To）でターゲットを判定
+ *       "vaultId": "1",                                 // Fireblocks Vault（省略時は SSM の vault_id）
+ *       "expectedSender": "0x..."                       // E2ePing の想定送信者（省略時は EXPECTED_SENDER_ADDRESS）
+ *     }
+ *   ]
+ * 未設定時は従来の単一設定（CHAIN_ID / RPC_URL / CONTRACT_ADDRESS(CA_E2E_MONITOR) / EXPECTED_SENDER_ADDRESS）から
+ * ID "default" のターゲットを1件構築する。
+ */
+'use strict';
+
+const DEFAULT_TARGET_ID = 'default';
+const TARGET_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function lowerList(v) {
+  return (Array.isArray(v) ? v : [])
+    .map((s) => String(s).trim().toLowerCase())
+    .filter((s) => s.length > 0);
+}
+
+function normalizeTarget(t, i) {
+  if (!t || typeof t !== 'object') throw new Error(`E2E_TARGETS #${i} must be an object`);
+  const id = String(t.id || '');
+  if (!TARGET_ID_RE.test(id)) throw new Error(`E2E_TARGETS #${i} has invalid "id": ${t.id}`);
+  if (t.receiptProviders !== undefined && !Array.isArray(t.receiptProviders)) {
+    throw new Error(`Target "${id}" receiptProviders must be an array`);
+  }
+  return {
+    id,
+    chainId: t.chainId !== undefined && t.chainId !== '' ? Number(t.chainId) : undefined,
+    contractAddress: String(t.contractAddress || '').toLowerCase(),
+    rpcUrl: String(t.rpcUrl || ''),
+    receiptProviders: t.receiptProviders,
+    explorerHosts: lowerList(t.explorerHosts),
+    recipients: lowerList(t.recipients),
+    vaultId: t.vaultId !== undefined && t.vaultId !== '' ? String(t.vaultId) : undefined,
+    expectedSender: String(t.expectedSender || '').toLowerCase(),
+  };
+}
+
+/**
+ * 環境変数からターゲット一覧を構築
+ * @returns {Array<Object>} 先頭が既定ターゲット
+ */
+function loadTargets(env = process.env) {
+  if (env.E2E_TARGETS) {
+    const list = JSON.parse(env.E2E_TARGETS);
+    if (!Array.isArray(list) || list.length === 0) throw new Error('E2E_TARGETS must be a non-empty JSON array');
+    const targets = list.map(normalizeTarget);
+    const ids = new Set();
+    for (const t of targets) {
+      if (ids.has(t.id)) throw new Error(`Duplicate target id in E2E_TARGETS: ${t.id}`);
+      ids.add(t.id);
+    }
+    return targets;
+  }
+  return [normalizeTarget({
+    id: DEFAULT_TARGET_ID,
+    chainId: env.CHAIN_ID,
+    contractAddress: env.CONTRACT_ADDRESS || env.CA_E2E_MONITOR,
+    rpcUrl: env.RPC_URL,
+    expectedSender: env.EXPECTED_SENDER_ADDRESS,
+  }, 0)];
+}
+
+/**
+ * ID でターゲットを取得（ID 未指定・旧レコードは既定ターゲット）
+ * @returns {Object|null} 未登録の ID なら null
+ */
+function getTarget(targets, id) {
+  if (!id) return targets[0];
+  return targets.find((t) => t.id === id) || null;
+}
+
+/**
+ * メールからターゲットを判定（受信アドレス → 本文のエクスプローラ URL の順）
+ * @param {Array<Object>} targets
+ * @param {Object} mail - parseEmail() の解析結果
+ * @returns {{ target: Object, matchedBy: 'recipient'|'explorerHost'|'single'|'default' }}
+ */
+function resolveTargetForMail(targets, mail) {
+  if (targets.length === 1) return { target: targets[0], matchedBy: 'single' };
+  const headers = (mail && mail.headers) || {};
+  const recipients = ['to', 'cc', 'delivered-to', 'x-original-to']
+    .flatMap((name) => (Array.isArray(headers[name]) ? headers[name] : []))
+    .flatMap((v) => String(v).toLowerCase().match(/[^\s<>,;:"']+@[^\s<>,;:"']+/g) || []);
+  const byRecipient = targets.find((t) => t.recipients.some((r) => recipients.includes(r)));
+  if (byRecipient) return { target: byRecipient, matchedBy: 'recipient' };
+
+  const body = String((mail && mail.text) || '').toLowerCase();
+  const byHost = targets.find((t) => t.explorerHosts.some((h) => body.includes(`//${h}/`)));
+  if (byHost) return { target: byHost, matchedBy: 'explorerHost' };
+  return { target: targets[0], matchedBy: 'default' };
+}
+
+/**
+ * ターゲット用のレシート取得設定の環境変数（receiptProviders 指定時のみ RECEIPT_PROVIDERS を差し替え）
+ * プロバイダ名はサーキットブレーカー・メトリクスでターゲット間が混ざらないよう "<targetId>:<name>" とする
+ */
+function receiptEnvForTarget(target, env = process.env) {
+  if (!target.receiptProviders) return env;
+  const providers = target.receiptProviders.map((p, i) => ({
+    ...p,
+    name: `${target.id}:${(p && p.name) || `${(p && p.type) || 'rpc'}-${i}`}`,
+  }));
+  return { ...env, RECEIPT_PROVIDERS: JSON.stringify(providers) };
+}
+
+module.exports = {
+  loadTargets,
+  getTarget,
+  resolveTargetForMail,
+  receiptEnvForTarget,
+};
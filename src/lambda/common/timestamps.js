@@ -0,0 +1,36 @@
+/**
+ * 結果テーブルの時刻属性（Lambda 間で共有）
+ *
+ * 参照元: init-record、tx-sender（result-recorder）、email-ingest、reorg-verifier
+ * 役割: 同じテーブルに書き込む Lambda 間で時刻属性の形式（ms / UTC ISO8601 / JST）を揃える。
+ */
+'use strict';
+
+/**
+ * UNIX timestamp (ms) から UTC/JST/ms の3フィールドを生成
+ * @param {number} epochMs
+ * @param {string} prefix - 属性名の接頭辞（例: "createdAt" → createdAtMs / createdAt / createdAtJST）
+ * @returns {Object}
+ */
+function makeTimestampFields(epochMs, prefix) {
+  const date = new Date(epochMs);
+
+  // UTC ISO8601
+  const utc = date.toISOString();
+
+  // JST (UTC+9)
+  const jstDate = new Date(epochMs + 9 * 60 * 60 * 1000);
+  const jst = jstDate.toISOString()
+    .replace('T', ' ')
+    .replace(/\.\d{3}Z$/, ''); // "2025-10-21 21:00:00"
+
+  return {
+    [`${prefix}Ms`]: epochMs,
+    [`${prefix}`]: utc,
+    [`${prefix}JST`]: jst,
+  };
+}
+
+module.exports = {
+  makeTimestampFields,
+};
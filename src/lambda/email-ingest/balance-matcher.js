@@ -0,0 +1,147 @@
+/**
+ * email-ingest 残高通知と実行レコードの照合
+ *
+ * 役割: 時間窓内の候補レコード（残高未受信の E2E_TASK）を複数のシグナルで採点し、
+ *       残高通知メールを紐付ける実行を選ぶ（DynamoDB には触れない純粋関数）。
+ *
+ * シグナル（0〜1。どの候補にも判定材料が無いシグナルは除外し、残りの重みで正規化。
+ *           一部の候補にだけ材料が無い場合は中立値 0.5 とする＝材料不足の候補が有利にならないように）:
+ *   - gas    : 前回残高との差分 と 実行 tx のガス代（gasCost）の一致度
+ *   - time   : メール時刻 と 実行の blockTimestamp（未解決なら createdAtMs）の近さ。ブロックより前のメールは 0
+ *   - wallet : メール記載のウォレット と 実行の送信者（sender）/ 設定済みウォレット識別子の一致
+ * ウォレットが明確に不一致の候補は除外する（別ウォレットの残高通知を誤って紐付けない）。
+ */
+'use strict';
+
+const WEIGHTS = { gas: 0.5, time: 0.3, wallet: 0.2 };
+const NEUTRAL = 0.5;
+// 差分とガス代の相対誤差がこの割合で gas シグナルが 0 になる
+const GAS_DELTA_TOLERANCE = 0.5;
+// メールがブロックより前でも許容する時計ずれ
+const TIME_SKEW_TOLERANCE_MS = 60 * 1000;
+// レコードに残す不採用候補の上限
+const MAX_REJECTED = 10;
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+/**
+ * gas シグナル: 前回残高 - 今回残高 が実行のガス代に近いほど高い
+ * @returns {number|null} 判定材料が無ければ null
+ */
+function scoreGas(balance, previous, candidate) {
+  if (balance.amount === undefined || !previous || !Number.isFinite(previous.amount)) return null;
+  const expected = Number(candidate.gasCost);
+  if (!Number.isFinite(expected) || expected <= 0) return null;
+  const delta = previous.amount - balance.amount;
+  const relErr = Math.abs(delta - expected) / expected;
+  return Math.max(0, 1 - relErr / GAS_DELTA_TOLERANCE);
+}
+
+/**
+ * time シグナル: メール時刻が実行時刻の後で、近いほど高い
+ */
+function scoreTime(anchorMs, windowMs, candidate) {
+  const refMs = Number.isFinite(candidate.blockTimestamp)
+    ? candidate.blockTimestamp * 1000
+    : candidate.createdAtMs;
+  if (!Number.isFinite(refMs)) return null;
+  const diff = anchorMs - refMs;
+  if (diff < -TIME_SKEW_TOLERANCE_MS) return 0;
+  return Math.max(0, 1 - Math.max(0, diff) / windowMs);
+}
+
+/**
+ * wallet シグナル: 1=一致、0=不一致、null=判定不可
+ */
+function scoreWallet(balance, candidate, walletIds) {
+  if (!balance.wallet) return null;
+  const wallet = String(balance.wallet).toLowerCase();
+  if (ADDRESS_RE.test(wallet)) {
+    if (!candidate.sender) return null;
+    return String(candidate.sender).toLowerCase() === wallet ? 1 : 0;
+  }
+  if (walletIds.length === 0) return null;
+  return walletIds.includes(wallet) ? 1 : 0;
+}
+
+/**
+ * 候補を採点し、スコア順に並べる
+ * @param {Object} balance - parseBalanceFields() の結果 { amount?, asset?, wallet? }
+ * @param {Array<Object>} candidates - 残高未受信の E2E_TASK レコード
+ * @param {Object} opts
+ * @param {number} opts.anchorMs - メール自身の時刻
+ * @param {number} opts.windowMs - 時間窓の長さ
+ * @param {{ amount: number, emailAtMs: number }|null} [opts.previous] - 同じウォレットの前回残高
+ * @param {string[]} [opts.walletIds] - この監視のウォレット識別子（小文字。Vault 名など）
+ * @returns {Array<{ record: Object, score: number, signals: Object, excluded?: string }>} スコア降順
+ *   excluded があるものは紐付け対象外（理由: WalletMismatch）
+ */
+function scoreBalanceCandidates(balance, candidates, opts) {
+  const walletIds = (opts.walletIds || []).map((w) => String(w).toLowerCase());
+  const raw = candidates.map((record) => ({
+    record,
+    signals: {
+      gas: scoreGas(balance, opts.previous, record),
+      time: scoreTime(opts.anchorMs, opts.windowMs, record),
+      wallet: scoreWallet(balance, record, walletIds),
+    },
+  }));
+  const available = Object.keys(WEIGHTS).filter((name) => raw.some((c) => c.signals[name] !== null));
+  const scored = raw.map(({ record, signals }) => {
+    let weightSum = 0;
+    let total = 0;
+    for (const name of available) {
+      const value = signals[name] === null ? NEUTRAL : signals[name];
+      weightSum += WEIGHTS[name];
+      total += WEIGHTS[name] * value;
+    }
+    const score = weightSum > 0 ? round3(total / weightSum) : 0;
+    const rounded = Object.fromEntries(Object.entries(signals).map(([k, v]) => [k, v === null ? null : round3(v)]));
+    return {
+      record,
+      score,
+      signals: rounded,
+      ...(signals.wallet === 0 ? { excluded: 'WalletMismatch' } : {}),
+    };
+  });
+  // 同点は従来どおりイベント通知済み（EVENT_ONLY）→ 新しい順を優先
+  return scored.sort((a, b) => {
+    if (!!a.excluded !== !!b.excluded) return a.excluded ? 1 : -1;
+    if (b.score !== a.score) return b.score - a.score;
+    const aResolved = a.record.correlationResolved === true ? 1 : 0;
+    const bResolved = b.record.correlationResolved === true ? 1 : 0;
+    if (bResolved !== aResolved) return bResolved - aResolved;
+    return (b.record.createdAtMs || 0) - (a.record.createdAtMs || 0);
+  });
+}
+
+/**
+ * レコードに残す照合結果（採用候補と不採用候補の要約）
+ */
+function summarizeMatch(chosen, ranked, opts) {
+  return {
+    strategy: 'scored',
+    score: chosen.score,
+    signals: chosen.signals,
+    windowMinutes: Math.round(opts.windowMs / 60000),
+    previousBalance: opts.previous ? opts.previous.amount : null,
+    rejected: ranked
+      .filter((c) => c !== chosen)
+      .slice(0, MAX_REJECTED)
+      .map((c) => ({
+        correlationId: c.record.correlationId,
+        score: c.score,
+        signals: c.signals,
+        ...(c.excluded ? { excluded: c.excluded } : {}),
+      })),
+  };
+}
+
+module.exports = {
+  scoreBalanceCandidates,
+  summarizeMatch,
+};
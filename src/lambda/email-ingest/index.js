@@ -1,29 +1,85 @@
 /**
  * email-ingest Lambda
  *
- * 役割: S3に保存された受信メールからTxHashを抽出し、エクスプローラAPIで
+ * 役割: S3に保存された受信メールからTxHashを抽出し、JSON-RPC / エクスプローラAPIで
  *       E2ePingイベントを照会して correlationId を取得。DynamoDBに結果を記録し、
  *       失敗時はEMFメトリクスを出力してアラーム連携する。
  * トリガー: EventBridge（S3 Object Created for email bucket）
+ *           手動呼び出し { replay: {...} } で保存済みメールを再処理（runReplay 参照。既定は dry-run）
  * 出力: DynamoDB `e2emm-results-<stage>` に upsert（キー: correlationId）
  */
 'use strict';
 
 // 環境変数
 const RESULTS_TABLE = process.env.RESULTS_TABLE || '';
-const EXPLORER_API_URL = process.env.EXPLORER_API_URL || '';
-const EXPLORER_API_KEY = process.env.EXPLORER_API_KEY || '';
-const RPC_ALCHEMY_URL = process.env.RPC_ALCHEMY_URL || '';
-const RPC_ALCHEMY_APIKEY = process.env.RPC_ALCHEMY_APIKEY || '';
+// 処理できなかったメールの記録先（任意）と保持日数
+const INBOX_TABLE = process.env.INBOX_TABLE || '';
+const INBOX_TTL_DAYS = Number(process.env.INBOX_TTL_DAYS || 90);
+// リプレイ（保存済みメールの再処理）の既定バケットと1回あたりの既定件数
+const EMAIL_BUCKET = process.env.EMAIL_BUCKET || '';
+const REPLAY_DEFAULT_LIMIT = 100;
+// 処理済みオブジェクト台帳の保持日数（S3 / EventBridge の再配信を短絡する期間）
+const PROCESSED_LEDGER_TTL_DAYS = Number(process.env.PROCESSED_LEDGER_TTL_DAYS || 30);
+// 処理中の占有期間（通常は呼び出しの終了時刻まで。context が無い場合の既定値で、Lambda タイムアウト 60秒より短く）
+// タイムアウト等で解放されずに残った占有は、非同期リトライの時点で期限切れになり再取得できる
+const PROCESSED_LEDGER_LEASE_MS = 50 * 1000;
+// 監視対象（E2E_TARGETS。未設定時は CONTRACT_ADDRESS 等の従来設定から単一ターゲット）
+// ターゲットで contractAddress / expectedSender を省略した場合は CONTRACT_ADDRESS / EXPECTED_SENDER_ADDRESS を使う
 const CONTRACT_ADDRESS = (process.env.CONTRACT_ADDRESS || '').toLowerCase();
 const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
-
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+// 残高がこの値を下回ると LowBalance メトリクスを出力（未設定時は判定しない）
+const LOW_BALANCE_THRESHOLD = process.env.LOW_BALANCE_THRESHOLD ? Number(process.env.LOW_BALANCE_THRESHOLD) : NaN;
+// メール時刻（Date / Received / S3 LastModified）間のずれがこの秒数を超えると EmailTimeSkew を出力
+const EMAIL_TIME_SKEW_THRESHOLD_SEC = Number(process.env.EMAIL_TIME_SKEW_THRESHOLD_SEC || 300);
+// イベント真正性チェック（送信者は未設定なら検証しない、tag は既定で検証）
+const EXPECTED_SENDER_ADDRESS = (process.env.EXPECTED_SENDER_ADDRESS || '').toLowerCase();
+const VERIFY_EVENT_TAG = process.env.VERIFY_EVENT_TAG !== 'false';
+// 構造化 tag（common/tag-codec.js）の stage と照合する環境名（未設定なら stage は照合しない）
+const STAGE = process.env.STAGE || '';
+// イベント解決に必要な最小確認数（head - blockNumber + 1）と、不足時にLambda内で待つ最大秒数
+const MIN_CONFIRMATIONS = Number(process.env.MIN_CONFIRMATIONS || 5);
+const CONFIRMATION_WAIT_SEC = Number(process.env.CONFIRMATION_WAIT_SEC || 20);
+const CONFIRMATION_POLL_MS = 4000;
+// 呼び出しの残り時間のうち、結果・台帳の書き込み用に残す時間（レシート取得・確認数待ちはこれを除いた範囲で行う）
+const INVOCATION_RESERVE_MS = 10 * 1000;
+// 残高通知の照合: 時間窓（分）、採用に必要な最低スコア（0〜1）、この監視のウォレット識別子（カンマ区切り）
+const BALANCE_MATCH_WINDOW_MINUTES = Number(process.env.BALANCE_MATCH_WINDOW_MINUTES || 10);
+const BALANCE_MATCH_MIN_SCORE = Number(process.env.BALANCE_MATCH_MIN_SCORE || 0);
+const BALANCE_WALLET_IDS = String(process.env.BALANCE_WALLET_IDS || '')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter((s) => s.length > 0);
+
+const { S3Client, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, DeleteCommand, GetCommand, PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { parseEmail, firstHeader } = require('./mime');
+const { loadRules, evaluateRules } = require('./rules');
+const { resolveMailTimestamps } = require('./mail-time');
+const { loadMailAuthPolicy, evaluateMailAuth } = require('./mail-auth');
+const { ReceiptFetcher, loadReceiptFetcherConfig } = require('../common/receipt-fetcher');
+const { loadTargets, resolveTargetForMail, receiptEnvForTarget } = require('../common/targets');
+const { scoreBalanceCandidates, summarizeMatch } = require('./balance-matcher');
+const { E2E_MONITOR_ABI } = require('../common/e2e-monitor-abi');
+const { decodeCorrelationId } = require('../common/correlation-codec');
+const { decodeTag, tagMismatches, formatTag } = require('../common/tag-codec');
+const { makeTimestampFields } = require('../common/timestamps');
+const { Interface } = require('ethers');
 
 const s3 = new S3Client({});
 const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const e2eMonitorInterface = new Interface(E2E_MONITOR_ABI);
+// 受信メールの真正性検証ポリシー（MAIL_AUTH_MODE / MAIL_AUTH_REQUIRED_CHECKS / ALLOWED_SENDER_DOMAINS）
+const MAIL_AUTH_POLICY = loadMailAuthPolicy();
+const TARGETS = loadTargets();
+
+// 実行中の処理コンテキスト（1コンテナは同時に1呼び出しのみ処理するためモジュール変数で保持）
+//   replay : リプレイ実行中（メトリクスを出力しない）
+//   dryRun : DynamoDB への書き込みを行わず、予定の書き込みを trace.writes に積む
+//   trace  : 処理中オブジェクトの結果（リプレイの応答に使う）
+//   target : 処理中メールのターゲット（メトリクスの Target 次元）
+//   deadlineMs : レシート取得・確認数待ち・次のオブジェクトの処理を打ち切る時刻（残り時間 - INVOCATION_RESERVE_MS）
+let activeRun = { replay: false, dryRun: false, trace: null, target: null, deadlineMs: null };
 
 // ロガー（JSON一貫出力）
 const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
@@ -46,36 +102,47 @@ const logger = {
   error: (m, d) => log('error', m, d),
 };
 
-function streamToString(stream) {
+// charset はパートごとに異なるため、S3オブジェクトはバイト列のまま扱う
+function streamToBuffer(stream) {
   return new Promise((resolve, reject) => {
     const chunks = [];
     stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
     stream.on('error', reject);
-    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
   });
 }
 
+/**
+ * DynamoDB への書き込み（Put / Update）
+ * dry-run 中は送信せず、予定の書き込みとして記録する
+ */
+async function sendWrite(command) {
+  const trace = activeRun.trace;
+  if (trace) trace.writes.push({ command: command.constructor.name, input: command.input });
+  if (activeRun.dryRun) return {};
+  return ddb.send(command);
+}
+
 // CloudWatch Embedded Metric Format (EMF)
+// ターゲット判定後は FunctionName+Target / FunctionName+Target+Reason 次元にも出力
 function emitMetric(metricName, reason) {
+  if (activeRun.replay) return;
   try {
     const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'email-ingest';
+    const target = activeRun.target;
+    const dimensions = [['FunctionName'], ['FunctionName', 'Reason']];
+    if (target) dimensions.push(['FunctionName', 'Target'], ['FunctionName', 'Target', 'Reason']);
     const metricPayload = {
       _aws: {
         Timestamp: Date.now(),
-        CloudWatchMetrics: [
-          {
-            Namespace: 'E2E/EmailIngest',
-            Dimensions: [['FunctionName']],
-            Metrics: [{ Name: metricName, Unit: 'Count' }],
-          },
-          {
-            Namespace: 'E2E/EmailIngest',
-            Dimensions: [['FunctionName', 'Reason']],
-            Metrics: [{ Name: metricName, Unit: 'Count' }],
-          },
-        ],
+        CloudWatchMetrics: dimensions.map((dims) => ({
+          Namespace: 'E2E/EmailIngest',
+          Dimensions: [dims],
+          Metrics: [{ Name: metricName, Unit: 'Count' }],
+        })),
       },
       FunctionName: functionName,
+      ...(target ? { Target: target.id } : {}),
       Reason: reason,
       [metricName]: 1,
     };
@@ -86,153 +153,161 @@ function emitMetric(metricName, reason) {
   }
 }
 
-// 簡易 quoted-printable デコード（最低限）
-function decodeQuotedPrintable(input) {
-  if (!input) return '';
-  // soft line breaks =\r?\n を除去
-  let s = input.replace(/=\r?\n/g, '');
-  // =XX をバイトに変換
-  s = s.replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-  return s;
-}
-
-function extractTxHashFromText(text) {
-  if (!text) return null;
-  // 1) エクスプローラURLの末尾（最優先）
-  const url = text.match(/https?:\/\/\S*?\/tx\/0x[a-fA-F0-9]{64}/);
-  if (url) {
-    const m = url[0].match(/0x[a-fA-F0-9]{64}/);
-    if (m) return m[0];
-  }
-  // 2) ラベル付き（多言語対応）
-  const labelPatterns = [
-    /TxID\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /Tx\s*Id\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /TxHash\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /Tx\s*Hash\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /Transaction\s*Hash\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /トランザクションID\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /トランザクションハッシュ\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-    /取引ID\s*[:：]\s*(0x[a-fA-F0-9]{64})/i,
-  ];
-  for (const re of labelPatterns) {
-    const m = text.match(re);
-    if (m) return m[1];
-  }
-  // 裸の64桁ハッシュは誤検知（EventID等）が多いため採用しない
-  return null;
+/**
+ * メール種別を判定（宣言的ルールセットで評価）
+ * @param {Object} mail - parseEmail() の解析結果
+ * @param {Array<Object>} rules - loadRules() で読み込んだルール
+ * @returns {{ type: string, ruleId: string|null, fields: Object, txHash?: string }}
+ */
+function classifyEmail(mail, rules) {
+  const result = evaluateRules(mail, rules);
+  if (result.type === 'event') return { ...result, txHash: result.fields.txHash };
+  return result;
 }
 
-function classifyEmail(text, rawEmail) {
-  const txHash = extractTxHashFromText(text);
-  if (txHash) return { type: 'event', txHash };
-  if (isBalanceMail(text, rawEmail)) return { type: 'balance' };
-  return { type: 'other' };
-}
-
-async function fetchReceiptFromExplorer(txHash) {
-  const url = new URL(EXPLORER_API_URL);
-  // Polygonscan 互換の proxy API
-  url.searchParams.set('module', 'proxy');
-  url.searchParams.set('action', 'eth_getTransactionReceipt');
-  url.searchParams.set('txhash', txHash);
-  if (EXPLORER_API_KEY) url.searchParams.set('apikey', EXPLORER_API_KEY);
-  // デバッグ用にAPI呼び出しの概要を出力（キーは出さない）
-  logger.debug('Explorer request', {
-    base: EXPLORER_API_URL,
-    module: 'proxy',
-    action: 'eth_getTransactionReceipt',
-    txhash: txHash,
-  });
-  const res = await fetch(url.toString());
-  if (!res.ok) throw new Error(`Explorer API error: ${res.status}`);
-  const body = await res.json();
-  if (!body || !body.result) throw new Error('Invalid explorer response');
-  logger.info('Explorer (Polygonscan-compatible) receipt fetch success', { txhash: txHash });
-  return body.result;
-}
-
-// Alchemy JSON-RPC 経由
-async function fetchReceiptViaAlchemy(txHash) {
-  if (!RPC_ALCHEMY_URL) throw new Error('Alchemy URL not configured');
-  const body = {
-    jsonrpc: '2.0',
-    id: 1,
-    method: 'eth_getTransactionReceipt',
-    params: [txHash],
-  };
-  // エンドポイント解決: すでに /v2/<key> を含むならそのまま。/v2 で終わるなら /<key> を付与。
-  // それ以外は末尾に /v2/<key> を付与（APIKEYが無ければURLそのまま）。
-  let endpoint = RPC_ALCHEMY_URL.trim();
-  if (endpoint.includes('/v2/')) {
-    // 完全URL（キー含む）
-  } else if (endpoint.endsWith('/v2') && RPC_ALCHEMY_APIKEY) {
-    endpoint = `${endpoint}/${RPC_ALCHEMY_APIKEY}`;
-  } else if (RPC_ALCHEMY_APIKEY) {
-    endpoint = endpoint.replace(/\/+$/, '') + `/v2/${RPC_ALCHEMY_APIKEY}`;
-  }
-  logger.debug('Alchemy RPC request', { endpoint, method: body.method, txhash: txHash });
-  const res = await fetch(endpoint, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
-  if (!res.ok) throw new Error(`Alchemy RPC error: ${res.status}`);
-  const json = await res.json();
-  if (!json || !json.result) throw new Error('Invalid alchemy response');
-  logger.info('Alchemy RPC receipt fetch success', { txhash: txHash });
-  return json.result;
-}
-
-async function fetchReceipt(txHash) {
-  if (RPC_ALCHEMY_URL) {
-    try {
-      logger.info('Receipt fetch route selected', { route: 'alchemy' });
-      return await fetchReceiptViaAlchemy(txHash);
-    } catch (e) {
-      logger.warn('Alchemy RPC failed, fallback to explorer', {
-        error: e && e.message ? e.message : String(e),
-        fallbackRoute: 'alchemy->explorer',
-      });
+// レシート取得のプロバイダ毎メトリクス（EMF: Provider 次元）
+function emitReceiptProviderMetric({ provider, outcome, latencyMs }) {
+  if (activeRun.replay) return;
+  try {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'email-ingest';
+    const metrics = [{ Name: 'ReceiptProviderRequests', Unit: 'Count' }];
+    const values = { ReceiptProviderRequests: 1 };
+    if (outcome !== 'skipped') {
+      metrics.push({ Name: 'ReceiptProviderLatency', Unit: 'Milliseconds' });
+      values.ReceiptProviderLatency = latencyMs;
+    }
+    if (outcome === 'error') {
+      metrics.push({ Name: 'ReceiptProviderFailures', Unit: 'Count' });
+      values.ReceiptProviderFailures = 1;
     }
+    if (outcome === 'skipped') {
+      metrics.push({ Name: 'ReceiptProviderCircuitOpen', Unit: 'Count' });
+      values.ReceiptProviderCircuitOpen = 1;
+    }
+    const metricPayload = {
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [
+          {
+            Namespace: 'E2E/EmailIngest',
+            Dimensions: [['FunctionName', 'Provider']],
+            Metrics: metrics,
+          },
+        ],
+      },
+      FunctionName: functionName,
+      Provider: provider,
+      Outcome: outcome,
+      ...values,
+    };
+    console.log(JSON.stringify(metricPayload));
+  } catch (e) {
+    logger.warn('emitReceiptProviderMetric error', { error: e && e.message ? e.message : String(e) });
   }
-  logger.info('Receipt fetch route selected', { route: 'explorer' });
-  return await fetchReceiptFromExplorer(txHash);
 }
 
+// レシート取得（ターゲットの receiptProviders、省略時は RECEIPT_PROVIDERS → RPC_ALCHEMY_URL → EXPLORER_API_URL）
+const receiptFetchers = new Map(TARGETS.map((t) => [t.id, new ReceiptFetcher(loadReceiptFetcherConfig(receiptEnvForTarget(t)), {
+  logger,
+  onProviderResult: emitReceiptProviderMetric,
+})]));
+
+function targetContractAddress(target) {
+  return target.contractAddress || CONTRACT_ADDRESS;
+}
+
+const E2E_PING_EVENT = e2eMonitorInterface.getEvent('E2ePing');
+
+function toNumber(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'string' && /^0x/i.test(v)) return parseInt(v, 16);
+  return Number(v);
+}
 
-function extractCorrelationIdFromLogs(receipt) {
+/**
+ * レシートから E2ePing イベントを ABI デコード
+ * - 対象コントラクト（ターゲットの contractAddress）のログのみ
+ * - topics[0] が E2ePing のシグネチャであることを検証
+ * @returns {Object|null} { correlationIdHex, sender, clientTimestamp, nonce, blockTimestamp, tag, blockNumber, logIndex }
+ */
+function decodeE2ePingFromReceipt(receipt, contractAddress) {
   if (!receipt || !Array.isArray(receipt.logs)) return null;
-  const targetLogs = receipt.logs.filter((l) => (l.address || '').toLowerCase() === CONTRACT_ADDRESS);
+  const targetLogs = receipt.logs.filter((l) => (l.address || '').toLowerCase() === contractAddress);
   if (targetLogs.length === 0) return null;
   for (const log of targetLogs) {
     const topics = Array.isArray(log.topics) ? log.topics : [];
-    if (topics.length >= 2 && /^0x[0-9a-fA-F]{64}$/.test(topics[1])) {
-      // topics[1]はhash形式のcorrelationIdHex
-      // UUIDをSHA256でハッシュ化したものなので、デコードできない
-      const correlationIdHex = topics[1]; // hash形式（0x + 64文字）
-      return { correlationIdHex };
+    if (topics.length === 0 || String(topics[0]).toLowerCase() !== E2E_PING_EVENT.topicHash) {
+      continue;
     }
+    let parsed;
+    try {
+      parsed = e2eMonitorInterface.parseLog({ topics, data: log.data || '0x' });
+    } catch (e) {
+      logger.warn('E2ePing log decode failed', { error: e && e.message ? e.message : String(e), logIndex: log.logIndex });
+      continue;
+    }
+    if (!parsed) continue;
+    // correlationId は common/correlation-codec.js の形式（v1 は UUID を復元可能、旧形式は SHA-256 でデコード不可）
+    return {
+      correlationIdHex: String(parsed.args.correlationId).toLowerCase(),
+      sender: String(parsed.args.sender).toLowerCase(),
+      clientTimestamp: toNumber(parsed.args.clientTimestamp),
+      nonce: toNumber(parsed.args.nonce),
+      blockTimestamp: toNumber(parsed.args.blockTimestamp),
+      tag: String(parsed.args.tag).toLowerCase(),
+      blockNumber: toNumber(log.blockNumber !== undefined ? log.blockNumber : receipt.blockNumber),
+      blockHash: String(log.blockHash || receipt.blockHash || '').toLowerCase(),
+      logIndex: toNumber(log.logIndex),
+    };
   }
   return null;
 }
 
 /**
- * UNIX timestamp (ms) から UTC/JST/ms の3フィールドを生成
+ * レシートが revert されたか（status=0x0）
  */
-function makeTimestampFields(epochMs, prefix) {
-  const date = new Date(epochMs);
-
-  // UTC ISO8601
-  const utc = date.toISOString();
+function isReverted(receipt) {
+  return receipt && receipt.status !== undefined && receipt.status !== null && toNumber(receipt.status) === 0;
+}
 
-  // JST (UTC+9)
-  const jstDate = new Date(epochMs + 9 * 60 * 60 * 1000);
-  const jst = jstDate.toISOString()
-    .replace('T', ' ')
-    .replace(/\.\d{3}Z$/, ''); // "2025-10-21 21:00:00"
+/**
+ * レシートから実行 tx のガス代を算出（残高通知の照合に使う）
+ * @returns {{ gasUsed: number, effectiveGasPriceWei: string, gasCostWei: string, gasCost: number }|null}
+ */
+function extractGasCost(receipt) {
+  try {
+    if (!receipt || receipt.gasUsed === undefined || receipt.effectiveGasPrice === undefined) return null;
+    const gasUsed = BigInt(receipt.gasUsed);
+    const price = BigInt(receipt.effectiveGasPrice);
+    const costWei = gasUsed * price;
+    return {
+      gasUsed: Number(gasUsed),
+      effectiveGasPriceWei: price.toString(),
+      gasCostWei: costWei.toString(),
+      // ネイティブ通貨単位（18桁）。残高メールの数値と比較するため Number に丸める
+      gasCost: Number(costWei) / 1e18,
+    };
+  } catch (e) {
+    logger.warn('Gas cost extraction failed', { error: e && e.message ? e.message : String(e) });
+    return null;
+  }
+}
 
-  return {
-    [`${prefix}Ms`]: epochMs,
-    [`${prefix}`]: utc,
-    [`${prefix}JST`]: jst,
-  };
+/**
+ * 確認数が MIN_CONFIRMATIONS に達するまで最大 CONFIRMATION_WAIT_SEC 待つ（activeRun.deadlineMs を超えては待たない）
+ * @returns {Promise<{ ok: boolean, confirmations: number, headBlockNumber: number|null }>}
+ */
+async function waitForConfirmations(receipt, receiptFetcher) {
+  const blockNumber = toNumber(receipt.blockNumber);
+  const deadlineMs = Math.min(Date.now() + CONFIRMATION_WAIT_SEC * 1000, activeRun.deadlineMs || Infinity);
+  for (;;) {
+    const headBlockNumber = await receiptFetcher.fetchBlockNumber();
+    const confirmations = Math.max(0, headBlockNumber - blockNumber + 1);
+    if (confirmations >= MIN_CONFIRMATIONS) return { ok: true, confirmations, headBlockNumber };
+    if (Date.now() + CONFIRMATION_POLL_MS > deadlineMs) return { ok: false, confirmations, headBlockNumber };
+    logger.debug('Waiting for confirmations', { blockNumber, headBlockNumber, confirmations, required: MIN_CONFIRMATIONS });
+    await new Promise((resolve) => setTimeout(resolve, CONFIRMATION_POLL_MS));
+  }
 }
 
 function makeEventBucket(epochMs) {
@@ -242,39 +317,246 @@ function makeEventBucket(epochMs) {
   return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}`;
 }
 
-async function upsertEventRecord(correlationIdHex, txHash, eventEmailAtMs) {
+/**
+ * resolveMailTimestamps() の結果を DynamoDB 保存用の Map 属性に変換
+ */
+function toMailTimesAttr(mailTimes) {
+  return {
+    source: mailTimes.source,
+    chosenMs: mailTimes.chosenMs,
+    dateHeaderMs: mailTimes.dateHeaderMs,
+    receivedMs: mailTimes.receivedMs,
+    s3LastModifiedMs: mailTimes.s3LastModifiedMs,
+    processingMs: mailTimes.processingMs,
+    maxSkewMs: mailTimes.maxSkewMs,
+  };
+}
+
+/**
+ * イベントの真正性を検証
+ * - 想定送信者（ターゲットの expectedSender / EXPECTED_SENDER_ADDRESS）設定時: E2ePing の sender が一致すること
+ * - VERIFY_EVENT_TAG 有効時: レコードの tagHex32（init-record が保存）と E2ePing の tag が一致すること
+ *   （tagHex32 を持たない旧レコードは検証対象外）。
+ *   構造化 tag（v1）はデコードして stage（STAGE）・シナリオ（ターゲット ID）・試行番号・総試行数がレコードと一致すること
+ * - レコードの targetId（init-record が保存）とメールのターゲットが一致すること（targetId を持たない旧レコードは既定ターゲット）
+ * @returns {string|null} 不一致時は SoftMiss の理由、問題なければ null
+ */
+function verifyEventAuthenticity(ping, record, target) {
+  const expectedSender = target.expectedSender || EXPECTED_SENDER_ADDRESS;
+  if (expectedSender && ping.sender !== expectedSender) {
+    return 'EventSenderMismatch';
+  }
+  if ((record.targetId || TARGETS[0].id) !== target.id) {
+    return 'EventTargetMismatch';
+  }
+  if (VERIFY_EVENT_TAG && record.tagHex32 && String(record.tagHex32).toLowerCase() !== ping.tag) {
+    return 'EventTagMismatch';
+  }
+  if (VERIFY_EVENT_TAG && eventTagMismatches(ping, record, target).length > 0) {
+    return 'EventTagMismatch';
+  }
+  return null;
+}
+
+/**
+ * 構造化 tag（v1）の内容とレコードの照合。旧形式の tag は照合しない
+ * @returns {string[]} 一致しなかった項目名
+ */
+function eventTagMismatches(ping, record, target) {
+  const tagInfo = decodeTag(ping.tag);
+  if (!tagInfo || tagInfo.version !== 1) return [];
+  return tagMismatches(tagInfo, {
+    stage: STAGE,
+    scenario: target.id,
+    attempt: record.attempt,
+    totalAttempts: record.totalAttempts,
+  });
+}
+
+// GSI_CorrelationIdHex が使えない場合（作成直後のバックフィル中など）に GSI_TimeOrder を遡る範囲
+const CORRELATION_FALLBACK_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * correlationIdHex から E2E_TASK レコードを逆引き（新しい順）
+ * v1 形式（common/correlation-codec.js）なら correlationId を復元して GetItem で直接取得する。
+ * 旧形式（SHA-256）は GSI_CorrelationIdHex で1回のクエリで取得する。インデックスが読めない場合のみ GSI_TimeOrder を
+ * ページングしながら遡るフォールバックを使う（Limit とフィルタの併用による取りこぼしを避ける）
+ * @returns {Promise<Array<Object>>}
+ */
+async function findTaskRecordsByCorrelationIdHex(correlationIdHex) {
+  const decoded = decodeCorrelationId(correlationIdHex);
+  if (decoded && decoded.version === 1) {
+    const res = await ddb.send(new GetCommand({
+      TableName: RESULTS_TABLE,
+      Key: { correlationId: decoded.correlationId },
+      ConsistentRead: true,
+    }));
+    const item = res.Item;
+    logger.debug('Resolved correlationId from event', {
+      correlationIdHex,
+      correlationId: decoded.correlationId,
+      attempt: decoded.attempt,
+      found: Boolean(item),
+    });
+    return item && item.recordType === 'E2E_TASK' ? [item] : [];
+  }
+
   try {
-    // correlationIdHexからcorrelationIdを逆引きするため、GSI_TimeOrderで最近のレコードを検索
-    const queryResult = await ddb.send(new QueryCommand({
+    const res = await ddb.send(new QueryCommand({
+      TableName: RESULTS_TABLE,
+      IndexName: 'GSI_CorrelationIdHex',
+      KeyConditionExpression: 'correlationIdHex = :correlationIdHex',
+      FilterExpression: 'recordType = :recordType',
+      ExpressionAttributeValues: {
+        ':correlationIdHex': correlationIdHex,
+        ':recordType': 'E2E_TASK',
+      },
+      ScanIndexForward: false,  // 新しい順
+    }));
+    return res.Items || [];
+  } catch (e) {
+    if (e.name !== 'ValidationException' && e.name !== 'ResourceNotFoundException') throw e;
+    logger.warn('GSI_CorrelationIdHex unavailable, falling back to GSI_TimeOrder', {
+      correlationIdHex,
+      error: e.message,
+    });
+  }
+
+  const items = [];
+  let exclusiveStartKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
       TableName: RESULTS_TABLE,
       IndexName: 'GSI_TimeOrder',
-      KeyConditionExpression: 'recordType = :recordType',
-      FilterExpression: 'correlationIdHex = :correlationIdHex AND correlationResolved = :false',
+      KeyConditionExpression: 'recordType = :recordType AND createdAtMs >= :since',
+      FilterExpression: 'correlationIdHex = :correlationIdHex',
       ExpressionAttributeValues: {
         ':recordType': 'E2E_TASK',
+        ':since': Date.now() - CORRELATION_FALLBACK_LOOKBACK_MS,
         ':correlationIdHex': correlationIdHex,
-        ':false': false,
       },
-      ScanIndexForward: false,  // 新しい順
-      Limit: 10,  // 最近の10件を取得
+      ScanIndexForward: false,
+      ExclusiveStartKey: exclusiveStartKey,
     }));
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey && items.length === 0);
+  return items;
+}
+
+/**
+ * 解決済みレコードに別 tx のイベントが届いた場合（二重送信）に追加 tx として記録
+ * 1つの correlationId に対して tx-sender が2回以上送信したことを示す（SQS 再配信・nonce 不具合の兆候）
+ * @returns {Promise<'DoubleSend'|'EventDuplicate'>} 記録済みの tx なら EventDuplicate
+ */
+async function recordExtraTx(existing, ping, txHash, mailTimes, gas) {
+  const { correlationId } = existing;
+  const detectedFields = makeTimestampFields(Date.now(), 'detectedAt');
+  const extraTx = {
+    txHash,
+    blockNumber: ping.blockNumber,
+    blockHash: ping.blockHash,
+    blockTimestamp: ping.blockTimestamp,
+    sender: ping.sender,
+    nonce: ping.nonce,
+    clientTimestamp: ping.clientTimestamp,
+    eventEmailAtMs: mailTimes.chosenMs,
+    ...(gas ? { gasCostWei: gas.gasCostWei, gasCost: gas.gasCost } : {}),
+    ...detectedFields,
+  };
+  try {
+    // 同じ追加 tx のメールが再配信・リプレイされても二重に追記しない
+    await sendWrite(new UpdateCommand({
+      TableName: RESULTS_TABLE,
+      Key: { correlationId },
+      UpdateExpression: `
+        SET extraTxHashes = list_append(if_not_exists(extraTxHashes, :empty), :txHashList),
+            extraTxs = list_append(if_not_exists(extraTxs, :empty), :extraTxList)
+      `,
+      ConditionExpression: 'attribute_exists(correlationId) AND NOT contains(extraTxHashes, :txHash)',
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':txHash': txHash,
+        ':txHashList': [txHash],
+        ':extraTxList': [extraTx],
+      },
+    }));
+  } catch (e) {
+    if (e.name === 'ConditionalCheckFailedException') {
+      logger.info('Extra tx already recorded (duplicate event notification)', { correlationId, txHash });
+      emitMetric('SoftMiss', 'EventDuplicate');
+      return 'EventDuplicate';
+    }
+    throw e;
+  }
+
+  logger.warn('Double send detected: another tx for a resolved correlationId', {
+    correlationId,
+    correlationIdHex: ping.correlationIdHex,
+    existingTxHash: existing.txHash,
+    extraTxHash: txHash,
+    extraBlockNumber: ping.blockNumber,
+    extraSender: ping.sender,
+    extraNonce: ping.nonce,
+  });
+  emitMetric('DoubleSend', 'ExtraTx');
+  return 'DoubleSend';
+}
+
+/**
+ * イベント通知を実行レコードに反映
+ * @returns {Promise<string|null>} 反映できなかった場合は SoftMiss の理由（inbox に記録）、反映したら null
+ */
+async function upsertEventRecord(ping, txHash, mailTimes, finality, gas, target) {
+  const { correlationIdHex } = ping;
+  const eventEmailAtMs = mailTimes.chosenMs;
+  let correlationId;
+  try {
+    // correlationIdHexからcorrelationIdを逆引き
+    const items = await findTaskRecordsByCorrelationIdHex(correlationIdHex);
 
     // マッチするレコードがない場合
-    if (!queryResult.Items || queryResult.Items.length === 0) {
+    if (items.length === 0) {
       logger.warn('No existing record found for correlationIdHex (unexpected)', {
         correlationIdHex,
         txHash,
       });
       emitMetric('SoftMiss', 'EventRecordNotFound');
-      return; // レコードが存在しないため処理スキップ
+      return 'EventRecordNotFound'; // レコードが存在しないため処理スキップ
     }
 
-    // 最新のレコードを使用
-    const existing = queryResult.Items[0];
-    const correlationId = existing.correlationId;
+    // 未解決のうち最新のレコードを使用（すべて解決済みなら最新 → 重複として扱う）
+    const existing = items.find((item) => item.correlationResolved !== true) || items[0];
+    correlationId = existing.correlationId;
+
+    // 真正性チェック: 想定外の送信者・tag のイベントでは解決しない
+    const rejection = verifyEventAuthenticity(ping, existing, target);
+    if (rejection) {
+      logger.warn('Event rejected by authenticity check', {
+        correlationId,
+        correlationIdHex,
+        txHash,
+        reason: rejection,
+        sender: ping.sender,
+        expectedSender: target.expectedSender || EXPECTED_SENDER_ADDRESS || undefined,
+        targetId: target.id,
+        recordTargetId: existing.targetId,
+        tag: ping.tag,
+        tagInfo: formatTag(decodeTag(ping.tag)),
+        tagMismatches: eventTagMismatches(ping, existing, target),
+        expectedTag: existing.tagHex32,
+      });
+      emitMetric('SoftMiss', rejection);
+      return rejection;
+    }
 
     // 既にcorrelationResolved=trueの場合は重複
     if (existing.correlationResolved === true) {
+      // txHashが異なる場合は通知の重複ではなく二重送信
+      if (existing.txHash && existing.txHash !== txHash) {
+        return recordExtraTx(existing, ping, txHash, mailTimes, gas);
+      }
+
       logger.info('Event already processed (duplicate event notification)', {
         correlationId,
         correlationIdHex,
@@ -284,18 +566,7 @@ async function upsertEventRecord(correlationIdHex, txHash, eventEmailAtMs) {
 
       // メトリクス: イベント通知の重複
       emitMetric('SoftMiss', 'EventDuplicate');
-
-      // txHashが異なる場合は警告
-      if (existing.txHash !== txHash) {
-        logger.warn('Duplicate event with different txHash', {
-          correlationId,
-          correlationIdHex,
-          existingTxHash: existing.txHash,
-          newTxHash: txHash,
-        });
-      }
-
-      return; // 更新しない
+      return 'EventDuplicate'; // 更新しない
     }
 
     // 新規または未処理の場合のみ更新
@@ -307,14 +578,37 @@ async function upsertEventRecord(correlationIdHex, txHash, eventEmailAtMs) {
       : 'EVENT_ONLY';  // 残高待ち
 
     const eventFields = makeTimestampFields(eventEmailAtMs, 'eventEmailAt');
+    // レイテンシ内訳: 送信（clientTimestamp）→採掘（blockTimestamp）→メール受信（eventEmailAt）
+    const latencySubmitToMinedMs = Number.isFinite(ping.clientTimestamp) && Number.isFinite(ping.blockTimestamp)
+      ? (ping.blockTimestamp - ping.clientTimestamp) * 1000
+      : null;
+    const latencyMinedToEmailMs = Number.isFinite(ping.blockTimestamp)
+      ? eventEmailAtMs - ping.blockTimestamp * 1000
+      : null;
     const updatedFields = makeTimestampFields(Date.now(), 'updatedAt');
+    // ガス代（取得できた場合のみ）
+    const gasExpr = gas
+      ? `,
+            gasUsed = :gasUsed,
+            effectiveGasPriceWei = :gasPrice,
+            gasCostWei = :gasCostWei,
+            gasCost = :gasCost`
+      : '';
+    const gasValues = gas
+      ? { ':gasUsed': gas.gasUsed, ':gasPrice': gas.effectiveGasPriceWei, ':gasCostWei': gas.gasCostWei, ':gasCost': gas.gasCost }
+      : {};
+    // 構造化 tag のデコード結果（v1 の場合のみ。コンソールで tag の内容を確認するため）
+    const tagInfo = decodeTag(ping.tag);
+    const tagExpr = tagInfo && tagInfo.version === 1 ? `,
+            tagInfo = :tagInfo` : '';
+    const tagValues = tagInfo && tagInfo.version === 1 ? { ':tagInfo': tagInfo } : {};
 
     // TTL: createdAtMsから5年後のUnixタイムスタンプ（秒単位）
     const existingCreatedAtMs = existing.createdAtMs || Date.now();
     const TTL_SECONDS_5_YEARS = 5 * 365 * 24 * 60 * 60;
     const ttl = Math.floor(existingCreatedAtMs / 1000) + TTL_SECONDS_5_YEARS;
 
-    await ddb.send(new UpdateCommand({
+    await sendWrite(new UpdateCommand({
       TableName: RESULTS_TABLE,
       Key: { correlationId },
       UpdateExpression: `
@@ -325,11 +619,24 @@ async function upsertEventRecord(correlationIdHex, txHash, eventEmailAtMs) {
             eventEmailAt = :eventUtc,
             eventEmailAtJST = :eventJst,
             eventBucket = :eventBucket,
+            eventEmailTimes = :eventTimes,
+            #sender = :sender,
+            clientTimestamp = :clientTimestamp,
+            blockTimestamp = :blockTimestamp,
+            blockNumber = :blockNumber,
+            blockHash = :blockHash,
+            confirmations = :confirmations,
+            finality = :finality,
+            finalityCheckedAtMs = :finalityCheckedAtMs,
+            #nonce = :nonce,
+            #tag = :tag,
+            latencySubmitToMinedMs = :latSubmitToMined,
+            latencyMinedToEmailMs = :latMinedToEmail,
             #status = :status,
             updatedAtMs = :updMs,
             updatedAt = :updUtc,
             updatedAtJST = :updJst,
-            #ttl = :ttl
+            #ttl = :ttl${gasExpr}${tagExpr}
       `,
       // ★ correlationResolvedがfalseまたは存在しない場合のみ更新
       ConditionExpression: `
@@ -338,6 +645,9 @@ async function upsertEventRecord(correlationIdHex, txHash, eventEmailAtMs) {
       ExpressionAttributeNames: {
         '#status': 'status',
         '#ttl': 'ttl',
+        '#sender': 'sender',
+        '#nonce': 'nonce',
+        '#tag': 'tag',
       },
       ExpressionAttributeValues: {
         ':txHash': txHash,
@@ -348,44 +658,175 @@ async function upsertEventRecord(correlationIdHex, txHash, eventEmailAtMs) {
         ':eventUtc': eventFields.eventEmailAt,
         ':eventJst': eventFields.eventEmailAtJST,
         ':eventBucket': makeEventBucket(eventEmailAtMs),
+        ':eventTimes': toMailTimesAttr(mailTimes),
+        ':sender': ping.sender,
+        ':clientTimestamp': ping.clientTimestamp,
+        ':blockTimestamp': ping.blockTimestamp,
+        ':blockNumber': ping.blockNumber,
+        ':blockHash': ping.blockHash,
+        ':confirmations': finality.confirmations,
+        ':finality': 'CONFIRMED',
+        ':finalityCheckedAtMs': Date.now(),
+        ':nonce': ping.nonce,
+        ':tag': ping.tag,
+        ':latSubmitToMined': latencySubmitToMinedMs,
+        ':latMinedToEmail': latencyMinedToEmailMs,
         ':status': newStatus,
         ':updMs': updatedFields.updatedAtMs,
         ':updUtc': updatedFields.updatedAt,
         ':updJst': updatedFields.updatedAtJST,
         ':ttl': ttl,
+        ...gasValues,
+        ...tagValues,
       },
     }));
 
     logger.info('Event record updated', {
       correlationId,
       correlationIdHex,
+      tagInfo: formatTag(tagInfo),
       status: newStatus,
       balanceAlreadyReceived: existing?.balanceReceived === true,
     });
+    return null;
 
   } catch (e) {
     if (e.name === 'ConditionalCheckFailedException') {
-      logger.info('Event already processed (race condition)', { correlationId });
+      // 競合相手が別 tx で解決していれば二重送信
+      const res = await ddb.send(new GetCommand({ TableName: RESULTS_TABLE, Key: { correlationId } }))
+        .catch(() => ({}));
+      if (res.Item && res.Item.txHash && res.Item.txHash !== txHash) {
+        return recordExtraTx(res.Item, ping, txHash, mailTimes, gas);
+      }
+      logger.info('Event already processed (race condition)', { correlationIdHex, txHash });
       emitMetric('SoftMiss', 'EventRaceCondition');
-      return;
+      return 'EventRaceCondition';
     }
     throw e;
   }
 }
 
-// バランス通知: 時間相関で最も近いイベント実行レコードに紐付け
-async function attachBalanceByTimeWindow() {
+/**
+ * 分類ルールの抽出結果から残高情報を組み立てる
+ * @param {Object} fields - classification.fields（balanceAmount / balanceAsset / balanceWallet）
+ * @returns {{ amount?: number, amountRaw?: string, asset?: string, wallet?: string }}
+ */
+function parseBalanceFields(fields) {
+  const out = {};
+  const raw = fields && fields.balanceAmount ? String(fields.balanceAmount) : '';
+  if (raw) {
+    const amount = Number(raw.replace(/,/g, ''));
+    if (Number.isFinite(amount)) {
+      out.amount = amount;
+      out.amountRaw = raw;
+    }
+  }
+  if (fields && fields.balanceAsset) out.asset = String(fields.balanceAsset).toUpperCase();
+  if (fields && fields.balanceWallet) out.wallet = String(fields.balanceWallet);
+  return out;
+}
+
+// 残高値の EMF（Gauge）と閾値割れ時の LowBalance カウント
+function emitBalanceMetrics(balance) {
+  if (balance.amount === undefined || activeRun.replay) return;
+  try {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'email-ingest';
+    const target = activeRun.target;
+    console.log(JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [
+          {
+            Namespace: 'E2E/EmailIngest',
+            Dimensions: [['FunctionName'], ['FunctionName', 'Asset'], ...(target ? [['FunctionName', 'Target', 'Asset']] : [])],
+            Metrics: [{ Name: 'WalletBalance', Unit: 'None' }],
+          },
+        ],
+      },
+      FunctionName: functionName,
+      ...(target ? { Target: target.id } : {}),
+      Asset: balance.asset || 'UNKNOWN',
+      Wallet: balance.wallet || undefined,
+      WalletBalance: balance.amount,
+    }));
+  } catch (e) {
+    logger.warn('emitBalanceMetrics error', { error: e && e.message ? e.message : String(e) });
+  }
+  if (Number.isFinite(LOW_BALANCE_THRESHOLD) && balance.amount < LOW_BALANCE_THRESHOLD) {
+    logger.warn('Wallet balance below threshold', {
+      amount: balance.amount,
+      asset: balance.asset,
+      wallet: balance.wallet,
+      threshold: LOW_BALANCE_THRESHOLD,
+    });
+    emitMetric('LowBalance', balance.asset || 'UNKNOWN');
+  }
+}
+
+// 前回残高の保持レコード（ウォレット・通貨ごと。GSI_TimeOrder に載らないよう createdAtMs は持たない）
+function balanceStateKey(balance) {
+  return `BALANCE_STATE#${balance.asset || 'UNKNOWN'}#${(balance.wallet || 'default').toLowerCase()}`;
+}
+
+async function getPreviousBalance(balance, anchorMs) {
+  try {
+    const res = await ddb.send(new GetCommand({ TableName: RESULTS_TABLE, Key: { correlationId: balanceStateKey(balance) } }));
+    const item = res.Item;
+    // 再処理などで今回より新しい残高が記録済みなら差分は使えない
+    if (!item || !Number.isFinite(item.lastAmount) || !(item.lastEmailAtMs < anchorMs)) return null;
+    return { amount: item.lastAmount, emailAtMs: item.lastEmailAtMs };
+  } catch (e) {
+    logger.warn('Balance state read failed', { error: e && e.message ? e.message : String(e) });
+    return null;
+  }
+}
+
+async function saveBalanceState(balance, anchorMs) {
+  if (balance.amount === undefined) return;
+  const updatedFields = makeTimestampFields(Date.now(), 'updatedAt');
+  try {
+    await sendWrite(new PutCommand({
+      TableName: RESULTS_TABLE,
+      Item: {
+        correlationId: balanceStateKey(balance),
+        recordType: 'BALANCE_STATE',
+        lastAmount: balance.amount,
+        lastAmountRaw: balance.amountRaw,
+        lastEmailAtMs: anchorMs,
+        ...(balance.asset ? { asset: balance.asset } : {}),
+        ...(balance.wallet ? { wallet: balance.wallet } : {}),
+        ...updatedFields,
+      },
+      // 古いメールの再処理で最新値を巻き戻さない
+      ConditionExpression: 'attribute_not_exists(correlationId) OR lastEmailAtMs < :anchor',
+      ExpressionAttributeValues: { ':anchor': anchorMs },
+    }));
+  } catch (e) {
+    if (e.name === 'ConditionalCheckFailedException') return;
+    logger.warn('Balance state write failed', { error: e && e.message ? e.message : String(e) });
+  }
+}
+
+// バランス通知: 時間窓内の候補を採点し、最もスコアの高い実行レコードに紐付け
+// 時間窓はメール自身の時刻（mailTimes.chosenMs）を基準とする（再処理・配信遅延でずれないように）
+// 戻り値: 紐付けできなかった場合はその理由（inbox に記録）、紐付けたら null
+async function attachBalanceToRun(balance, mailTimes, target) {
   const nowMs = Date.now();
-  const WINDOW_MINUTES = 10; // 10分窓（環境変数化推奨）
-  const earliestMs = nowMs - WINDOW_MINUTES * 60 * 1000;
+  const anchorMs = mailTimes.chosenMs;
+  const windowMs = BALANCE_MATCH_WINDOW_MINUTES * 60 * 1000;
+  const earliestMs = anchorMs - windowMs;
 
   logger.info('Balance time window', {
-    windowMinutes: WINDOW_MINUTES,
+    windowMinutes: BALANCE_MATCH_WINDOW_MINUTES,
+    anchorSource: mailTimes.source,
     earliestJST: makeTimestampFields(earliestMs, 'earliest').earliestJST,
-    nowJST: makeTimestampFields(nowMs, 'now').nowJST,
+    anchorJST: makeTimestampFields(anchorMs, 'anchor').anchorJST,
   });
 
-  // GSI_TimeOrderで最新のレコードを検索
+  const previous = await getPreviousBalance(balance, anchorMs);
+  await saveBalanceState(balance, anchorMs);
+
+  // GSI_TimeOrderで時間窓内のレコードを検索
   let result;
   try {
     result = await ddb.send(new QueryCommand({
@@ -395,53 +836,77 @@ async function attachBalanceByTimeWindow() {
       ExpressionAttributeValues: {
         ':type': 'E2E_TASK',
         ':start': earliestMs,
-        ':end': nowMs,
+        ':end': anchorMs,
       },
       ScanIndexForward: false,  // 新しい順
-      Limit: 20,
     }));
   } catch (e) {
     logger.error('GSI_TimeOrder query failed', {
       error: e && e.message ? e.message : String(e)
     });
     emitMetric('Failures', 'GsiQueryError');
-    return false;
+    return 'GsiQueryError';
   }
 
-  // 候補レコードを優先順位付きで抽出
-  // 第1優先: EVENT_ONLY（イベント通知済み、残高未受信）
-  // 第2優先: PENDING（イベント未受信、残高未受信）- 順序逆転ケース対応
-  const eventOnlyCandidates = (result.Items || [])
-    .filter(item =>
-      item.correlationResolved === true &&   // イベント通知済み
-      item.balanceReceived !== true          // 残高未受信
-    );
-
-  const pendingCandidates = (result.Items || [])
-    .filter(item =>
-      item.correlationResolved !== true &&   // イベント未受信
-      item.balanceReceived !== true          // 残高未受信
-    );
-
-  const candidates = [...eventOnlyCandidates, ...pendingCandidates];
+  // 同じターゲットで残高未受信のレコードが候補（イベント通知済み / 未受信の両方。順序逆転ケース対応）
+  const candidates = (result.Items || []).filter((item) =>
+    item.balanceReceived !== true && (item.targetId || TARGETS[0].id) === target.id);
 
   if (candidates.length === 0) {
     logger.info('No eligible record for balance (all already processed)');
     // メトリクス: バランス通知の空振り（SoftMiss）
     emitMetric('SoftMiss', 'BalanceNoCandidate');
-    return false;
+    return 'BalanceNoCandidate';
   }
 
-  logger.info('Balance candidates found', {
-    eventOnly: eventOnlyCandidates.length,
-    pending: pendingCandidates.length,
-    total: candidates.length,
+  const matchOpts = { anchorMs, windowMs, previous, walletIds: BALANCE_WALLET_IDS };
+  const ranked = scoreBalanceCandidates(balance, candidates, matchOpts);
+  logger.info('Balance candidates scored', {
+    total: ranked.length,
+    previousBalance: previous ? previous.amount : undefined,
+    ranked: ranked.map((c) => ({
+      correlationId: c.record.correlationId,
+      score: c.score,
+      signals: c.signals,
+      excluded: c.excluded,
+    })),
   });
 
-  const balanceFields = makeTimestampFields(nowMs, 'balanceEmailAt');
+  const eligible = ranked.filter((c) => !c.excluded && c.score >= BALANCE_MATCH_MIN_SCORE);
+  if (eligible.length === 0) {
+    const walletMismatch = ranked.every((c) => c.excluded === 'WalletMismatch');
+    logger.warn('No balance candidate passed matching', {
+      wallet: balance.wallet,
+      minScore: BALANCE_MATCH_MIN_SCORE,
+      bestScore: ranked[0].score,
+    });
+    emitMetric('SoftMiss', walletMismatch ? 'BalanceWalletMismatch' : 'BalanceLowScore');
+    return walletMismatch ? 'BalanceWalletMismatch' : 'BalanceLowScore';
+  }
+
+  const balanceFields = makeTimestampFields(anchorMs, 'balanceEmailAt');
   const updatedFields = makeTimestampFields(nowMs, 'updatedAt');
 
-  for (const cand of candidates) {
+  // メールから読み取れた残高情報のみ追記
+  const detailSets = [];
+  const detailValues = {};
+  if (balance.amount !== undefined) {
+    detailSets.push('balanceAmount = :balAmount', 'balanceAmountRaw = :balAmountRaw');
+    detailValues[':balAmount'] = balance.amount;
+    detailValues[':balAmountRaw'] = balance.amountRaw;
+  }
+  if (balance.asset) {
+    detailSets.push('balanceAsset = :balAsset');
+    detailValues[':balAsset'] = balance.asset;
+  }
+  if (balance.wallet) {
+    detailSets.push('balanceWallet = :balWallet');
+    detailValues[':balWallet'] = balance.wallet;
+  }
+  const detailExpr = detailSets.map((e) => `,\n              ${e}`).join('');
+
+  for (const match of eligible) {
+    const cand = match.record;
     try {
       // ステータス判定: イベント通知済みならSUCCESS、未受信ならBALANCE_ONLY
       const newStatus = cand.correlationResolved === true ? 'SUCCESS' : 'BALANCE_ONLY';
@@ -451,7 +916,7 @@ async function attachBalanceByTimeWindow() {
       const TTL_SECONDS_5_YEARS = 5 * 365 * 24 * 60 * 60;
       const ttl = Math.floor(existingCreatedAtMs / 1000) + TTL_SECONDS_5_YEARS;
 
-      await ddb.send(new UpdateCommand({
+      await sendWrite(new UpdateCommand({
         TableName: RESULTS_TABLE,
         Key: { correlationId: cand.correlationId },
         UpdateExpression: `
@@ -459,11 +924,13 @@ async function attachBalanceByTimeWindow() {
               balanceEmailAtMs = :balMs,
               balanceEmailAt = :balUtc,
               balanceEmailAtJST = :balJst,
+              balanceEmailTimes = :balTimes,
               #status = :newStatus,
               updatedAtMs = :updMs,
               updatedAt = :updUtc,
               updatedAtJST = :updJst,
-              #ttl = :ttl
+              balanceMatch = :balMatch,
+              #ttl = :ttl${detailExpr}
         `,
         // ★ 重要: balanceReceivedがfalseまたは存在しない場合のみ更新
         ConditionExpression: `
@@ -479,21 +946,28 @@ async function attachBalanceByTimeWindow() {
           ':balMs': balanceFields.balanceEmailAtMs,
           ':balUtc': balanceFields.balanceEmailAt,
           ':balJst': balanceFields.balanceEmailAtJST,
+          ':balTimes': toMailTimesAttr(mailTimes),
           ':newStatus': newStatus,
           ':updMs': updatedFields.updatedAtMs,
           ':updUtc': updatedFields.updatedAt,
           ':updJst': updatedFields.updatedAtJST,
+          ':balMatch': summarizeMatch(match, ranked, matchOpts),
           ':ttl': ttl,
+          ...detailValues,
         },
       }));
 
       logger.info('Balance attached successfully', {
         correlationId: cand.correlationId,
         status: newStatus,
+        balanceAmount: balance.amount,
+        balanceAsset: balance.asset,
+        score: match.score,
+        signals: match.signals,
         eventReceived: cand.correlationResolved === true,
         createdAtJST: cand.createdAtJST,
       });
-      return true;
+      return null;
 
     } catch (e) {
       // ConditionalCheckFailedException = 既に他の残高通知で処理済み
@@ -516,64 +990,140 @@ async function attachBalanceByTimeWindow() {
   // 全候補が既に処理済み（2通目以降の残高通知）
   logger.info('All candidates already have balance (duplicate balance notification)');
   emitMetric('SoftMiss', 'BalanceDuplicate');
-  return false;
+  return 'BalanceDuplicate';
 }
 
-function decodeRfc2047(str) {
-  return String(str || '')
-    .replace(/=\?utf-8\?b\?([^?]+)\?=/gi, (_, b64) => {
-      try { return Buffer.from(b64, 'base64').toString('utf8'); } catch { return _; }
-    })
-    .replace(/=\?utf-8\?q\?([^?]+)\?=/gi, (_, q) => {
-      try {
-        const replaced = q.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-        return replaced;
-      } catch {
-        return _;
-      }
-    });
+// 処理できなかったメール（分類不能・紐付け不能・不合格など）を inbox テーブルに記録
+// 同じメールの再処理は上書き（inboxId = "<bucket>/<key>"）。記録失敗は処理を止めない
+async function recordInboxMail({ bucket, key, mail, mailTimes, reason, targetId, classification, txHash, details }) {
+  if (!INBOX_TABLE) return;
+  const nowMs = Date.now();
+  const ttlSeconds = INBOX_TTL_DAYS * 24 * 60 * 60;
+  try {
+    await sendWrite(new PutCommand({
+      TableName: INBOX_TABLE,
+      Item: {
+        inboxId: `${bucket}/${key}`,
+        recordType: 'INBOX',
+        reason,
+        s3Bucket: bucket,
+        s3Key: key,
+        subject: mail.subject || '',
+        from: mail.from || '',
+        targetId,
+        ...(classification ? { classification: classification.type, ruleId: classification.ruleId || null } : {}),
+        ...(txHash ? { txHash } : {}),
+        ...(details ? { details } : {}),
+        mailTimes: toMailTimesAttr(mailTimes),
+        ...makeTimestampFields(mailTimes.chosenMs, 'mailAt'),
+        ...makeTimestampFields(nowMs, 'recordedAt'),
+        ttl: Math.floor(nowMs / 1000) + ttlSeconds,
+      },
+    }));
+  } catch (e) {
+    logger.warn('Inbox record failed', { key, reason, error: e && e.message ? e.message : String(e) });
+  }
 }
 
-function extractSubject(rawEmail) {
-  const raw = String(rawEmail || '');
-  const headerEndIdx = raw.indexOf('\n\n');
-  const headers = headerEndIdx >= 0 ? raw.slice(0, headerEndIdx) : raw;
-  const lines = headers.split(/\r?\n/);
-  let subject = '';
-  let capturing = false;
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (!capturing) {
-      const m = /^Subject:\s*(.*)$/i.exec(line);
-      if (m) {
-        subject = m[1];
-        capturing = true;
-      }
-    } else {
-      if (/^[\t\s]/.test(line)) subject += ' ' + line.trim();
-      else break;
+/**
+ * 処理済みオブジェクト台帳（結果テーブルの `PROCESSED#<bucket>/<key>` アイテム）
+ * S3 / EventBridge は at-least-once 配信のため、同じオブジェクトの再配信を処理前に短絡する。
+ * status: PROCESSING（処理中。leaseUntilMs = 呼び出しの終了時刻まで占有）→ COMPLETED（処理済み。outcome を保持）
+ * 確認数不足での保留・予期しないエラー時は台帳から削除してエラー終了し、Lambda の非同期リトライで再処理できるようにする。
+ */
+function ledgerKey(bucket, key) {
+  return `PROCESSED#${bucket}/${key}`;
+}
+
+/**
+ * オブジェクトの処理権を取得
+ * 台帳の読み書きに失敗した場合は処理を優先する（取りこぼしより重複処理の方が安全なため）
+ * @returns {Promise<{ claimed: boolean, status?: string, outcome?: string }>}
+ */
+async function claimObject(bucket, key) {
+  const nowMs = Date.now();
+  try {
+    await ddb.send(new PutCommand({
+      TableName: RESULTS_TABLE,
+      Item: {
+        correlationId: ledgerKey(bucket, key),
+        recordType: 'PROCESSED_OBJECT',
+        s3Bucket: bucket,
+        s3Key: key,
+        status: 'PROCESSING',
+        leaseUntilMs: activeRun.deadlineMs ? activeRun.deadlineMs + INVOCATION_RESERVE_MS : nowMs + PROCESSED_LEDGER_LEASE_MS,
+        ...makeTimestampFields(nowMs, 'claimedAt'),
+        ttl: Math.floor(nowMs / 1000) + PROCESSED_LEDGER_TTL_DAYS * 24 * 60 * 60,
+      },
+      ConditionExpression: 'attribute_not_exists(correlationId) OR (#status = :processing AND leaseUntilMs < :now)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':processing': 'PROCESSING', ':now': nowMs },
+    }));
+    return { claimed: true };
+  } catch (e) {
+    if (e.name !== 'ConditionalCheckFailedException') {
+      logger.warn('Processed ledger claim failed, processing anyway', { key, error: e && e.message ? e.message : String(e) });
+      return { claimed: true };
     }
   }
-  return decodeRfc2047(subject).trim();
+  try {
+    const res = await ddb.send(new GetCommand({ TableName: RESULTS_TABLE, Key: { correlationId: ledgerKey(bucket, key) } }));
+    const item = res.Item || {};
+    return { claimed: false, status: item.status, outcome: item.outcome };
+  } catch (e) {
+    return { claimed: false };
+  }
 }
 
-function isBalanceMail(text, rawEmail) {
-  // 件名優先
-  const subj = extractSubject(rawEmail).toLowerCase();
-  if (subj) {
-    if (subj.includes('wallet') && subj.includes('balance')) return true;
-    if (subj.includes('ウォレット残高')) return true;
-    if (/ウォレット\s*.*\s*残高/.test(subj) || /残高\s*.*\s*ウォレット/.test(subj) || subj.includes('残高通知')) return true;
+/**
+ * 処理完了を台帳に記録
+ */
+async function completeObject(bucket, key, trace) {
+  const completedFields = makeTimestampFields(Date.now(), 'completedAt');
+  try {
+    await ddb.send(new UpdateCommand({
+      TableName: RESULTS_TABLE,
+      Key: { correlationId: ledgerKey(bucket, key) },
+      UpdateExpression: `
+        SET #status = :completed,
+            outcome = :outcome,
+            messageId = :messageId,
+            completedAtMs = :cMs,
+            completedAt = :cUtc,
+            completedAtJST = :cJst
+        REMOVE leaseUntilMs
+      `,
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':completed': 'COMPLETED',
+        ':outcome': trace.outcome || 'Unknown',
+        ':messageId': trace.messageId || null,
+        ':cMs': completedFields.completedAtMs,
+        ':cUtc': completedFields.completedAt,
+        ':cJst': completedFields.completedAtJST,
+      },
+    }));
+  } catch (e) {
+    logger.warn('Processed ledger update failed', { key, error: e && e.message ? e.message : String(e) });
+  }
+}
+
+/**
+ * 処理権を解放（再試行で再処理させる）
+ */
+async function releaseObject(bucket, key) {
+  try {
+    await ddb.send(new DeleteCommand({
+      TableName: RESULTS_TABLE,
+      Key: { correlationId: ledgerKey(bucket, key) },
+      ConditionExpression: '#status = :processing',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':processing': 'PROCESSING' },
+    }));
+  } catch (e) {
+    if (e.name === 'ConditionalCheckFailedException') return;
+    logger.warn('Processed ledger release failed', { key, error: e && e.message ? e.message : String(e) });
   }
-  // 本文
-  const decoded = decodeRfc2047(String(text || ''));
-  const lower = decoded.toLowerCase();
-  const normalized = lower.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
-  if (normalized.includes('wallet') && normalized.includes('balance')) return true;
-  if (normalized.includes('ウォレット残高')) return true;
-  const jpPatterns = [/ウォレット\s*.*\s*残高/, /残高\s*.*\s*ウォレット/, /残高通知/];
-  for (const re of jpPatterns) if (re.test(normalized)) return true;
-  return false;
 }
 
 function extractS3Events(evt) {
@@ -593,91 +1143,393 @@ function extractS3Events(evt) {
   return out;
 }
 
+/**
+ * 分類ルールを読み込む（SSM パラメータ / 同梱ルール）
+ */
+async function loadClassificationRules() {
+  const ruleSet = await loadRules();
+  if (ruleSet.warning) {
+    logger.warn('Classification rules fallback', { warning: ruleSet.warning });
+  }
+  logger.debug('Classification rules loaded', { source: ruleSet.source, version: ruleSet.version, count: ruleSet.rules.length });
+  return ruleSet;
+}
+
+/**
+ * S3 の1オブジェクト（受信メール）を処理
+ * @returns {Promise<Object>} 処理結果 { bucket, key, mailAt, targetId, classification, txHash, correlationIdHex, outcome, writes }
+ *   outcome: Resolved | Attached | Ignored | DoubleSend | Deferred | inbox の reason（Rejected, EventRecordNotFound 等）
+ *   Deferred は再試行で解決しうる失敗（確認数不足・レシート取得失敗・DynamoDB エラー等。deferReason に理由）で、
+ *   通常の呼び出しでは台帳を解放してエラー終了し、Lambda の非同期リトライで再処理する
+ */
+async function processObject(bucket, key, ruleSet) {
+  const trace = { bucket, key, outcome: null, writes: [] };
+  activeRun.trace = trace;
+  activeRun.target = null;
+  logger.info('Processing S3 object', { bucket, key, replay: activeRun.replay || undefined, dryRun: activeRun.dryRun || undefined });
+
+  const obj = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const raw = await streamToBuffer(obj.Body);
+
+  // MIME解析（パートごとに Content-Transfer-Encoding / charset をデコード）
+  const mail = parseEmail(raw);
+  trace.messageId = firstHeader(mail.headers, 'message-id').trim() || undefined;
+  logger.debug('Email parsed', { subject: mail.subject, from: mail.from, parts: mail.parts });
+
+  // ターゲット判定（受信アドレス / 本文のエクスプローラ URL。判定できなければ既定ターゲット）
+  const { target, matchedBy } = resolveTargetForMail(TARGETS, mail);
+  activeRun.target = target;
+  trace.targetId = target.id;
+  logger.info('Target resolved', { targetId: target.id, matchedBy });
+  const receiptFetcher = receiptFetchers.get(target.id);
+
+  // メール自身の時刻（Received / S3 LastModified / Date ヘッダ）を解決
+  const mailTimes = resolveMailTimestamps(mail, { s3LastModified: obj.LastModified });
+  trace.mailAt = new Date(mailTimes.chosenMs).toISOString();
+  logger.info('Email timestamps resolved', {
+    source: mailTimes.source,
+    chosenJST: makeTimestampFields(mailTimes.chosenMs, 'chosen').chosenJST,
+    maxSkewMs: mailTimes.maxSkewMs,
+    skewPair: mailTimes.skewPair,
+    processingDelayMs: mailTimes.processingMs - mailTimes.chosenMs,
+  });
+  if (mailTimes.maxSkewMs > EMAIL_TIME_SKEW_THRESHOLD_SEC * 1000) {
+    logger.warn('Email timestamps skewed', {
+      maxSkewMs: mailTimes.maxSkewMs,
+      skewPair: mailTimes.skewPair,
+      dateHeaderMs: mailTimes.dateHeaderMs,
+      receivedMs: mailTimes.receivedMs,
+      s3LastModifiedMs: mailTimes.s3LastModifiedMs,
+    });
+    emitMetric('EmailTimeSkew', mailTimes.skewPair);
+  }
+  // 処理できなかったメールを inbox に記録（理由・分類・txHash 等）
+  const toInbox = (reason, extra) => {
+    trace.outcome = reason;
+    return recordInboxMail({ bucket, key, mail, mailTimes, reason, targetId: target.id, ...extra });
+  };
+  // 再試行で解決しうる失敗は inbox に記録せず保留する（リトライを使い切ったものは DLQ に残る）
+  const defer = (reason, e) => {
+    trace.outcome = 'Deferred';
+    trace.deferReason = reason;
+    if (e) trace.error = e && e.message ? e.message : String(e);
+    return trace;
+  };
+
+  // 真正性検証（SES判定ヘッダ / SPF・DKIM・DMARC / 送信元ドメイン）
+  const auth = evaluateMailAuth(mail, MAIL_AUTH_POLICY);
+  if (!auth.ok) {
+    const details = {
+      key,
+      from: mail.from,
+      subject: mail.subject,
+      senderDomain: auth.senderDomain,
+      reasons: auth.reasons,
+      verdicts: auth.verdicts,
+    };
+    if (MAIL_AUTH_POLICY.mode === 'enforce') {
+      logger.warn('Email rejected by authenticity check', details);
+      emitMetric('Rejected', auth.reasons[0]);
+      await toInbox('Rejected', {
+        details: { rejectReasons: auth.reasons, verdicts: auth.verdicts, senderDomain: auth.senderDomain },
+      });
+      return trace;
+    }
+    logger.warn('Email authenticity check failed (monitor mode, continuing)', details);
+    emitMetric('RejectedMonitorOnly', auth.reasons[0]);
+  } else {
+    logger.debug('Email authenticity check passed', { senderDomain: auth.senderDomain, verdicts: auth.verdicts });
+  }
+
+  // 種類判別 → 種類別処理
+  const classification = classifyEmail(mail, ruleSet.rules);
+  trace.classification = { type: classification.type, ruleId: classification.ruleId };
+  logger.info('Email classified', {
+    type: classification.type,
+    ruleId: classification.ruleId,
+    ruleSource: ruleSet.source,
+    subject: mail.subject,
+  });
+
+  if (classification.type === 'balance') {
+    const balance = parseBalanceFields(classification.fields);
+    logger.info('Balance notification email detected, trying scored attach', {
+      amount: balance.amount,
+      asset: balance.asset,
+      wallet: balance.wallet,
+    });
+    emitBalanceMetrics(balance);
+    try {
+      const miss = await attachBalanceToRun(balance, mailTimes, target);
+      if (miss) {
+        await toInbox(miss, { classification, details: { balance } });
+      } else {
+        trace.outcome = 'Attached';
+        logger.info('Balance processed');
+      }
+    } catch (e) {
+      logger.warn('Balance processing failed', { error: e && e.message ? e.message : String(e) });
+      defer('BalanceError', e);
+    }
+    return trace; // balance はここで完了
+  }
+
+  if (classification.type === 'other' || classification.type === 'ignore') {
+    logger.info('Other mail type detected, skipping', { type: classification.type, ruleId: classification.ruleId });
+    // ignore はルールで明示的に無視したもの。other（どのルールにも一致しない）はテンプレート変更の兆候として記録
+    if (classification.type === 'other') await toInbox('Unclassified', { classification });
+    else trace.outcome = 'Ignored';
+    return trace;
+  }
+
+  if (classification.type !== 'event') {
+    // カスタム種別: 現状は判定結果の記録のみ（処理系は未定義）
+    logger.info('Custom mail type detected, no handler registered', {
+      type: classification.type,
+      ruleId: classification.ruleId,
+      fields: classification.fields,
+    });
+    await toInbox('NoHandler', { classification, details: { fields: classification.fields } });
+    return trace;
+  }
+
+  const txHash = classification.txHash;
+  trace.txHash = txHash;
+  logger.info('TxHash extracted', { txHash });
+
+  let receipt;
+  try {
+    receipt = await receiptFetcher.fetchReceipt(txHash, { deadlineMs: activeRun.deadlineMs || undefined });
+  } catch (e) {
+    logger.warn('Receipt fetch failed', { error: e && e.message ? e.message : String(e), txHash });
+    emitMetric('Failures', 'ExplorerError');
+    return defer('ExplorerError', e);
+  }
+  logger.debug('Receipt fetched');
+
+  if (isReverted(receipt)) {
+    logger.warn('Transaction reverted', { txHash, blockNumber: toNumber(receipt.blockNumber) });
+    emitMetric('Failures', 'TxReverted');
+    await toInbox('TxReverted', { classification, txHash });
+    return trace;
+  }
+
+  let finality;
+  try {
+    finality = await waitForConfirmations(receipt, receiptFetcher);
+  } catch (e) {
+    logger.warn('Block number fetch failed', { error: e && e.message ? e.message : String(e), txHash });
+    emitMetric('Failures', 'ExplorerError');
+    return defer('ExplorerError', e);
+  }
+  if (!finality.ok) {
+    logger.warn('Insufficient confirmations, deferring', {
+      txHash,
+      confirmations: finality.confirmations,
+      required: MIN_CONFIRMATIONS,
+      headBlockNumber: finality.headBlockNumber,
+    });
+    emitMetric('SoftMiss', 'InsufficientConfirmations');
+    return defer('InsufficientConfirmations');
+  }
+
+  const gas = extractGasCost(receipt);
+  const ping = decodeE2ePingFromReceipt(receipt, targetContractAddress(target));
+  if (!ping) {
+    logger.warn('CorrelationId not found in logs', { txHash });
+    emitMetric('SoftMiss', 'CorrelationIdNotFound');
+    await toInbox('CorrelationIdNotFound', { classification, txHash });
+    return trace;
+  }
+  trace.correlationIdHex = ping.correlationIdHex;
+  logger.info('E2ePing decoded', ping);
+
+  try {
+    logger.info('Upserting event record to DynamoDB', { table: RESULTS_TABLE });
+    const miss = await upsertEventRecord(ping, txHash, mailTimes, finality, gas, target);
+    if (miss === 'DoubleSend') {
+      // 二重送信はレコード（extraTxHashes / extraTxs）に記録済み
+      trace.outcome = 'DoubleSend';
+    } else if (miss) {
+      await toInbox(miss, { classification, txHash, details: { correlationIdHex: ping.correlationIdHex } });
+    } else {
+      trace.outcome = 'Resolved';
+      logger.info('DynamoDB write success');
+    }
+  } catch (e) {
+    logger.error('DynamoDB PutItem failed', { error: e && e.message ? e.message : String(e) });
+    emitMetric('Failures', 'DdbError');
+    defer('DdbError', e);
+  }
+  return trace;
+}
+
+/**
+ * リプレイ対象のオブジェクトを列挙
+ * key / keys 指定時はそのまま、prefix 指定時は S3 を列挙して LastModified が [from, to) のものに絞る
+ * @returns {Promise<{ keys: string[], nextStartAfter?: string }>}
+ */
+async function listReplayObjects(bucket, req, limit) {
+  if (req.key) return { keys: [req.key] };
+  if (Array.isArray(req.keys)) return { keys: req.keys.slice(0, limit) };
+
+  const fromMs = req.from ? Date.parse(req.from) : NaN;
+  const toMs = req.to ? Date.parse(req.to) : NaN;
+  if ((req.from && !Number.isFinite(fromMs)) || (req.to && !Number.isFinite(toMs))) {
+    throw new Error(`Invalid replay time range: from=${req.from} to=${req.to}`);
+  }
+  const keys = [];
+  let startAfter = req.startAfter;
+  let continuationToken;
+  do {
+    const res = await s3.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: req.prefix || undefined,
+      StartAfter: continuationToken ? undefined : startAfter,
+      ContinuationToken: continuationToken,
+    }));
+    for (const obj of res.Contents || []) {
+      const modifiedMs = obj.LastModified ? new Date(obj.LastModified).getTime() : NaN;
+      if (Number.isFinite(fromMs) && !(modifiedMs >= fromMs)) continue;
+      if (Number.isFinite(toMs) && !(modifiedMs < toMs)) continue;
+      keys.push(obj.Key);
+      // 上限に達したら続きの開始位置を返す（次回の startAfter に指定）
+      if (keys.length >= limit) return { keys, nextStartAfter: obj.Key };
+    }
+    continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+  } while (continuationToken);
+  return { keys };
+}
+
+/**
+ * 保存済みメールの再処理（リプレイ）
+ * event.replay = { bucket?, key? | keys? | prefix?, from?, to?, startAfter?, limit?, dryRun? }
+ *   - dryRun（既定 true）: 分類・txHash・correlationIdHex と予定の DynamoDB 書き込みを返すのみ
+ *   - dryRun=false      : 通常処理と同じく書き込む（メール時刻は Received / LastModified の当時の値）
+ * リプレイ中はメトリクスを出力せず、確認数不足等の保留もエラー終了にしない（結果の outcome=Deferred で返す）
+ * 処理済みオブジェクト台帳は参照・更新しない（再処理が目的のため）
+ * 呼び出しの残り時間が INVOCATION_RESERVE_MS を切ったら残りを処理せずに返す（少なくとも1件は処理する）。
+ * その場合の nextStartAfter は最後に処理したキー、keys 指定時は未処理のキーを remainingKeys で返す
+ */
+async function runReplay(req, ruleSet, context) {
+  const bucket = req.bucket || EMAIL_BUCKET;
+  if (!bucket) throw new Error('Missing replay bucket (replay.bucket or EMAIL_BUCKET)');
+  if (!req.key && !Array.isArray(req.keys) && req.prefix === undefined && !req.from && !req.to) {
+    throw new Error('Replay requires key, keys, prefix or from/to');
+  }
+  const limit = Math.max(1, Number(req.limit || REPLAY_DEFAULT_LIMIT));
+  const dryRun = req.dryRun !== false;
+  const listed = await listReplayObjects(bucket, req, limit);
+  const { keys } = listed;
+  let { nextStartAfter } = listed;
+  logger.info('Replay started', { bucket, count: keys.length, dryRun, prefix: req.prefix, from: req.from, to: req.to });
+
+  const results = [];
+  const deadlineMs = context && typeof context.getRemainingTimeInMillis === 'function'
+    ? Date.now() + context.getRemainingTimeInMillis() - INVOCATION_RESERVE_MS
+    : null;
+  let remainingKeys;
+  activeRun = { replay: true, dryRun, trace: null, target: null, deadlineMs };
+  try {
+    for (const [i, key] of keys.entries()) {
+      if (deadlineMs && i > 0 && Date.now() >= deadlineMs) {
+        logger.warn('Replay time budget exhausted, stopping', { bucket, processed: i, remaining: keys.length - i });
+        nextStartAfter = keys[i - 1];
+        if (Array.isArray(req.keys)) remainingKeys = keys.slice(i);
+        break;
+      }
+      try {
+        results.push(await processObject(bucket, key, ruleSet));
+      } catch (e) {
+        logger.error('Unexpected replay error', { key, error: e && e.message ? e.message : String(e) });
+        results.push({ bucket, key, outcome: 'UnexpectedError', error: e && e.message ? e.message : String(e) });
+      }
+    }
+  } finally {
+    activeRun = { replay: false, dryRun: false, trace: null, target: null, deadlineMs: null };
+  }
+  logger.info('Replay finished', { bucket, count: results.length, dryRun, nextStartAfter, remaining: remainingKeys ? remainingKeys.length : undefined });
+  return { ok: true, dryRun, bucket, count: results.length, nextStartAfter, remainingKeys, results };
+}
+
 exports.handler = async (event, context) => {
   const requestId = context && context.awsRequestId ? context.awsRequestId : undefined;
+  if (!RESULTS_TABLE) throw new Error('Missing RESULTS_TABLE');
+  for (const target of TARGETS) {
+    if (receiptFetchers.get(target.id).providers.length === 0) {
+      throw new Error(`Missing receipt providers for target "${target.id}" (receiptProviders, RECEIPT_PROVIDERS or EXPLORER_API_URL)`);
+    }
+    if (!targetContractAddress(target)) throw new Error(`Missing contract address for target "${target.id}" (contractAddress or CONTRACT_ADDRESS)`);
+  }
+
+  if (event && event.replay) {
+    logger.info('email-ingest invoked (replay)', { requestId, replay: event.replay });
+    return runReplay(event.replay, await loadClassificationRules(), context);
+  }
+
   const extracted = extractS3Events(event);
   logger.info('email-ingest invoked', { requestId, recordCount: extracted.length, source: event?.source || undefined });
-  if (!RESULTS_TABLE) throw new Error('Missing RESULTS_TABLE');
-  if (!EXPLORER_API_URL) throw new Error('Missing EXPLORER_API_URL');
-  if (!CONTRACT_ADDRESS) throw new Error('Missing CONTRACT_ADDRESS');
 
   if (extracted.length === 0) {
     logger.warn('No S3 records in event (unexpected)');
     return { ok: true, processed: 0 };
   }
 
-  for (const rec of extracted) {
-    try {
-      const bucket = rec.bucket;
-      const key = decodeURIComponent(String(rec.key).replace(/\+/g, ' '));
-      logger.info('Processing S3 object', { bucket, key });
-
-      const obj = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-      const raw = await streamToString(obj.Body);
-
-      // quoted-printable 部分のデコード（雑だがメール全体に適用）
-      const text = decodeQuotedPrintable(raw);
-
-      // 種類判別 → 種類別処理
-      const classification = classifyEmail(text, raw);
-      logger.info('Email classified', { type: classification.type });
-
-      if (classification.type === 'balance') {
-        logger.info('Balance notification email detected, trying time-window attach');
-        try {
-          await attachBalanceByTimeWindow();
-          logger.info('Balance processed');
-        } catch (e) {
-          logger.warn('Balance processing failed', { error: e && e.message ? e.message : String(e) });
-        }
-        continue; // balance はここで完了
-      }
+  const ruleSet = await loadClassificationRules();
 
-      if (classification.type === 'other') {
-        logger.info('Other mail type detected, skipping');
-        continue;
-      }
+  // 確認数不足・時間切れ・予期しないエラーで保留したオブジェクト（最後にエラーを返して Lambda の非同期リトライに委ねる）
+  const deferred = [];
+  activeRun.deadlineMs = context && typeof context.getRemainingTimeInMillis === 'function'
+    ? Date.now() + context.getRemainingTimeInMillis() - INVOCATION_RESERVE_MS
+    : null;
 
-      const txHash = classification.txHash;
-      logger.info('TxHash extracted', { txHash });
-
-      let receipt;
-      try {
-        receipt = await fetchReceipt(txHash);
-      } catch (e) {
-        logger.warn('Explorer API error', { error: e && e.message ? e.message : String(e), txHash });
-        emitMetric('Failures', 'ExplorerError');
+  for (const rec of extracted) {
+    let key = String(rec.key);
+    try {
+      key = decodeURIComponent(key.replace(/\+/g, ' '));
+      if (activeRun.deadlineMs && Date.now() >= activeRun.deadlineMs) {
+        logger.warn('Invocation time budget exhausted, deferring', { bucket: rec.bucket, key });
+        deferred.push(key);
         continue;
       }
-      logger.debug('Explorer receipt fetched');
-
-      const extractResult = extractCorrelationIdFromLogs(receipt);
-      if (!extractResult) {
-        logger.warn('CorrelationId not found in logs', { txHash });
-        emitMetric('SoftMiss', 'CorrelationIdNotFound');
+      // 再配信（処理済み / 処理中のオブジェクト）は処理しない。通知自体の重複（EventDuplicate 等）とは別に計上
+      activeRun.target = null;
+      const claim = await claimObject(rec.bucket, key);
+      if (!claim.claimed) {
+        logger.info('S3 object already processed, skipping redelivery', { bucket: rec.bucket, key, status: claim.status, outcome: claim.outcome });
+        emitMetric('Redelivered', claim.status === 'COMPLETED' ? 'Completed' : 'InFlight');
         continue;
       }
-      const { correlationIdHex } = extractResult;
-      logger.info('CorrelationIdHex extracted', { correlationIdHex });
-
+      let trace;
       try {
-        const nowMs = Date.now();
-        logger.info('Upserting event record to DynamoDB', { table: RESULTS_TABLE });
-        await upsertEventRecord(correlationIdHex, txHash, nowMs);
-        logger.info('DynamoDB write success');
+        trace = await processObject(rec.bucket, key, ruleSet);
       } catch (e) {
-        logger.error('DynamoDB PutItem failed', { error: e && e.message ? e.message : String(e) });
-        emitMetric('Failures', 'DdbError');
-        continue;
+        await releaseObject(rec.bucket, key);
+        throw e;
+      }
+      // 台帳を COMPLETED にするのは最終的な結果のみ（保留は解放して再試行に委ねる）
+      if (trace.outcome === 'Deferred') {
+        logger.info('S3 object deferred', { bucket: rec.bucket, key, reason: trace.deferReason });
+        deferred.push(key);
+        await releaseObject(rec.bucket, key);
+      } else {
+        await completeObject(rec.bucket, key, trace);
       }
     } catch (e) {
-      logger.error('Unexpected processing error', { error: e && e.message ? e.message : String(e) });
+      logger.error('Unexpected processing error', { key, error: e && e.message ? e.message : String(e) });
       emitMetric('Failures', 'UnexpectedError');
-      // 1レコード失敗でも他は処理継続
+      // 1レコード失敗でも他は処理継続（台帳・処理のどこで失敗しても再試行の対象にする）
+      if (!deferred.includes(key)) deferred.push(key);
     }
   }
+  activeRun.trace = null;
+  activeRun.target = null;
+  activeRun.deadlineMs = null;
+  if (deferred.length > 0) {
+    // EventBridge → Lambda は非同期呼び出しのため、エラー終了で自動リトライ（最大2回）される
+    // リトライでも解決できなかったイベントはデッドレターキューに送られる（CDK の EmailIngestDlq。アラームで通知）
+    throw new Error(`Deferred ${deferred.length} object(s) for retry: ${deferred.join(', ')}`);
+  }
   logger.info('email-ingest finished');
   return { ok: true };
 };
-
-
@@ -0,0 +1,146 @@
+/**
+ * email-ingest 受信メールの真正性検証
+ *
+ * 役割: SES が付与する判定ヘッダと送信元ドメインを検証し、なりすましメールを処理対象から除外する。
+ *   - X-SES-Spam-Verdict / X-SES-Virus-Verdict : SES のスパム・ウイルス判定（受信ルールで scanEnabled が必要）
+ *   - Authentication-Results                  : SES による SPF / DKIM / DMARC の判定結果
+ *                                               （SES が先頭に付与した authserv-id amazonses.com のヘッダのみ信頼。
+ *                                                送信者が付けた同名ヘッダは無視する）
+ *   - From ヘッダのドメイン                    : 許可ドメイン一覧（サブドメイン含む）との照合
+ *
+ * 検証モード（MAIL_AUTH_MODE）:
+ *   - enforce : 不合格メールは Rejected として処理しない（既定）
+ *   - monitor : 判定結果を記録するのみで処理は継続（導入時の様子見用）
+ *   - off     : 検証しない
+ */
+'use strict';
+
+const VALID_CHECKS = ['spam', 'virus', 'spf', 'dkim', 'dmarc'];
+// SES が付与する Authentication-Results の authserv-id
+const SES_AUTHSERV_ID = 'amazonses.com';
+// 同じ方式に複数の結果がある場合に採用する順（後ろほど悪い。未知の結果は fail 扱い）
+const RESULT_SEVERITY = ['pass', 'neutral', 'none', 'policy', 'softfail', 'temperror', 'permerror', 'fail'];
+
+function severity(result) {
+  const i = RESULT_SEVERITY.indexOf(result);
+  return i === -1 ? RESULT_SEVERITY.length : i;
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => s.length > 0);
+}
+
+/**
+ * 環境変数から検証ポリシーを構築
+ * @returns {{ mode: string, requiredChecks: string[], allowedSenderDomains: string[] }}
+ */
+function loadMailAuthPolicy(env = process.env) {
+  const mode = String(env.MAIL_AUTH_MODE || 'enforce').toLowerCase();
+  const requiredChecks = splitList(env.MAIL_AUTH_REQUIRED_CHECKS || 'spam,virus,dmarc');
+  for (const c of requiredChecks) {
+    if (!VALID_CHECKS.includes(c)) throw new Error(`Unknown MAIL_AUTH_REQUIRED_CHECKS entry: ${c}`);
+  }
+  return {
+    mode: ['enforce', 'monitor', 'off'].includes(mode) ? mode : 'enforce',
+    requiredChecks,
+    allowedSenderDomains: splitList(env.ALLOWED_SENDER_DOMAINS),
+  };
+}
+
+/**
+ * Authentication-Results ヘッダ（RFC 8601）から spf / dkim / dmarc の結果を取り出す
+ * 信頼するのは先頭（受信側の SES が最後に付与した）ヘッダで、authserv-id が amazonses.com のもののみ。
+ * 送信者が付けた同名ヘッダは後ろに並ぶため読まない（先頭が SES 以外なら判定なし = Missing）。
+ * 同じ方式に複数の結果がある場合（DKIM 署名が複数ある場合など）は最も悪い結果を採用する
+ * @param {string[]} values - Authentication-Results ヘッダ値の配列（メール内の出現順）
+ * @param {string} [authservId] - 信頼する authserv-id
+ * @returns {{ spf: string|null, dkim: string|null, dmarc: string|null }}
+ */
+function parseAuthenticationResults(values, authservId = SES_AUTHSERV_ID) {
+  const out = { spf: null, dkim: null, dmarc: null };
+  const top = Array.isArray(values) && values.length > 0 ? String(values[0]) : '';
+  const sep = top.indexOf(';');
+  // authserv-id [version] ; resinfo ; ...
+  const servId = (sep === -1 ? top : top.slice(0, sep)).trim().split(/\s+/)[0].toLowerCase();
+  if (sep === -1 || servId !== authservId) return out;
+
+  const re = /\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi;
+  let m;
+  while ((m = re.exec(top.slice(sep + 1))) !== null) {
+    const method = m[1].toLowerCase();
+    const result = m[2].toLowerCase();
+    if (out[method] === null || severity(result) > severity(out[method])) out[method] = result;
+  }
+  return out;
+}
+
+/**
+ * From ヘッダ値からアドレスのドメイン部を取り出す
+ */
+function extractSenderDomain(from) {
+  const s = String(from || '');
+  const angle = /<([^>]+)>/.exec(s);
+  const addr = (angle ? angle[1] : s).trim();
+  const at = addr.lastIndexOf('@');
+  return at >= 0 ? addr.slice(at + 1).replace(/[>\s]+$/, '').toLowerCase() : '';
+}
+
+function isDomainAllowed(domain, allowed) {
+  if (allowed.length === 0) return true;
+  if (!domain) return false;
+  return allowed.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+function firstValue(headers, name) {
+  const arr = headers[name];
+  return Array.isArray(arr) && arr.length > 0 ? String(arr[0]).trim().toLowerCase() : null;
+}
+
+/**
+ * メールの真正性を判定
+ * @param {Object} mail - parseEmail() の解析結果
+ * @param {Object} policy - loadMailAuthPolicy() の結果
+ * @returns {{ ok: boolean, reasons: string[], verdicts: Object, senderDomain: string }}
+ *   reasons はメトリクスの Reason にそのまま使える識別子（例: SpamVerdictFail, DmarcFail, SenderDomainNotAllowed）
+ */
+function evaluateMailAuth(mail, policy) {
+  const headers = (mail && mail.headers) || {};
+  const auth = parseAuthenticationResults(headers['authentication-results']);
+  const verdicts = {
+    spam: firstValue(headers, 'x-ses-spam-verdict'),
+    virus: firstValue(headers, 'x-ses-virus-verdict'),
+    spf: auth.spf,
+    dkim: auth.dkim,
+    dmarc: auth.dmarc,
+  };
+  const senderDomain = extractSenderDomain(mail && mail.from);
+
+  if (policy.mode === 'off') {
+    return { ok: true, reasons: [], verdicts, senderDomain };
+  }
+
+  const reasons = [];
+  for (const check of policy.requiredChecks) {
+    const v = verdicts[check];
+    if (v === 'pass') continue;
+    const label = check.charAt(0).toUpperCase() + check.slice(1);
+    // 判定ヘッダ自体が無い（SES 以外から投入された等）場合も不合格
+    if (v === null) reasons.push(check === 'spam' || check === 'virus' ? `${label}VerdictMissing` : `${label}Missing`);
+    else reasons.push(check === 'spam' || check === 'virus' ? `${label}VerdictFail` : `${label}Fail`);
+  }
+  if (!isDomainAllowed(senderDomain, policy.allowedSenderDomains)) {
+    reasons.push('SenderDomainNotAllowed');
+  }
+
+  return { ok: reasons.length === 0, reasons, verdicts, senderDomain };
+}
+
+module.exports = {
+  loadMailAuthPolicy,
+  parseAuthenticationResults,
+  extractSenderDomain,
+  evaluateMailAuth,
+};
@@ -0,0 +1,98 @@
+/**
+ * email-ingest メール時刻の解決
+ *
+ * 役割: メールが持つ複数の時刻（Date ヘッダ / SES の Received ヘッダ / S3 LastModified）を読み取り、
+ *       最も信頼できるものを eventEmailAt / balanceEmailAt と残高紐付けの時間窓の基準に採用する。
+ *       Lambda の実行時刻（Date.now()）は配信遅延・リトライ・再処理で大きくずれるため最後の手段とする。
+ *
+ * 信頼度の順序:
+ *   1. received    : 最上位の Received ヘッダ（SES が受信した時刻。自前インフラの時計）
+ *   2. s3          : S3 オブジェクトの LastModified（SES が保存した時刻）
+ *   3. dateHeader  : Date ヘッダ（送信元の時計。送信側の遅延・時計ずれを含む）
+ *   4. processing  : Lambda 処理時刻
+ */
+'use strict';
+
+const SOURCE_PRIORITY = ['received', 's3', 'dateHeader', 'processing'];
+
+/**
+ * RFC 5322 形式の日時文字列を epoch ms に変換（末尾コメント "(UTC)" 等は除去）
+ * @returns {number|null}
+ */
+function parseMailDate(value) {
+  if (!value) return null;
+  const s = String(value).replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+  const ms = Date.parse(s);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Received ヘッダ（"...; <date>"）から時刻を取り出す
+ * @param {string[]} receivedHeaders - 出現順（先頭が最も新しいホップ）
+ * @returns {number[]} 各ホップの epoch ms（解析できないものは除外）
+ */
+function parseReceivedChain(receivedHeaders) {
+  const out = [];
+  for (const h of Array.isArray(receivedHeaders) ? receivedHeaders : []) {
+    const idx = String(h).lastIndexOf(';');
+    if (idx < 0) continue;
+    const ms = parseMailDate(String(h).slice(idx + 1));
+    if (ms !== null) out.push(ms);
+  }
+  return out;
+}
+
+/**
+ * メールの各時刻を収集し、採用する時刻と時刻間の最大ずれを求める
+ * @param {Object} mail - parseEmail() の解析結果
+ * @param {Object} [opts]
+ * @param {Date|string|number} [opts.s3LastModified] - GetObject の LastModified
+ * @param {number} [opts.processingMs] - 処理時刻（既定: Date.now()）
+ * @returns {{ chosenMs: number, source: string, dateHeaderMs: number|null, receivedMs: number|null,
+ *             receivedChainMs: number[], s3LastModifiedMs: number|null, processingMs: number, maxSkewMs: number,
+ *             skewPair: string|null }}
+ */
+function resolveMailTimestamps(mail, opts = {}) {
+  const headers = (mail && mail.headers) || {};
+  const processingMs = Number.isFinite(opts.processingMs) ? opts.processingMs : Date.now();
+  const dateHeaderMs = parseMailDate(Array.isArray(headers.date) ? headers.date[0] : null);
+  const receivedChainMs = parseReceivedChain(headers.received);
+  const receivedMs = receivedChainMs.length > 0 ? receivedChainMs[0] : null;
+  const s3Raw = opts.s3LastModified ? new Date(opts.s3LastModified).getTime() : NaN;
+  const s3LastModifiedMs = Number.isFinite(s3Raw) ? s3Raw : null;
+
+  const candidates = { received: receivedMs, s3: s3LastModifiedMs, dateHeader: dateHeaderMs, processing: processingMs };
+  const source = SOURCE_PRIORITY.find((k) => candidates[k] !== null);
+
+  // メール由来の時刻間で最大のずれ（処理時刻は再処理で常にずれるため対象外）
+  let maxSkewMs = 0;
+  let skewPair = null;
+  const keys = ['received', 's3', 'dateHeader'].filter((k) => candidates[k] !== null);
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      const d = Math.abs(candidates[keys[i]] - candidates[keys[j]]);
+      if (d > maxSkewMs) {
+        maxSkewMs = d;
+        skewPair = `${keys[i]}-${keys[j]}`;
+      }
+    }
+  }
+
+  return {
+    chosenMs: candidates[source],
+    source,
+    dateHeaderMs,
+    receivedMs,
+    receivedChainMs,
+    s3LastModifiedMs,
+    processingMs,
+    maxSkewMs,
+    skewPair,
+  };
+}
+
+module.exports = {
+  parseMailDate,
+  parseReceivedChain,
+  resolveMailTimestamps,
+};
@@ -0,0 +1,313 @@
+/**
+ * email-ingest MIME パーサ
+ *
+ * 役割: S3に保存された生メール（RFC 5322 / MIME）をパートツリーとして解析し、
+ *       各パートを Content-Transfer-Encoding と charset に従ってデコードする。
+ * 出力: { headers, subject, from, textParts, htmlParts, htmlTextParts, text, parts }
+ *   - headers      : 小文字ヘッダ名 → 値配列（RFC 2047 デコード済み）
+ *   - textParts    : text/plain パートの本文（デコード済み）
+ *   - htmlParts    : text/html パートの本文（デコード済み・タグ付き）
+ *   - htmlTextParts: text/html パートをテキスト化したもの（リンクURLは保持）
+ *   - text         : 判定・抽出用に textParts と htmlTextParts を連結したもの
+ *
+ * 備考:
+ * - ISO-2022-JP / Shift_JIS / EUC-JP 等は TextDecoder（Node.js full-icu）でデコードする。
+ * - 構造解析はバイト列を latin1 文字列として扱い、本文デコード時にバイト列へ戻す。
+ */
+'use strict';
+
+// 解析対象とするネストの上限（異常メールでの無限再帰防止）
+const MAX_DEPTH = 10;
+
+// TextDecoder が受け付けない charset ラベルの別名
+const CHARSET_ALIASES = {
+  cp932: 'shift_jis',
+  ms932: 'shift_jis',
+  'x-sjis': 'shift_jis',
+  'windows-31j': 'shift_jis',
+  'x-euc-jp': 'euc-jp',
+  utf8: 'utf-8',
+};
+
+function normalizeCharset(charset) {
+  const c = String(charset || '').trim().toLowerCase().replace(/\*.*$/, '');
+  if (!c) return 'utf-8';
+  return CHARSET_ALIASES[c] || c;
+}
+
+/**
+ * バイト列を charset に従って文字列化（未知の charset は UTF-8 扱い）
+ */
+function decodeBytes(buf, charset) {
+  const label = normalizeCharset(charset);
+  try {
+    return new TextDecoder(label).decode(buf);
+  } catch {
+    return new TextDecoder('utf-8').decode(buf);
+  }
+}
+
+function decodeQuotedPrintableBytes(input) {
+  // soft line breaks =\r?\n を除去し、=XX をバイトに変換
+  const s = String(input || '').replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '=' && /^[0-9A-Fa-f]{2}$/.test(s.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(s.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(s.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Content-Transfer-Encoding に従って本文（latin1文字列）をバイト列へ復元
+ */
+function decodeTransferEncoding(body, encoding) {
+  const enc = String(encoding || '7bit').trim().toLowerCase();
+  if (enc === 'base64') {
+    return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  }
+  if (enc === 'quoted-printable') {
+    return decodeQuotedPrintableBytes(body);
+  }
+  // 7bit / 8bit / binary はそのまま
+  return Buffer.from(body, 'latin1');
+}
+
+/**
+ * RFC 2047 encoded-word（=?charset?B|Q?...?=）をデコード
+ * 隣接する encoded-word 間の空白は除去する
+ */
+function decodeRfc2047(str) {
+  const s = String(str || '').replace(/(\?=)\s+(=\?)/g, '$1$2');
+  return s.replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (whole, charset, enc, data) => {
+    try {
+      const bytes = enc.toLowerCase() === 'b'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintableBytes(data.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset);
+    } catch {
+      return whole;
+    }
+  });
+}
+
+/**
+ * ヘッダ値（latin1）を文字列化: 生の8bit（SMTPUTF8）はUTF-8として扱い、RFC 2047 を展開
+ */
+function decodeHeaderValue(value) {
+  const v = /[\x80-\xff]/.test(value) ? Buffer.from(value, 'latin1').toString('utf8') : value;
+  return decodeRfc2047(v).trim();
+}
+
+/**
+ * ヘッダ部と本文を分割（最初の空行で区切る）
+ */
+function splitHeaderBody(raw) {
+  // ヘッダを持たないパート（先頭が空行）
+  const lead = /^\r?\n/.exec(raw);
+  if (lead) return { headerText: '', body: raw.slice(lead[0].length) };
+  const m = /\r?\n\r?\n/.exec(raw);
+  if (!m) return { headerText: raw, body: '' };
+  return { headerText: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+/**
+ * ヘッダ部を解析（折り返し行を結合）
+ * @returns {Object<string, string[]>} 小文字ヘッダ名 → 値配列（出現順）
+ */
+function parseHeaders(headerText) {
+  const headers = {};
+  const lines = String(headerText || '').split(/\r?\n/);
+  let current = null;
+  const flush = () => {
+    if (!current) return;
+    const idx = current.indexOf(':');
+    if (idx > 0) {
+      const name = current.slice(0, idx).trim().toLowerCase();
+      const value = current.slice(idx + 1);
+      (headers[name] = headers[name] || []).push(decodeHeaderValue(value));
+    }
+    current = null;
+  };
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && current !== null) {
+      current += ' ' + line.trim();
+    } else {
+      flush();
+      current = line;
+    }
+  }
+  flush();
+  return headers;
+}
+
+/**
+ * Content-Type 等の「値; key=value」形式を解析
+ * @returns {{ value: string, params: Object<string, string> }}
+ */
+function parseHeaderParams(headerValue) {
+  const s = String(headerValue || '');
+  const semi = s.indexOf(';');
+  const value = (semi >= 0 ? s.slice(0, semi) : s).trim().toLowerCase();
+  const params = {};
+  if (semi >= 0) {
+    const re = /;\s*([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let m;
+    while ((m = re.exec(s.slice(semi))) !== null) {
+      const key = m[1].toLowerCase();
+      params[key] = (m[2] !== undefined ? m[2].replace(/\\(.)/g, '$1') : m[3]).trim();
+    }
+  }
+  return { value, params };
+}
+
+function firstHeader(headers, name) {
+  const arr = headers[String(name).toLowerCase()];
+  return Array.isArray(arr) && arr.length > 0 ? arr[0] : '';
+}
+
+/**
+ * multipart 本文を boundary で分割
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const lines = body.split(/\r?\n/);
+  const parts = [];
+  let current = null;
+  for (const line of lines) {
+    const trimmed = line.replace(/[ \t]+$/, '');
+    if (trimmed === `${delimiter}--`) {
+      if (current) parts.push(current.join('\r\n'));
+      current = null;
+      break;
+    }
+    if (trimmed === delimiter) {
+      if (current) parts.push(current.join('\r\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  // 終端 boundary が欠落しているメールも受け入れる
+  if (current) parts.push(current.join('\r\n'));
+  return parts;
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeHtmlEntities(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (whole, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch { return whole; }
+    }
+    const v = HTML_ENTITIES[ent.toLowerCase()];
+    return v !== undefined ? v : whole;
+  });
+}
+
+/**
+ * HTML をテキスト化
+ * - script/style は除去、ブロック要素は改行に変換
+ * - <a href="..."> のリンク先はテキストの後ろに残す（TxHash抽出でURLを使うため）
+ */
+function htmlToText(html) {
+  let s = String(html || '');
+  s = s.replace(/<!--[\s\S]*?-->/g, ' ');
+  s = s.replace(/<(script|style|head)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+  s = s.replace(/<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a\s*>/gi,
+    (_, h1, h2, h3, inner) => `${inner} ${h1 || h2 || h3 || ''} `);
+  s = s.replace(/<br\s*\/?>/gi, '\n');
+  s = s.replace(/<\/(p|div|tr|li|h[1-6]|table|section)\s*>/gi, '\n');
+  s = s.replace(/<[^>]+>/g, ' ');
+  s = decodeHtmlEntities(s);
+  return s
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter((line) => line.length > 0)
+    .join('\n');
+}
+
+/**
+ * MIME パートを再帰的に解析
+ * @returns {Object} { headers, contentType, params, children?, content? }
+ */
+function parsePart(raw, depth, defaultType) {
+  const { headerText, body } = splitHeaderBody(raw);
+  const headers = parseHeaders(headerText);
+  const ct = parseHeaderParams(firstHeader(headers, 'content-type') || defaultType);
+  const contentType = ct.value || 'text/plain';
+  const transferEncoding = firstHeader(headers, 'content-transfer-encoding');
+  const disposition = parseHeaderParams(firstHeader(headers, 'content-disposition')).value;
+  const part = { headers, contentType, params: ct.params, disposition };
+
+  if (depth < MAX_DEPTH && contentType.startsWith('multipart/') && ct.params.boundary) {
+    // multipart/digest の子パートの既定型は message/rfc822
+    const childDefault = contentType === 'multipart/digest' ? 'message/rfc822' : 'text/plain; charset=us-ascii';
+    part.children = splitMultipart(body, ct.params.boundary).map((p) => parsePart(p, depth + 1, childDefault));
+    return part;
+  }
+  if (depth < MAX_DEPTH && contentType === 'message/rfc822') {
+    const inner = decodeTransferEncoding(body, transferEncoding).toString('latin1');
+    part.children = [parsePart(inner, depth + 1, 'text/plain; charset=us-ascii')];
+    return part;
+  }
+  if (contentType.startsWith('text/')) {
+    part.content = decodeBytes(decodeTransferEncoding(body, transferEncoding), ct.params.charset);
+  }
+  return part;
+}
+
+function collectLeaves(part, out) {
+  if (Array.isArray(part.children)) {
+    for (const c of part.children) collectLeaves(c, out);
+  } else {
+    out.push(part);
+  }
+  return out;
+}
+
+/**
+ * 生メールを解析
+ * @param {Buffer|string} rawEmail - S3オブジェクトの内容
+ * @returns {Object} 解析結果（モジュール冒頭コメント参照）
+ */
+function parseEmail(rawEmail) {
+  const raw = Buffer.isBuffer(rawEmail) ? rawEmail.toString('latin1') : String(rawEmail || '');
+  const root = parsePart(raw, 0, 'text/plain; charset=us-ascii');
+  const leaves = collectLeaves(root, []);
+
+  const textParts = [];
+  const htmlParts = [];
+  for (const leaf of leaves) {
+    if (typeof leaf.content !== 'string' || leaf.disposition === 'attachment') continue;
+    if (leaf.contentType === 'text/html') htmlParts.push(leaf.content);
+    else if (leaf.contentType === 'text/plain') textParts.push(leaf.content);
+  }
+  const htmlTextParts = htmlParts.map(htmlToText);
+
+  return {
+    headers: root.headers,
+    subject: firstHeader(root.headers, 'subject'),
+    from: firstHeader(root.headers, 'from'),
+    textParts,
+    htmlParts,
+    htmlTextParts,
+    text: [...textParts, ...htmlTextParts].join('\n'),
+    parts: leaves.map((l) => ({ contentType: l.contentType, charset: l.params.charset || '', disposition: l.disposition || '' })),
+  };
+}
+
+module.exports = {
+  parseEmail,
+  parseHeaders,
+  parseHeaderParams,
+  firstHeader,
+  decodeRfc2047,
+  htmlToText,
+};
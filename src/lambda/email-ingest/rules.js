@@ -0,0 +1,181 @@
+/**
+ * email-ingest 分類ルール
+ *
+ * 役割: メール種別の判定条件と抽出パターンを宣言的なルールセット（JSON）として扱う。
+ *       テンプレート変更時はルールの差し替えのみで対応でき、再デプロイを不要にする。
+ * ルールの読み込み元:
+ *   - SSM パラメータ（CLASSIFICATION_RULES_PARAM 指定時）
+ *   - 同梱の classification-rules.json（未指定時、または SSM 読み込み失敗時）
+ *
+ * ルール形式:
+ *   {
+ *     id: string,                 // ログ・メトリクスに出す識別子
+ *     type: string,               // event | balance | ignore | 任意のカスタム種別
+ *     match?: {                   // 指定した条件はすべて満たす必要がある（各配列内はいずれか一致）
+ *       from?: string[],          //   From ヘッダに対する正規表現
+ *       subject?: string[],       //   件名に対する正規表現
+ *       body?: string[],          //   本文（text/plain + HTML テキスト化、空白正規化）に対する正規表現
+ *       headers?: string[],       //   存在すべきヘッダ名
+ *     },
+ *     extract?: { [field]: string[] },  // フィールド抽出用の正規表現（先頭一致を採用、キャプチャ1があればそれを値とする）
+ *                                       //   balance 種別: balanceAmount / balanceAsset / balanceWallet
+ *     require?: string[],         // 抽出必須のフィールド（抽出できなければ不一致扱い）
+ *   }
+ * 正規表現は大文字小文字を区別しない（flags: i）。ルールは先頭から評価し、最初に一致したものを採用する。
+ */
+'use strict';
+
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const bundledRuleSet = require('./classification-rules.json');
+
+const CLASSIFICATION_RULES_PARAM = process.env.CLASSIFICATION_RULES_PARAM || '';
+
+const MATCH_KEYS = ['from', 'subject', 'body', 'headers'];
+// SSM 読み込み失敗時のフォールバックを使い回す期間（過ぎたら SSM を再読み込み）
+const FALLBACK_CACHE_TTL_MS = 60 * 1000;
+
+let ssm;
+let cached = null;
+let cachedUntilMs = 0;
+
+function toArray(v) {
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function compilePatterns(ruleId, key, patterns) {
+  return toArray(patterns).map((p) => {
+    try {
+      return new RegExp(p, 'i');
+    } catch (e) {
+      throw new Error(`Invalid regex in rule "${ruleId}" (${key}): ${e.message}`);
+    }
+  });
+}
+
+/**
+ * ルールセット（JSON）を検証し、正規表現をコンパイル
+ * @param {Object} ruleSet - { version, rules: [...] }
+ * @returns {Array<Object>} コンパイル済みルール
+ */
+function compileRules(ruleSet) {
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    throw new Error('Rule set must have a "rules" array');
+  }
+  const seen = new Set();
+  return ruleSet.rules.map((rule, idx) => {
+    const id = rule && rule.id ? String(rule.id) : `rule-${idx}`;
+    if (seen.has(id)) throw new Error(`Duplicate rule id: ${id}`);
+    seen.add(id);
+    if (!rule.type || typeof rule.type !== 'string') {
+      throw new Error(`Rule "${id}" is missing "type"`);
+    }
+    const match = rule.match || {};
+    for (const key of Object.keys(match)) {
+      if (!MATCH_KEYS.includes(key)) throw new Error(`Rule "${id}" has unknown match key: ${key}`);
+    }
+    const extract = {};
+    for (const [field, patterns] of Object.entries(rule.extract || {})) {
+      extract[field] = compilePatterns(id, `extract.${field}`, patterns);
+    }
+    const requiredFields = toArray(rule.require).map(String);
+    for (const field of requiredFields) {
+      if (!extract[field]) throw new Error(`Rule "${id}" requires "${field}" but has no extract pattern for it`);
+    }
+    return {
+      id,
+      type: rule.type,
+      from: compilePatterns(id, 'from', match.from),
+      subject: compilePatterns(id, 'subject', match.subject),
+      body: compilePatterns(id, 'body', match.body),
+      headers: toArray(match.headers).map((h) => String(h).toLowerCase()),
+      extract,
+      requiredFields,
+    };
+  });
+}
+
+async function fetchRuleSetFromSsm(paramName) {
+  ssm = ssm || new SSMClient({});
+  const res = await ssm.send(new GetParameterCommand({ Name: paramName, WithDecryption: true }));
+  return JSON.parse(res.Parameter.Value);
+}
+
+/**
+ * ルールセットを読み込む（コールドスタート毎に1回、以降はキャッシュ）
+ * SSM からの読み込み・検証に失敗した場合は同梱ルールにフォールバックし、warning を返す
+ * フォールバックは FALLBACK_CACHE_TTL_MS だけキャッシュし、以降の呼び出しで SSM を再試行する
+ * @returns {Promise<{ rules: Array<Object>, source: string, version: any, warning?: string }>}
+ */
+async function loadRules() {
+  if (cached && Date.now() < cachedUntilMs) return cached;
+  cachedUntilMs = Infinity;
+  if (CLASSIFICATION_RULES_PARAM) {
+    try {
+      const ruleSet = await fetchRuleSetFromSsm(CLASSIFICATION_RULES_PARAM);
+      cached = { rules: compileRules(ruleSet), source: `ssm:${CLASSIFICATION_RULES_PARAM}`, version: ruleSet.version };
+      return cached;
+    } catch (e) {
+      cachedUntilMs = Date.now() + FALLBACK_CACHE_TTL_MS;
+      cached = {
+        rules: compileRules(bundledRuleSet),
+        source: 'bundled',
+        version: bundledRuleSet.version,
+        warning: `SSM rule set unavailable, using bundled rules: ${e && e.message ? e.message : String(e)}`,
+      };
+      return cached;
+    }
+  }
+  cached = { rules: compileRules(bundledRuleSet), source: 'bundled', version: bundledRuleSet.version };
+  return cached;
+}
+
+function anyMatch(patterns, value) {
+  return patterns.some((re) => re.test(value));
+}
+
+function extractField(patterns, text) {
+  for (const re of patterns) {
+    const m = re.exec(text);
+    if (m) return (m[1] !== undefined ? m[1] : m[0]).trim();
+  }
+  return null;
+}
+
+/**
+ * ルールを評価してメール種別を判定
+ * @param {Object} mail - parseEmail() の解析結果
+ * @param {Array<Object>} rules - compileRules() の結果
+ * @returns {{ type: string, ruleId: string|null, fields: Object }}
+ */
+function evaluateRules(mail, rules) {
+  const text = String(mail.text || '');
+  // 本文条件は改行を跨いで判定できるよう空白を正規化
+  const normalizedBody = text.replace(/\s+/g, ' ');
+  const subject = String(mail.subject || '');
+  const from = String(mail.from || '');
+  const headers = mail.headers || {};
+
+  for (const rule of rules) {
+    if (rule.from.length > 0 && !anyMatch(rule.from, from)) continue;
+    if (rule.subject.length > 0 && !anyMatch(rule.subject, subject)) continue;
+    if (rule.body.length > 0 && !anyMatch(rule.body, normalizedBody)) continue;
+    if (rule.headers.some((h) => !Array.isArray(headers[h]) || headers[h].length === 0)) continue;
+
+    const fields = {};
+    for (const [field, patterns] of Object.entries(rule.extract)) {
+      const v = extractField(patterns, text);
+      if (v !== null) fields[field] = v;
+    }
+    if (rule.requiredFields.some((f) => fields[f] === undefined)) continue;
+
+    return { type: rule.type, ruleId: rule.id, fields };
+  }
+  return { type: 'other', ruleId: null, fields: {} };
+}
+
+module.exports = {
+  loadRules,
+  compileRules,
+  evaluateRules,
+};
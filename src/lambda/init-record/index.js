@@ -2,40 +2,19 @@
  * init-record Lambda
  *
  * 役割: Step Functions開始時にDynamoDBへ初期レコードを作成
- * 入力: { correlationId: string, correlationIdHex?: string, attempt: number, totalAttempts: number }
+ * 入力: { correlationId: string, correlationIdHex?: string, tagHex32?: string, targetId?: string, attempt: number, totalAttempts: number }
  * 出力: { ok: boolean, created?: boolean, updated?: boolean }
  */
 'use strict';
 
-const { createHash } = require('crypto');
+const { encodeCorrelationId } = require('../common/correlation-codec');
+const { makeTimestampFields } = require('../common/timestamps');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, UpdateCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 
 const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
 const RESULTS_TABLE = process.env.RESULTS_TABLE || '';
 
-/**
- * UNIX timestamp (ms) から UTC/JST/ms の3フィールドを生成
- */
-function makeTimestampFields(epochMs, prefix) {
-  const date = new Date(epochMs);
-
-  // UTC ISO8601
-  const utc = date.toISOString();
-
-  // JST (UTC+9)
-  const jstDate = new Date(epochMs + 9 * 60 * 60 * 1000);
-  const jst = jstDate.toISOString()
-    .replace('T', ' ')
-    .replace(/\.\d{3}Z$/, ''); // "2025-10-21 21:00:00"
-
-  return {
-    [`${prefix}Ms`]: epochMs,
-    [`${prefix}`]: utc,
-    [`${prefix}JST`]: jst,
-  };
-}
-
 exports.handler = async (event) => {
   if (!RESULTS_TABLE) {
     throw new Error('Missing RESULTS_TABLE environment variable');
@@ -46,9 +25,18 @@ exports.handler = async (event) => {
   const totalAttempts = event.totalAttempts || 3;
   const nowMs = Date.now();
 
-  // correlationIdHexが渡されない場合は、correlationIdからSHA256ハッシュを生成
-  const correlationIdHex = event.correlationIdHex ||
-    `0x${createHash('sha256').update(correlationId).digest('hex')}`;
+  // correlationIdHexが渡されない場合は、prepare-message と同じ形式（common/correlation-codec.js）で生成
+  // GSI_CorrelationIdHex のキー（旧形式のイベントの逆引き用）。イベントログの値（小文字）で検索するため小文字に正規化
+  const correlationIdHex = (event.correlationIdHex ||
+    encodeCorrelationId(correlationId, { attempt })).toLowerCase();
+
+  // prepare-message が組成した tag（email-ingest がイベントの tag と照合する）
+  const tagHex32 = typeof event.tagHex32 === 'string' && /^0x[0-9a-fA-F]{64}$/.test(event.tagHex32)
+    ? event.tagHex32.toLowerCase()
+    : undefined;
+
+  // 監視対象（prepare-message が検証済みの E2E_TARGETS の id）。email-ingest がメールのターゲットと照合する
+  const targetId = typeof event.targetId === 'string' && event.targetId ? event.targetId : undefined;
 
   const createdFields = makeTimestampFields(nowMs, 'createdAt');
   const updatedFields = makeTimestampFields(nowMs, 'updatedAt');
@@ -61,6 +49,8 @@ exports.handler = async (event) => {
   const item = {
     correlationId,
     correlationIdHex,  // hash値も保存
+    ...(tagHex32 ? { tagHex32 } : {}),
+    ...(targetId ? { targetId } : {}),
     recordType: 'E2E_TASK',
     ...createdFields,
     attempt,
@@ -84,6 +74,7 @@ exports.handler = async (event) => {
       level: 'info',
       message: 'Initial record created',
       correlationId,
+      targetId,
       attempt,
       createdAtJST: createdFields.createdAtJST,
     }));
@@ -120,7 +111,8 @@ exports.handler = async (event) => {
               updatedAtMs = :updMs,
               updatedAt = :updUtc,
               updatedAtJST = :updJst,
-              #ttl = :ttl
+              correlationIdHex = :correlationIdHex,
+              #ttl = :ttl${tagHex32 ? ',\n              tagHex32 = :tagHex32' : ''}${targetId ? ',\n              targetId = :targetId' : ''}
         `,
         ExpressionAttributeNames: {
           '#ttl': 'ttl',
@@ -131,7 +123,10 @@ exports.handler = async (event) => {
           ':updMs': updatedFields.updatedAtMs,
           ':updUtc': updatedFields.updatedAt,
           ':updJst': updatedFields.updatedAtJST,
+          ':correlationIdHex': correlationIdHex,
           ':ttl': ttl,
+          ...(tagHex32 ? { ':tagHex32': tagHex32 } : {}),
+          ...(targetId ? { ':targetId': targetId } : {}),
         },
       }));
 
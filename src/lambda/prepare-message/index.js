@@ -3,36 +3,65 @@
  *
  * 役割: correlationId と tagSeed を bytes32（Hex32）に変換し、
  *       tx-senderへ渡す SQSメッセージボディ（JSON文字列）を組み立てる。
- * 入力: { correlationId: string, tagSeed?: string }
- * 出力: { correlationIdHex32: string, tagHex32: string, messageBody: string }
+ *       targetId（E2E_TARGETS の id）を検証してメッセージに含める（tx-sender が送信先を選ぶ）。
+ *       correlationId（結果テーブルのキー）も含め、tx-sender が送信結果をレコードへ記録できるようにする。
+ *       correlationIdHex32 は common/correlation-codec.js の可逆形式（UUID 16 bytes + 試行番号 + チェックサム）。
+ *       email-ingest はイベントから correlationId を復元し、GSI を引かずにレコードを特定する。
+ *       tagHex32 は common/tag-codec.js の構造化形式（stage / シナリオ（ターゲット ID）/ 試行番号 / 総試行数 / 実行名）。
+ *       エクスプローラでイベントを見るだけで、どの環境・試行の ping かを判別できる。
+ * 入力: { correlationId: string, tagSeed?: string, targetId?: string, attempt?: number, totalAttempts?: number, executionId?: string }
+ * 出力: { correlationIdHex32: string, tagHex32: string, targetId: string, messageBody: string }
+ *
+ * 環境変数（ENV）
+ * - CORRELATION_ENCODING: correlationIdHex32 の形式（v1 | legacy、既定: v1。legacy は旧来の SHA-256）
+ * - TAG_ENCODING        : tagHex32 の形式（v1 | legacy、既定: v1。legacy は旧来の SHA-256(tagSeed)）
+ * - STAGE               : tag に詰める環境名（dev|stg|prod）
  */
 
-const { randomUUID, createHash } = require('crypto');
-
-function toBytes32HexFromString(input) {
-  const inputStr = String(input);
+const { randomUUID } = require('crypto');
+const { loadTargets, getTarget } = require('../common/targets');
+const { encodeCorrelationId } = require('../common/correlation-codec');
+const { encodeTag, legacyTag } = require('../common/tag-codec');
 
-  // UUIDは36文字（hexで72文字）なので必ずbytes32（64文字）を超える
-  // 一貫性のため、常にSHA256ハッシュ化して32バイトに収める
-  const hash = createHash('sha256').update(inputStr).digest('hex');
-  return `0x${hash}`;
-}
+const TARGETS = loadTargets();
+const CORRELATION_ENCODING = process.env.CORRELATION_ENCODING === 'legacy' ? 'legacy' : 'v1';
+const TAG_ENCODING = process.env.TAG_ENCODING === 'legacy' ? 'legacy' : 'v1';
+const STAGE = process.env.STAGE || '';
 
 exports.handler = async (event) => {
   const correlationId = event?.correlationId || randomUUID();
   const tagSeed = event?.tagSeed || 'default';
+  // 未指定なら既定ターゲット（E2E_TARGETS の先頭）
+  const target = getTarget(TARGETS, event?.targetId);
+  if (!target) {
+    throw new Error(`Unknown targetId: ${event.targetId}`);
+  }
 
-  const correlationIdHex32 = toBytes32HexFromString(correlationId);
-  const tagHex32 = toBytes32HexFromString(tagSeed);
+  const correlationIdHex32 = encodeCorrelationId(correlationId, {
+    attempt: event?.attempt,
+    encoding: CORRELATION_ENCODING,
+  });
+  const tagHex32 = TAG_ENCODING === 'legacy'
+    ? legacyTag(tagSeed)
+    : encodeTag({
+      stage: STAGE,
+      scenario: target.id,
+      attempt: event?.attempt,
+      totalAttempts: event?.totalAttempts,
+      executionId: event?.executionId,
+    });
 
   const body = {
+    correlationId,
     correlationIdHex32,
     tagHex32,
+    targetId: target.id,
   };
 
   return {
     correlationIdHex32,
     tagHex32,
+    targetId: target.id,
     messageBody: JSON.stringify(body),
   };
 };
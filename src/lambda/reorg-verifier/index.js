@@ -0,0 +1,340 @@
+/**
+ * reorg-verifier Lambda
+ *
+ * 役割: email-ingest が解決済み（correlationResolved=true, finality=CONFIRMED）にした最近のレコードについて、
+ *       レシートを再取得してブロックハッシュを照合し、reorg でトランザクションが消えたレコードを差し戻す。
+ *   - レシートが存在しない / revert に変化    → 差し戻し（correlationResolved=false, finality=REORGED）
+ *     「存在しない」は問い合わせた全プロバイダ（quorum 以上、エラー無し）が null を返した状態が
+ *     TX_MISSING_CONFIRM_RUNS 回連続した場合のみ（遅れているプロバイダ1つで差し戻さない。途中は txMissingCount に記録）。
+ *     一部のプロバイダがエラーの場合は取得失敗として次回再検証
+ *   - 別ブロックに再取り込みされた          → blockHash / blockNumber を更新（解決状態は維持）
+ *   - 確認数が FINALITY_CONFIRMATIONS 以上   → finality=FINAL（以降は再検証しない）
+ * レシートはレコードの targetId のターゲット（E2E_TARGETS）のプロバイダから取得する
+ * トリガー: EventBridge スケジュール（REORG_VERIFY_RATE_MINUTES 間隔）
+ * 出力: { ok: boolean, checked: number, finalized: number, reorged: number, moved: number }
+ */
+'use strict';
+
+// 環境変数
+const RESULTS_TABLE = process.env.RESULTS_TABLE || '';
+const REORG_LOOKBACK_MINUTES = Number(process.env.REORG_LOOKBACK_MINUTES || 180);
+const FINALITY_CONFIRMATIONS = Number(process.env.FINALITY_CONFIRMATIONS || 128);
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+// tx が存在しないと判定して差し戻すのに必要な連続回数（実行ごとに1回）
+const TX_MISSING_CONFIRM_RUNS = 2;
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ReceiptFetcher, loadReceiptFetcherConfig } = require('../common/receipt-fetcher');
+const { loadTargets, getTarget, receiptEnvForTarget } = require('../common/targets');
+const { makeTimestampFields } = require('../common/timestamps');
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+// JSON logger with level filtering（email-ingest と同形式）
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+function shouldLog(level) {
+  const lv = LEVELS[level] || LEVELS.info;
+  const cur = LEVELS[LOG_LEVEL] || LEVELS.info;
+  return lv >= cur;
+}
+function log(level, message, details) {
+  if (!shouldLog(level)) return;
+  const rec = { level, message, details: details || undefined, timestamp: new Date().toISOString() };
+  if (level === 'error') console.error(JSON.stringify(rec));
+  else if (level === 'warn') console.warn(JSON.stringify(rec));
+  else console.log(JSON.stringify(rec));
+}
+const logger = {
+  debug: (m, d) => log('debug', m, d),
+  info: (m, d) => log('info', m, d),
+  warn: (m, d) => log('warn', m, d),
+  error: (m, d) => log('error', m, d),
+};
+
+// CloudWatch Embedded Metric Format (EMF)（email-ingest と同じ名前空間・次元で出力）
+function emitMetric(metricName, reason, targetId) {
+  try {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'reorg-verifier';
+    const dimensions = [['FunctionName'], ['FunctionName', 'Reason']];
+    if (targetId) dimensions.push(['FunctionName', 'Target'], ['FunctionName', 'Target', 'Reason']);
+    const metricPayload = {
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: dimensions.map((dims) => ({
+          Namespace: 'E2E/EmailIngest',
+          Dimensions: [dims],
+          Metrics: [{ Name: metricName, Unit: 'Count' }],
+        })),
+      },
+      FunctionName: functionName,
+      ...(targetId ? { Target: targetId } : {}),
+      Reason: reason,
+      [metricName]: 1,
+    };
+    console.log(JSON.stringify(metricPayload));
+  } catch (e) {
+    logger.warn('emitMetric error', { error: e && e.message ? e.message : String(e) });
+  }
+}
+
+// 監視対象ごとのレシート取得（targetId を持たない旧レコードは既定ターゲット）
+const TARGETS = loadTargets();
+const receiptFetchers = new Map(TARGETS.map((t) => [t.id, new ReceiptFetcher(loadReceiptFetcherConfig(receiptEnvForTarget(t)), { logger })]));
+
+function toNumber(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'string' && /^0x/i.test(v)) return parseInt(v, 16);
+  return Number(v);
+}
+
+/**
+ * 再検証対象（最近作成され、解決済みで finality=CONFIRMED のレコード）を取得
+ */
+async function queryCandidates(sinceMs) {
+  const items = [];
+  let exclusiveStartKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: RESULTS_TABLE,
+      IndexName: 'GSI_TimeOrder',
+      KeyConditionExpression: 'recordType = :recordType AND createdAtMs >= :since',
+      FilterExpression: 'correlationResolved = :true AND finality = :confirmed',
+      ExpressionAttributeValues: {
+        ':recordType': 'E2E_TASK',
+        ':since': sinceMs,
+        ':true': true,
+        ':confirmed': 'CONFIRMED',
+      },
+      ExclusiveStartKey: exclusiveStartKey,
+    }));
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return items;
+}
+
+/**
+ * トランザクションが reorg で消えた（または revert に変化した）レコードを差し戻す
+ * ステータス: SUCCESS → BALANCE_ONLY、EVENT_ONLY → PENDING
+ */
+async function downgradeRecord(item, reason) {
+  const nowMs = Date.now();
+  const updatedFields = makeTimestampFields(nowMs, 'updatedAt');
+  const reorgFields = makeTimestampFields(nowMs, 'reorgDetectedAt');
+  const newStatus = item.balanceReceived === true ? 'BALANCE_ONLY' : 'PENDING';
+  try {
+    await ddb.send(new UpdateCommand({
+      TableName: RESULTS_TABLE,
+      Key: { correlationId: item.correlationId },
+      UpdateExpression: `
+        SET correlationResolved = :false,
+            #status = :status,
+            finality = :reorged,
+            reorgReason = :reason,
+            reorgedTxHash = :txHash,
+            reorgedBlockHash = :blockHash,
+            reorgDetectedAtMs = :reorgMs,
+            reorgDetectedAt = :reorgUtc,
+            reorgDetectedAtJST = :reorgJst,
+            updatedAtMs = :updMs,
+            updatedAt = :updUtc,
+            updatedAtJST = :updJst
+        REMOVE txHash, blockHash, blockNumber, confirmations, txMissingCount
+      `,
+      // 再検証中に別の処理で更新されていないこと
+      ConditionExpression: 'txHash = :txHash AND correlationResolved = :true',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':false': false,
+        ':true': true,
+        ':status': newStatus,
+        ':reorged': 'REORGED',
+        ':reason': reason,
+        ':txHash': item.txHash,
+        ':blockHash': item.blockHash,
+        ':reorgMs': reorgFields.reorgDetectedAtMs,
+        ':reorgUtc': reorgFields.reorgDetectedAt,
+        ':reorgJst': reorgFields.reorgDetectedAtJST,
+        ':updMs': updatedFields.updatedAtMs,
+        ':updUtc': updatedFields.updatedAt,
+        ':updJst': updatedFields.updatedAtJST,
+      },
+    }));
+  } catch (e) {
+    if (e.name === 'ConditionalCheckFailedException') {
+      logger.info('Record changed during verification, skipping downgrade', { correlationId: item.correlationId });
+      return false;
+    }
+    throw e;
+  }
+  logger.warn('Record downgraded (transaction reorged out)', {
+    correlationId: item.correlationId,
+    txHash: item.txHash,
+    blockHash: item.blockHash,
+    reason,
+    status: newStatus,
+  });
+  emitMetric('Reorged', reason, item.targetId);
+  return true;
+}
+
+/**
+ * 全プロバイダがレシート無しと応答したことを記録（差し戻しは連続 TX_MISSING_CONFIRM_RUNS 回で行う）
+ */
+async function markTxMissing(item, missingCount) {
+  await ddb.send(new UpdateCommand({
+    TableName: RESULTS_TABLE,
+    Key: { correlationId: item.correlationId },
+    UpdateExpression: 'SET txMissingCount = :count, finalityCheckedAtMs = :checkedMs',
+    ConditionExpression: 'txHash = :txHash AND correlationResolved = :true',
+    ExpressionAttributeValues: {
+      ':count': missingCount,
+      ':checkedMs': Date.now(),
+      ':txHash': item.txHash,
+      ':true': true,
+    },
+  }));
+}
+
+/**
+ * 再検証結果（確認数 / 新しいブロック）を記録（tx が見つかったため txMissingCount は消す）
+ */
+async function updateFinality(item, { blockHash, blockNumber, confirmations, finality }) {
+  const nowMs = Date.now();
+  await ddb.send(new UpdateCommand({
+    TableName: RESULTS_TABLE,
+    Key: { correlationId: item.correlationId },
+    UpdateExpression: `
+      SET blockHash = :blockHash,
+          blockNumber = :blockNumber,
+          confirmations = :confirmations,
+          finality = :finality,
+          finalityCheckedAtMs = :checkedMs
+      REMOVE txMissingCount
+    `,
+    ConditionExpression: 'txHash = :txHash AND correlationResolved = :true',
+    ExpressionAttributeValues: {
+      ':blockHash': blockHash,
+      ':blockNumber': blockNumber,
+      ':confirmations': confirmations,
+      ':finality': finality,
+      ':checkedMs': nowMs,
+      ':txHash': item.txHash,
+      ':true': true,
+    },
+  }));
+}
+
+/**
+ * 1レコードを再検証
+ * @returns {Promise<'final'|'confirmed'|'moved'|'reorged'|'skipped'>}
+ */
+async function verifyRecord(item, receiptFetcher, headBlockNumber) {
+  let receipt;
+  try {
+    receipt = await receiptFetcher.fetchReceipt(item.txHash, { maxAttempts: 2 });
+  } catch (e) {
+    // 問い合わせた全プロバイダが null（エラー・遮断中のプロバイダ無し）の場合のみ tx が存在しないとみなす
+    if (e.code === 'RECEIPT_NOT_FOUND' && e.errors === 0 && e.nulls >= receiptFetcher.config.quorum) {
+      const missingCount = (Number(item.txMissingCount) || 0) + 1;
+      if (missingCount >= TX_MISSING_CONFIRM_RUNS) {
+        return (await downgradeRecord(item, 'TxMissing')) ? 'reorged' : 'skipped';
+      }
+      logger.warn('Receipt missing on all providers, will confirm next run', {
+        correlationId: item.correlationId,
+        txHash: item.txHash,
+        missingCount,
+        requiredRuns: TX_MISSING_CONFIRM_RUNS,
+      });
+      try {
+        await markTxMissing(item, missingCount);
+      } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+      }
+      emitMetric('ReorgCheckError', 'TxMissingUnconfirmed', item.targetId);
+      return 'skipped';
+    }
+    // プロバイダ障害・一部プロバイダのみの null・quorum 不成立は判断保留（次回再検証）
+    logger.warn('Receipt re-fetch failed, will retry next run', {
+      correlationId: item.correlationId,
+      txHash: item.txHash,
+      error: e && e.message ? e.message : String(e),
+      code: e.code,
+    });
+    emitMetric('ReorgCheckError', e.code || 'Unknown', item.targetId);
+    return 'skipped';
+  }
+
+  if (receipt.status !== undefined && receipt.status !== null && toNumber(receipt.status) === 0) {
+    return (await downgradeRecord(item, 'TxReverted')) ? 'reorged' : 'skipped';
+  }
+
+  const blockHash = String(receipt.blockHash || '').toLowerCase();
+  const blockNumber = toNumber(receipt.blockNumber);
+  const confirmations = Math.max(0, headBlockNumber - blockNumber + 1);
+  const finality = confirmations >= FINALITY_CONFIRMATIONS ? 'FINAL' : 'CONFIRMED';
+  const moved = blockHash !== String(item.blockHash || '').toLowerCase();
+  if (moved) {
+    logger.warn('Transaction re-included in a different block', {
+      correlationId: item.correlationId,
+      txHash: item.txHash,
+      previousBlockHash: item.blockHash,
+      previousBlockNumber: item.blockNumber,
+      blockHash,
+      blockNumber,
+    });
+    // 別ブロックへの再取り込みは tx 自体は有効なため、差し戻し（Reorged）とは別のメトリクスにする
+    emitMetric('ReorgMoved', 'BlockChanged', item.targetId);
+  }
+  try {
+    await updateFinality(item, { blockHash, blockNumber, confirmations, finality });
+  } catch (e) {
+    if (e.name === 'ConditionalCheckFailedException') return 'skipped';
+    throw e;
+  }
+  if (moved) return 'moved';
+  return finality === 'FINAL' ? 'final' : 'confirmed';
+}
+
+exports.handler = async () => {
+  if (!RESULTS_TABLE) throw new Error('Missing RESULTS_TABLE');
+  for (const [targetId, fetcher] of receiptFetchers) {
+    if (fetcher.providers.length === 0) {
+      throw new Error(`Missing receipt providers for target "${targetId}" (receiptProviders, RECEIPT_PROVIDERS or EXPLORER_API_URL)`);
+    }
+  }
+
+  const sinceMs = Date.now() - REORG_LOOKBACK_MINUTES * 60 * 1000;
+  const items = await queryCandidates(sinceMs);
+  logger.info('reorg-verifier invoked', { candidates: items.length, lookbackMinutes: REORG_LOOKBACK_MINUTES });
+  if (items.length === 0) return { ok: true, checked: 0, finalized: 0, reorged: 0, moved: 0 };
+
+  // 最新ブロック番号はターゲット（チェーン）ごとに1回だけ取得
+  const headBlockNumbers = new Map();
+  const counts = { final: 0, confirmed: 0, moved: 0, reorged: 0, skipped: 0 };
+  for (const item of items) {
+    if (!item.txHash) continue;
+    const target = getTarget(TARGETS, item.targetId);
+    if (!target) {
+      logger.warn('Record target is not configured, skipping', { correlationId: item.correlationId, targetId: item.targetId });
+      counts.skipped++;
+      continue;
+    }
+    try {
+      const receiptFetcher = receiptFetchers.get(target.id);
+      if (!headBlockNumbers.has(target.id)) headBlockNumbers.set(target.id, await receiptFetcher.fetchBlockNumber());
+      counts[await verifyRecord(item, receiptFetcher, headBlockNumbers.get(target.id))]++;
+    } catch (e) {
+      logger.error('Unexpected verification error', {
+        correlationId: item.correlationId,
+        targetId: target.id,
+        error: e && e.message ? e.message : String(e),
+      });
+      emitMetric('ReorgCheckError', 'UnexpectedError', target.id);
+      counts.skipped++;
+    }
+  }
+  logger.info('reorg-verifier finished', { headBlockNumbers: Object.fromEntries(headBlockNumbers), ...counts });
+  return { ok: true, checked: items.length, finalized: counts.final, reorged: counts.reorged, moved: counts.moved };
+};
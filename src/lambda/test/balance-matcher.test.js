@@ -0,0 +1,90 @@
+'use strict';
+
+const { expect } = require('chai');
+const { scoreBalanceCandidates, summarizeMatch } = require('../email-ingest/balance-matcher');
+
+const ANCHOR_MS = Date.UTC(2026, 9, 19, 8, 0, 0);
+const WINDOW_MS = 10 * 60 * 1000;
+const SENDER = `0x${'aa'.repeat(20)}`;
+const OTHER = `0x${'bb'.repeat(20)}`;
+
+const record = (correlationId, secondsBefore, extra) => ({ correlationId, createdAtMs: ANCHOR_MS - secondsBefore * 1000, ...extra });
+const ids = (ranked) => ranked.map((c) => c.record.correlationId);
+
+describe('balance-matcher', () => {
+  describe('scoreBalanceCandidates', () => {
+    it('前回残高との差分がガス代に一致する候補を、時刻が遠くても優先する', () => {
+      const ranked = scoreBalanceCandidates(
+        { amount: 9.99 },
+        [record('near', 60, { gasCost: 0.02 }), record('match', 300, { gasCost: 0.01 })],
+        { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS, previous: { amount: 10, emailAtMs: ANCHOR_MS - WINDOW_MS } },
+      );
+      expect(ids(ranked)).to.deep.equal(['match', 'near']);
+      expect(ranked[0].signals).to.deep.equal({ gas: 1, time: 0.5, wallet: null });
+      expect(ranked[1].signals).to.deep.equal({ gas: 0, time: 0.9, wallet: null });
+    });
+
+    it('前回残高が無ければ gas シグナルを除外して時刻の近さで決める', () => {
+      const ranked = scoreBalanceCandidates(
+        { amount: 9.99 },
+        [record('old', 300, { gasCost: 0.01 }), record('new', 60, { gasCost: 0.01 })],
+        { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS, previous: null },
+      );
+      expect(ids(ranked)).to.deep.equal(['new', 'old']);
+      expect(ranked[0].score).to.equal(0.9);
+    });
+
+    it('ウォレットが明確に不一致の候補は WalletMismatch として除外し、末尾に並べる', () => {
+      const ranked = scoreBalanceCandidates(
+        { amount: 5, wallet: SENDER.toUpperCase().replace('0X', '0x') },
+        [record('other', 10, { sender: OTHER }), record('unknown', 500), record('same', 300, { sender: SENDER })],
+        { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS },
+      );
+      expect(ids(ranked)).to.deep.equal(['same', 'unknown', 'other']);
+      expect(ranked[2]).to.include({ excluded: 'WalletMismatch' });
+      expect(ranked[1].signals.wallet).to.equal(null);
+      expect(ranked[1]).to.not.have.property('excluded');
+    });
+
+    it('アドレス以外のウォレット名は設定済みの識別子と照合する', () => {
+      const candidates = [record('a', 60)];
+      const opts = { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS };
+      expect(scoreBalanceCandidates({ wallet: 'Pinger-Vault' }, candidates, { ...opts, walletIds: ['PINGER-VAULT'] })[0].signals.wallet).to.equal(1);
+      expect(scoreBalanceCandidates({ wallet: 'Treasury' }, candidates, { ...opts, walletIds: ['pinger-vault'] })[0]).to.include({ excluded: 'WalletMismatch' });
+      expect(scoreBalanceCandidates({ wallet: 'Treasury' }, candidates, opts)[0].signals.wallet).to.equal(null);
+    });
+
+    it('時刻はブロック時刻を優先し、許容ずれを超えてブロックより前のメールは 0', () => {
+      const ranked = scoreBalanceCandidates({}, [
+        record('future-block', 120, { blockTimestamp: (ANCHOR_MS + 2 * 60 * 1000) / 1000 }),
+        record('skewed-block', 120, { blockTimestamp: (ANCHOR_MS + 30 * 1000) / 1000 }),
+      ], { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS });
+      expect(ranked.map((c) => [c.record.correlationId, c.signals.time])).to.deep.equal([['skewed-block', 1], ['future-block', 0]]);
+    });
+
+    it('同点はイベント通知済み → 新しい順', () => {
+      const ranked = scoreBalanceCandidates({}, [
+        record('old-pending', 200),
+        record('new-pending', 100),
+        record('old-resolved', 200, { correlationResolved: true }),
+      ], { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS });
+      // time のみ → 0.667 / 0.833 / 0.667
+      expect(ids(ranked)).to.deep.equal(['new-pending', 'old-resolved', 'old-pending']);
+    });
+  });
+
+  describe('summarizeMatch', () => {
+    it('採用候補のスコアと不採用候補（除外理由付き）を要約する', () => {
+      const opts = { anchorMs: ANCHOR_MS, windowMs: WINDOW_MS, previous: { amount: 10 } };
+      const ranked = scoreBalanceCandidates({ wallet: SENDER }, [record('a', 60, { sender: SENDER }), record('b', 60, { sender: OTHER })], opts);
+      expect(summarizeMatch(ranked[0], ranked, opts)).to.deep.equal({
+        strategy: 'scored',
+        score: ranked[0].score,
+        signals: ranked[0].signals,
+        windowMinutes: 10,
+        previousBalance: 10,
+        rejected: [{ correlationId: 'b', score: ranked[1].score, signals: ranked[1].signals, excluded: 'WalletMismatch' }],
+      });
+    });
+  });
+});
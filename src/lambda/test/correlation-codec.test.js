@@ -0,0 +1,46 @@
+'use strict';
+
+const { expect } = require('chai');
+const { encodeCorrelationId, decodeCorrelationId, legacyBytes32 } = require('../common/correlation-codec');
+
+// bytes32 の指定バイトを書き換える（チェックサム検証の確認用）
+function flipByte(hex, index) {
+  const bytes = Buffer.from(hex.slice(2), 'hex');
+  bytes[index] ^= 0xff;
+  return `0x${bytes.toString('hex')}`;
+}
+
+describe('correlation-codec', () => {
+  const uuid = '5a7c9e01-3b2d-4f6a-8e1c-0d9b7a6f5e4c';
+
+  it('v1 でエンコードした UUID と試行番号を復元できる', () => {
+    const hex = encodeCorrelationId(uuid, { attempt: 3 });
+    expect(hex).to.match(/^0x[0-9a-f]{64}$/);
+    expect(decodeCorrelationId(hex)).to.deep.equal({ version: 1, correlationId: uuid, attempt: 3 });
+  });
+
+  it('範囲外の試行番号は 0 として詰める', () => {
+    expect(decodeCorrelationId(encodeCorrelationId(uuid, { attempt: 256 })).attempt).to.equal(0);
+    expect(decodeCorrelationId(encodeCorrelationId(uuid, { attempt: 'x' })).attempt).to.equal(0);
+  });
+
+  it('チェックサム・予約領域・バージョンが一致しなければ旧形式として扱う', () => {
+    const hex = encodeCorrelationId(uuid, { attempt: 1 });
+    expect(decodeCorrelationId(flipByte(hex, 31))).to.deep.equal({ version: 0 });
+    expect(decodeCorrelationId(flipByte(hex, 5))).to.deep.equal({ version: 0 });
+    expect(decodeCorrelationId(flipByte(hex, 20))).to.deep.equal({ version: 0 });
+    expect(decodeCorrelationId(flipByte(hex, 0))).to.deep.equal({ version: 0 });
+  });
+
+  it('UUID 以外・大文字の UUID・legacy 指定は旧形式（SHA-256）でエンコードする', () => {
+    expect(encodeCorrelationId('run-123')).to.equal(legacyBytes32('run-123'));
+    expect(encodeCorrelationId(uuid.toUpperCase())).to.equal(legacyBytes32(uuid.toUpperCase()));
+    expect(encodeCorrelationId(uuid, { encoding: 'legacy' })).to.equal(legacyBytes32(uuid));
+    expect(decodeCorrelationId(legacyBytes32(uuid))).to.deep.equal({ version: 0 });
+  });
+
+  it('bytes32 でない値は null', () => {
+    expect(decodeCorrelationId('0x1234')).to.equal(null);
+    expect(decodeCorrelationId(undefined)).to.equal(null);
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { CustodyLifecycle } = require('../tx-sender/custody-lifecycle');
+
+const T0 = Date.UTC(2026, 9, 19, 8, 0, 0);
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+/**
+ * FireblocksSDK の代替。getTransactionById はポーリングのたびに statuses を順に返す（1秒経過させる）
+ */
+function fakeClient(clock, statuses) {
+  let i = 0;
+  return {
+    async createTransaction() {
+      clock.tick(300);
+      return { id: 'fb-1', status: 'SUBMITTED' };
+    },
+    async getTransactionById(id) {
+      clock.tick(1000);
+      return { id, ...statuses[Math.min(i++, statuses.length - 1)] };
+    },
+  };
+}
+
+describe('custody-lifecycle', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: T0, toFake: ['Date'] });
+  });
+
+  afterEach(() => clock.restore());
+
+  it('ステータス遷移を時刻付きで記録し、ブロードキャストまでの所要時間と滞在時間を返す', async () => {
+    const client = fakeClient(clock, [
+      { status: 'PENDING_AUTHORIZATION' },
+      { status: 'PENDING_AUTHORIZATION' },
+      { status: 'PENDING_SIGNATURE' },
+      { status: 'BROADCASTING', txHash: TX_HASH },
+    ]);
+    const lifecycle = new CustodyLifecycle().attach(client);
+
+    const created = await client.createTransaction({ operation: 'CONTRACT_CALL' });
+    for (let n = 0; n < 4; n++) await client.getTransactionById(created.id);
+
+    const [entry] = lifecycle.take();
+    expect(entry).to.deep.equal({
+      id: 'fb-1',
+      txHash: TX_HASH,
+      status: 'BROADCASTING',
+      requestedAtMs: T0,
+      completedAtMs: T0 + 4300,
+      latencyMs: 4300,
+      phaseMs: { SUBMITTED: 1000, PENDING_AUTHORIZATION: 2000, PENDING_SIGNATURE: 1000 },
+      transitions: [
+        { status: 'SUBMITTED', atMs: T0 + 300 },
+        { status: 'PENDING_AUTHORIZATION', atMs: T0 + 1300 },
+        { status: 'PENDING_SIGNATURE', atMs: T0 + 3300 },
+        { status: 'BROADCASTING', atMs: T0 + 4300 },
+      ],
+    });
+    expect(lifecycle.take()).to.deep.equal([]);
+  });
+
+  it('失敗の終了状態（サブステータス付き）でも所要時間を確定する', async () => {
+    const client = fakeClient(clock, [
+      { status: 'FAILED', subStatus: 'INSUFFICIENT_FUNDS_FOR_FEE' },
+    ]);
+    const lifecycle = new CustodyLifecycle().attach(client);
+
+    await client.createTransaction();
+    await client.getTransactionById('fb-1');
+
+    const [entry] = lifecycle.take();
+    expect(entry).to.include({ status: 'FAILED', subStatus: 'INSUFFICIENT_FUNDS_FOR_FEE', latencyMs: 1300 });
+    expect(entry).to.not.have.property('txHash');
+  });
+
+  it('終了状態に達していなければ所要時間を付けない・記録していない ID は無視する', async () => {
+    const client = fakeClient(clock, [{ status: 'PENDING_SIGNATURE' }]);
+    const lifecycle = new CustodyLifecycle().attach(client);
+
+    await client.getTransactionById('unknown');
+    expect(lifecycle.take()).to.deep.equal([]);
+
+    await client.createTransaction();
+    await client.getTransactionById('fb-1');
+    const [entry] = lifecycle.take();
+    expect(entry).to.include({ status: 'PENDING_SIGNATURE' });
+    expect(entry).to.not.have.any.keys('completedAtMs', 'latencyMs');
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { FakeDocumentClient, fakeS3, captureConsole, withEnv, lambdaContext } = require('./helpers/lambda-harness');
+
+const BUCKET = 'mail-bucket';
+const RECEIVED_AT = new Date('2026-10-19T08:00:30Z');
+
+function balanceMail(body) {
+  return [
+    'From: vault@example.com',
+    'To: e2e@example.com',
+    'Subject: Wallet balance notification',
+    'Date: Mon, 19 Oct 2026 08:00:00 +0000',
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    body,
+    '',
+  ].join('\r\n');
+}
+
+function loadHandler(ddb, body, env = {}) {
+  return withEnv({
+    RESULTS_TABLE: 'results',
+    INBOX_TABLE: 'inbox',
+    E2E_TARGETS: '',
+    CONTRACT_ADDRESS: `0x${'11'.repeat(20)}`,
+    RECEIPT_PROVIDERS: JSON.stringify([{ name: 'balance-rpc', type: 'rpc', url: 'http://rpc.test' }]),
+    MAIL_AUTH_MODE: 'off',
+    LOW_BALANCE_THRESHOLD: undefined,
+    LOG_LEVEL: 'info',
+    ...env,
+  }, () => proxyquire('../email-ingest/index.js', {
+    '@aws-sdk/client-s3': { S3Client: fakeS3({ 'mail/balance': { body: balanceMail(body), lastModified: RECEIVED_AT } }) },
+    '@aws-sdk/lib-dynamodb': { DynamoDBDocumentClient: { from: () => ddb } },
+  }).handler);
+}
+
+const s3Event = { source: 'aws.s3', detail: { bucket: { name: BUCKET }, object: { key: 'mail/balance' } } };
+
+describe('email-ingest 残高通知', () => {
+  let ddb;
+  let out;
+
+  beforeEach(() => {
+    ddb = new FakeDocumentClient();
+    out = captureConsole();
+  });
+
+  afterEach(() => out.restore());
+
+  const walletBalanceMetrics = () => out.lines
+    .map((l) => JSON.parse(l))
+    .filter((r) => r._aws && r.WalletBalance !== undefined)
+    .map((r) => ({ amount: r.WalletBalance, asset: r.Asset, wallet: r.Wallet }));
+
+  it('金額（桁区切り）・通貨・ウォレットを抽出してレコードに記録し、残高メトリクスを出す', async () => {
+    ddb.onQuery = () => [{ correlationId: 'c-1', recordType: 'E2E_TASK', createdAtMs: RECEIVED_AT.getTime() - 60 * 1000 }];
+    const handler = loadHandler(ddb, 'Your wallet balance: 1,234.5 pol\nVault name: pinger-vault');
+
+    await handler(s3Event, lambdaContext());
+
+    const update = ddb.callsOf('UpdateCommand').find((i) => i.Key.correlationId === 'c-1');
+    expect(update.ExpressionAttributeValues).to.include({
+      ':balAmount': 1234.5,
+      ':balAmountRaw': '1,234.5',
+      ':balAsset': 'POL',
+      ':balWallet': 'pinger-vault',
+      ':newStatus': 'BALANCE_ONLY',
+    });
+    expect(walletBalanceMetrics()).to.deep.equal([{ amount: 1234.5, asset: 'POL', wallet: 'pinger-vault' }]);
+    expect(out.metrics().map((m) => m.name)).to.not.include('LowBalance');
+    expect(ddb.table('results').get('BALANCE_STATE#POL#pinger-vault')).to.include({ lastAmount: 1234.5 });
+  });
+
+  it('閾値を下回る残高は LowBalance を出す（紐付け先が無くても）', async () => {
+    const handler = loadHandler(ddb, 'Wallet balance: 0.75 POL', { LOW_BALANCE_THRESHOLD: '1' });
+
+    await handler(s3Event, lambdaContext());
+
+    expect(out.metrics()).to.deep.include({ name: 'LowBalance', reason: 'POL' });
+    expect(out.metrics()).to.deep.include({ name: 'SoftMiss', reason: 'BalanceNoCandidate' });
+    const inbox = ddb.callsOf('PutCommand').find((i) => i.TableName === 'inbox');
+    expect(inbox.Item.details.balance).to.include({ amount: 0.75, asset: 'POL' });
+  });
+
+  it('金額を読み取れない場合は残高属性・メトリクスを出さずに紐付けのみ行う', async () => {
+    ddb.onQuery = () => [{ correlationId: 'c-1', recordType: 'E2E_TASK', createdAtMs: RECEIVED_AT.getTime() - 60 * 1000 }];
+    const handler = loadHandler(ddb, 'Wallet balance changed', { LOW_BALANCE_THRESHOLD: '1' });
+
+    await handler(s3Event, lambdaContext());
+
+    const update = ddb.callsOf('UpdateCommand').find((i) => i.Key.correlationId === 'c-1');
+    expect(update.ExpressionAttributeValues).to.not.have.any.keys(':balAmount', ':balAsset', ':balWallet');
+    expect(walletBalanceMetrics()).to.deep.equal([]);
+    expect(out.metrics().map((m) => m.name)).to.not.include('LowBalance');
+  });
+});
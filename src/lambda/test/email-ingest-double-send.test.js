@@ -0,0 +1,161 @@
+'use strict';
+
+const { expect } = require('chai');
+const { Interface } = require('ethers');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { FakeDocumentClient, fakeS3, rpcFetch, captureConsole, withEnv, lambdaContext } = require('./helpers/lambda-harness');
+const { E2E_MONITOR_ABI } = require('../common/e2e-monitor-abi');
+
+const BUCKET = 'mail-bucket';
+const CONTRACT = `0x${'11'.repeat(20)}`;
+const SENDER = `0x${'22'.repeat(20)}`;
+// 旧形式（SHA-256）の correlationId → GSI_CorrelationIdHex で逆引き
+const CORRELATION_ID_HEX = `0x${'77'.repeat(32)}`;
+const FIRST_TX = `0x${'a1'.repeat(32)}`;
+const SECOND_TX = `0x${'b2'.repeat(32)}`;
+
+function pingReceipt(txHash) {
+  const iface = new Interface(E2E_MONITOR_ABI);
+  const { topics, data } = iface.encodeEventLog('E2ePing', [CORRELATION_ID_HEX, SENDER, 1760860000, 7, 1760860002, `0x${'00'.repeat(32)}`]);
+  const blockHash = `0x${'0b'.repeat(32)}`;
+  return {
+    transactionHash: txHash,
+    status: '0x1',
+    blockNumber: '0x64',
+    blockHash,
+    gasUsed: '0x5208',
+    effectiveGasPrice: '0x3b9aca00',
+    logs: [{ address: CONTRACT, topics, data, blockNumber: '0x64', blockHash, logIndex: '0x0' }],
+  };
+}
+
+function eventMail(txHash) {
+  return [
+    'From: alerts@example.com',
+    'To: e2e@example.com',
+    'Subject: Transaction confirmed',
+    'Date: Mon, 19 Oct 2026 08:00:00 +0000',
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    `https://amoy.polygonscan.com/tx/${txHash}`,
+    '',
+  ].join('\r\n');
+}
+
+const OBJECTS = {
+  'mail/second': { body: eventMail(SECOND_TX) },
+  'mail/second-again': { body: eventMail(SECOND_TX) },
+  'mail/first-again': { body: eventMail(FIRST_TX) },
+};
+
+function loadHandler(ddb) {
+  return withEnv({
+    RESULTS_TABLE: 'results',
+    INBOX_TABLE: 'inbox',
+    E2E_TARGETS: '',
+    CONTRACT_ADDRESS: CONTRACT,
+    EXPECTED_SENDER_ADDRESS: SENDER,
+    RECEIPT_PROVIDERS: JSON.stringify([{ name: 'double-send-rpc', type: 'rpc', url: 'http://rpc.test' }]),
+    MIN_CONFIRMATIONS: 1,
+    MAIL_AUTH_MODE: 'off',
+    LOG_LEVEL: 'info',
+  }, () => proxyquire('../email-ingest/index.js', {
+    '@aws-sdk/client-s3': { S3Client: fakeS3(OBJECTS) },
+    '@aws-sdk/lib-dynamodb': { DynamoDBDocumentClient: { from: () => ddb } },
+  }).handler);
+}
+
+const s3Event = (key) => ({ source: 'aws.s3', detail: { bucket: { name: BUCKET }, object: { key } } });
+
+function conditionalCheckFailed() {
+  return Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+}
+
+describe('email-ingest 二重送信の検出', () => {
+  const resolvedRecord = { correlationId: 'c-1', recordType: 'E2E_TASK', correlationIdHex: CORRELATION_ID_HEX, correlationResolved: true, txHash: FIRST_TX };
+  let ddb;
+  let out;
+  let rpc;
+
+  beforeEach(() => {
+    ddb = new FakeDocumentClient();
+    out = captureConsole();
+    rpc = rpcFetch({ eth_getTransactionReceipt: ([txHash]) => pingReceipt(txHash), eth_blockNumber: '0x80' });
+  });
+
+  afterEach(() => {
+    out.restore();
+    rpc.restore();
+  });
+
+  const extraTxUpdates = () => ddb.callsOf('UpdateCommand').filter((i) => i.ExpressionAttributeValues[':txHashList']);
+  const inboxReasons = () => ddb.callsOf('PutCommand').filter((i) => i.TableName === 'inbox').map((i) => i.Item.reason);
+
+  it('解決済みレコードに別 tx のイベントが届いたら追加 tx として記録し、DoubleSend を出す', async () => {
+    ddb.onQuery = () => [resolvedRecord];
+    const handler = loadHandler(ddb);
+
+    expect(await handler(s3Event('mail/second'), lambdaContext())).to.deep.equal({ ok: true });
+
+    const [update] = extraTxUpdates();
+    expect(update.Key).to.deep.equal({ correlationId: 'c-1' });
+    expect(update.ConditionExpression).to.include('NOT contains(extraTxHashes, :txHash)');
+    expect(update.ExpressionAttributeValues[':txHashList']).to.deep.equal([SECOND_TX]);
+    expect(update.ExpressionAttributeValues[':extraTxList'][0]).to.include({
+      txHash: SECOND_TX,
+      sender: SENDER,
+      nonce: 7,
+      blockNumber: 100,
+      gasCostWei: String(21000n * 1000000000n),
+    });
+    expect(out.metrics()).to.deep.include({ name: 'DoubleSend', reason: 'ExtraTx' });
+    expect(inboxReasons()).to.deep.equal([]);
+    expect(ddb.table('results').get(`PROCESSED#${BUCKET}/mail/second`)).to.include({ status: 'COMPLETED', outcome: 'DoubleSend' });
+  });
+
+  it('記録済みの追加 tx の通知は EventDuplicate として二重に追記しない', async () => {
+    ddb.onQuery = () => [resolvedRecord];
+    const recorded = new Set();
+    ddb.onSend = (command) => {
+      const values = command.input.ExpressionAttributeValues || {};
+      if (command.constructor.name !== 'UpdateCommand' || !values[':txHashList']) return undefined;
+      if (recorded.has(values[':txHash'])) return conditionalCheckFailed();
+      recorded.add(values[':txHash']);
+      return {};
+    };
+    const handler = loadHandler(ddb);
+
+    await handler(s3Event('mail/second'), lambdaContext());
+    await handler(s3Event('mail/second-again'), lambdaContext());
+
+    expect(out.metrics().filter((m) => m.name === 'DoubleSend')).to.have.length(1);
+    expect(out.metrics()).to.deep.include({ name: 'SoftMiss', reason: 'EventDuplicate' });
+    expect(inboxReasons()).to.deep.equal(['EventDuplicate']);
+  });
+
+  it('同じ tx の通知の重複は二重送信として扱わない', async () => {
+    ddb.onQuery = () => [resolvedRecord];
+    const handler = loadHandler(ddb);
+
+    await handler(s3Event('mail/first-again'), lambdaContext());
+
+    expect(extraTxUpdates()).to.have.length(0);
+    expect(out.metrics().map((m) => m.name)).to.not.include('DoubleSend');
+    expect(inboxReasons()).to.deep.equal(['EventDuplicate']);
+  });
+
+  it('解決の競合で負けた相手が別 tx なら二重送信として記録する', async () => {
+    ddb.onQuery = () => [{ ...resolvedRecord, correlationResolved: false, txHash: undefined }];
+    ddb.table('results').set('c-1', resolvedRecord);
+    ddb.onSend = (command) => {
+      const values = command.input.ExpressionAttributeValues || {};
+      return command.constructor.name === 'UpdateCommand' && values[':correlationIdHex'] ? conditionalCheckFailed() : undefined;
+    };
+    const handler = loadHandler(ddb);
+
+    await handler(s3Event('mail/second'), lambdaContext());
+
+    expect(extraTxUpdates()).to.have.length(1);
+    expect(out.metrics()).to.deep.include({ name: 'DoubleSend', reason: 'ExtraTx' });
+  });
+});
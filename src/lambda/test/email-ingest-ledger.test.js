@@ -0,0 +1,135 @@
+'use strict';
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { FakeDocumentClient, fakeS3, rpcFetch, captureConsole, withEnv, lambdaContext } = require('./helpers/lambda-harness');
+
+const BUCKET = 'mail-bucket';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+function rawMail({ subject, body }) {
+  return [
+    'From: alerts@example.com',
+    'To: e2e@example.com',
+    `Subject: ${subject}`,
+    'Date: Mon, 19 Oct 2026 08:00:00 +0000',
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    body,
+    '',
+  ].join('\r\n');
+}
+
+const EVENT_MAIL = rawMail({ subject: 'Transaction confirmed', body: `https://amoy.polygonscan.com/tx/${TX_HASH}` });
+const OTHER_MAIL = rawMail({ subject: 'Weekly newsletter', body: 'nothing to see here' });
+
+function s3Event(key) {
+  return { source: 'aws.s3', detail: { bucket: { name: BUCKET }, object: { key } } };
+}
+
+function loadHandler(ddb, objects) {
+  return withEnv({
+    RESULTS_TABLE: 'results',
+    INBOX_TABLE: 'inbox',
+    E2E_TARGETS: '',
+    CONTRACT_ADDRESS: `0x${'11'.repeat(20)}`,
+    RECEIPT_PROVIDERS: JSON.stringify([{ name: 'rpc', type: 'rpc', url: 'http://rpc.test' }]),
+    RECEIPT_MAX_ATTEMPTS: 1,
+    RECEIPT_BREAKER_THRESHOLD: 1000,
+    MAIL_AUTH_MODE: 'off',
+    LOG_LEVEL: 'info',
+  }, () => proxyquire('../email-ingest/index.js', {
+    '@aws-sdk/client-s3': { S3Client: fakeS3(objects) },
+    '@aws-sdk/lib-dynamodb': { DynamoDBDocumentClient: { from: () => ddb } },
+  }).handler);
+}
+
+describe('email-ingest 処理済みオブジェクト台帳', () => {
+  let ddb;
+  let out;
+  let rpc;
+
+  beforeEach(() => {
+    ddb = new FakeDocumentClient();
+    out = captureConsole();
+    rpc = rpcFetch({ eth_getTransactionReceipt: new Error('unavailable'), eth_blockNumber: '0x64' });
+  });
+
+  afterEach(() => {
+    out.restore();
+    rpc.restore();
+  });
+
+  const ledger = (key) => ddb.table('results').get(`PROCESSED#${BUCKET}/${key}`);
+
+  it('最終的な結果（Unclassified）は COMPLETED とし、再配信は短絡する', async () => {
+    const handler = loadHandler(ddb, { 'mail/other': { body: OTHER_MAIL } });
+
+    expect(await handler(s3Event('mail/other'), lambdaContext())).to.deep.equal({ ok: true });
+    expect(ledger('mail/other')).to.include({ status: 'COMPLETED', outcome: 'Unclassified' });
+    expect(ddb.callsOf('PutCommand').filter((i) => i.TableName === 'inbox')).to.have.length(1);
+
+    expect(await handler(s3Event('mail/other'), lambdaContext())).to.deep.equal({ ok: true });
+    expect(out.metrics()).to.deep.include({ name: 'Redelivered', reason: 'Completed' });
+    expect(ddb.callsOf('PutCommand').filter((i) => i.TableName === 'inbox')).to.have.length(1);
+  });
+
+  it('レシート取得の失敗は inbox に記録せず台帳を解放してエラー終了し、再配信で再処理する', async () => {
+    const handler = loadHandler(ddb, { 'mail/event': { body: EVENT_MAIL } });
+
+    let error;
+    await handler(s3Event('mail/event'), lambdaContext()).catch((e) => { error = e; });
+    expect(error).to.be.an('error');
+    expect(error.message).to.equal('Deferred 1 object(s) for retry: mail/event');
+    expect(ledger('mail/event')).to.equal(undefined);
+    expect(ddb.callsOf('PutCommand').filter((i) => i.TableName === 'inbox')).to.have.length(0);
+    expect(out.metrics()).to.deep.include({ name: 'Failures', reason: 'ExplorerError' });
+
+    const before = rpc.calls.length;
+    await handler(s3Event('mail/event'), lambdaContext()).catch(() => {});
+    expect(rpc.calls.length).to.be.greaterThan(before);
+    expect(out.metrics().map((m) => m.name)).to.not.include('Redelivered');
+  });
+
+  it('処理中の占有は呼び出しの終了時刻まで。期限内の再配信は InFlight、期限切れは再取得する', async () => {
+    const handler = loadHandler(ddb, { 'mail/other': { body: OTHER_MAIL } });
+    const startMs = Date.now();
+    await handler(s3Event('mail/other'), lambdaContext(30 * 1000));
+    const claim = ddb.callsOf('PutCommand').find((i) => i.Item.recordType === 'PROCESSED_OBJECT');
+    expect(claim.Item.leaseUntilMs).to.be.within(startMs + 29 * 1000, Date.now() + 30 * 1000);
+
+    const items = ddb.table('results');
+    items.set(`PROCESSED#${BUCKET}/mail/other`, { status: 'PROCESSING', leaseUntilMs: Date.now() + 60 * 1000 });
+    await handler(s3Event('mail/other'), lambdaContext());
+    expect(out.metrics()).to.deep.include({ name: 'Redelivered', reason: 'InFlight' });
+
+    items.set(`PROCESSED#${BUCKET}/mail/other`, { status: 'PROCESSING', leaseUntilMs: Date.now() - 1 });
+    await handler(s3Event('mail/other'), lambdaContext());
+    expect(ledger('mail/other')).to.include({ status: 'COMPLETED' });
+  });
+
+  it('予期しないエラー（S3 の取得失敗・不正なキー）もキーを保留してエラー終了する', async () => {
+    const handler = loadHandler(ddb, { 'mail/other': { body: OTHER_MAIL } });
+    const event = { Records: [
+      { s3: { bucket: { name: BUCKET }, object: { key: 'mail/missing' } } },
+      { s3: { bucket: { name: BUCKET }, object: { key: 'mail/%E0%A4%A' } } },
+      { s3: { bucket: { name: BUCKET }, object: { key: 'mail/other' } } },
+    ] };
+
+    let error;
+    await handler(event, lambdaContext()).catch((e) => { error = e; });
+    expect(error.message).to.equal('Deferred 2 object(s) for retry: mail/missing, mail/%E0%A4%A');
+    expect(ledger('mail/missing')).to.equal(undefined);
+    expect(ledger('mail/other')).to.include({ status: 'COMPLETED' });
+    expect(out.metrics().filter((m) => m.reason === 'UnexpectedError')).to.have.length(2);
+  });
+
+  it('台帳の占有に失敗しても処理を優先する', async () => {
+    ddb.onSend = (command) => (command.constructor.name === 'PutCommand' && command.input.Item.recordType === 'PROCESSED_OBJECT'
+      ? Object.assign(new Error('Rate exceeded'), { name: 'ProvisionedThroughputExceededException' })
+      : undefined);
+    const handler = loadHandler(ddb, { 'mail/other': { body: OTHER_MAIL } });
+    expect(await handler(s3Event('mail/other'), lambdaContext())).to.deep.equal({ ok: true });
+    expect(ddb.callsOf('PutCommand').filter((i) => i.TableName === 'inbox')).to.have.length(1);
+  });
+});
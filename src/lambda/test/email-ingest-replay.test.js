@@ -0,0 +1,95 @@
+'use strict';
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { FakeDocumentClient, fakeS3, rpcFetch, captureConsole, withEnv, lambdaContext } = require('./helpers/lambda-harness');
+
+const BUCKET = 'mail-bucket';
+const TX_HASH = `0x${'ef'.repeat(32)}`;
+
+function rawMail({ subject, body }) {
+  return [
+    'From: alerts@example.com',
+    'To: e2e@example.com',
+    `Subject: ${subject}`,
+    'Date: Mon, 19 Oct 2026 08:00:00 +0000',
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    body,
+    '',
+  ].join('\r\n');
+}
+
+const OBJECTS = {
+  'ses/a': { body: rawMail({ subject: 'Weekly newsletter', body: 'nothing to see here' }), lastModified: new Date('2026-10-01T00:00:00Z') },
+  'ses/b': { body: rawMail({ subject: 'Transaction confirmed', body: `https://amoy.polygonscan.com/tx/${TX_HASH}` }), lastModified: new Date('2026-10-01T01:00:00Z') },
+  'ses/c': { body: rawMail({ subject: 'Weekly newsletter', body: 'again' }), lastModified: new Date('2026-10-02T00:00:00Z') },
+};
+
+function loadHandler(ddb) {
+  return withEnv({
+    RESULTS_TABLE: 'results',
+    INBOX_TABLE: 'inbox',
+    E2E_TARGETS: '',
+    CONTRACT_ADDRESS: `0x${'11'.repeat(20)}`,
+    RECEIPT_PROVIDERS: JSON.stringify([{ name: 'replay-rpc', type: 'rpc', url: 'http://rpc.test' }]),
+    RECEIPT_MAX_ATTEMPTS: 1,
+    RECEIPT_BREAKER_THRESHOLD: 1000,
+    MAIL_AUTH_MODE: 'off',
+    LOG_LEVEL: 'info',
+  }, () => proxyquire('../email-ingest/index.js', {
+    '@aws-sdk/client-s3': { S3Client: fakeS3(OBJECTS) },
+    '@aws-sdk/lib-dynamodb': { DynamoDBDocumentClient: { from: () => ddb } },
+  }).handler);
+}
+
+describe('email-ingest リプレイ', () => {
+  let ddb;
+  let out;
+  let rpc;
+
+  beforeEach(() => {
+    ddb = new FakeDocumentClient();
+    out = captureConsole();
+    rpc = rpcFetch({ eth_getTransactionReceipt: new Error('unavailable'), eth_blockNumber: '0x64' });
+  });
+
+  afterEach(() => {
+    out.restore();
+    rpc.restore();
+  });
+
+  it('dry-run は書き込まずに予定の書き込みと結果を返し、メトリクスも台帳も使わない', async () => {
+    const handler = loadHandler(ddb);
+    const res = await handler({ replay: { bucket: BUCKET, prefix: 'ses/', to: '2026-10-02T00:00:00Z' } }, lambdaContext());
+
+    expect(res).to.include({ ok: true, dryRun: true, count: 2 });
+    expect(res.results.map((r) => [r.key, r.outcome])).to.deep.equal([['ses/a', 'Unclassified'], ['ses/b', 'Deferred']]);
+    expect(res.results[0].writes.map((w) => [w.command, w.input.TableName])).to.deep.equal([['PutCommand', 'inbox']]);
+    expect(res.results[1]).to.include({ deferReason: 'ExplorerError', txHash: TX_HASH });
+    expect(ddb.calls.filter((c) => c.constructor.name !== 'GetCommand' && c.constructor.name !== 'QueryCommand')).to.have.length(0);
+    expect(ddb.table('results').size).to.equal(0);
+    expect(out.metrics()).to.deep.equal([]);
+  });
+
+  it('limit に達したら最後のキーを nextStartAfter で返し、startAfter で続きから処理する', async () => {
+    const handler = loadHandler(ddb);
+    const first = await handler({ replay: { bucket: BUCKET, prefix: 'ses/', limit: 1 } }, lambdaContext());
+    expect(first).to.include({ count: 1, nextStartAfter: 'ses/a' });
+
+    const next = await handler({ replay: { bucket: BUCKET, prefix: 'ses/', limit: 5, startAfter: first.nextStartAfter } }, lambdaContext());
+    expect(next.results.map((r) => r.key)).to.deep.equal(['ses/b', 'ses/c']);
+    expect(next.nextStartAfter).to.equal(undefined);
+  });
+
+  it('残り時間が予備時間を切ったら残りを処理せず、最後に処理したキーを nextStartAfter で返す', async () => {
+    const handler = loadHandler(ddb);
+    const res = await handler({ replay: { bucket: BUCKET, prefix: 'ses/' } }, lambdaContext(10 * 1000));
+    expect(res).to.include({ count: 1, nextStartAfter: 'ses/a' });
+    expect(out.messages()).to.include('Replay time budget exhausted, stopping');
+
+    const byKeys = await handler({ replay: { bucket: BUCKET, keys: ['ses/c', 'ses/a'] } }, lambdaContext(10 * 1000));
+    expect(byKeys).to.include({ count: 1, nextStartAfter: 'ses/c' });
+    expect(byKeys.remainingKeys).to.deep.equal(['ses/a']);
+  });
+});
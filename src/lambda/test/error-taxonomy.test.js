@@ -0,0 +1,126 @@
+'use strict';
+
+const { expect } = require('chai');
+const { Interface, getAddress, makeError } = require('ethers');
+const { E2E_MONITOR_ABI } = require('../common/e2e-monitor-abi');
+const { classifyError, classifiedError } = require('../tx-sender/error-taxonomy');
+
+const abi = new Interface(E2E_MONITOR_ABI);
+
+// fireblocks-web3-provider が最終ステータスで失敗した場合のエラー
+function fireblocksError(finalStatus) {
+  return new Error(`Transaction 0c1d2e3f-0000-4000-8000-000000000000 changed status to ${finalStatus.split(' ')[0]}, Final Status: ${finalStatus}`);
+}
+
+describe('error-taxonomy classifyError', () => {
+  describe('ethers のエラーコード', () => {
+    const cases = [
+      ['INSUFFICIENT_FUNDS', 'insufficientFunds', false],
+      ['ACTION_REJECTED', 'signerRejected', false],
+      ['NONCE_EXPIRED', 'nonce', true],
+      ['REPLACEMENT_UNDERPRICED', 'underpriced', true],
+      ['NETWORK_ERROR', 'network', true],
+      ['TIMEOUT', 'network', true],
+      ['INVALID_ARGUMENT', 'config', false],
+    ];
+    for (const [code, errorClass, retryable] of cases) {
+      it(`${code} → ${errorClass}`, () => {
+        const result = classifyError(makeError(`test ${code}`, code, {}));
+        expect(result.errorClass).to.equal(errorClass);
+        expect(result.retryable).to.equal(retryable);
+      });
+    }
+
+    it('RPC のレート制限（info.error.code=-32005）は CALL_EXCEPTION より先に network とする', () => {
+      const err = makeError('missing revert data', 'CALL_EXCEPTION', { info: { error: { code: -32005, message: 'limit exceeded' } } });
+      expect(classifyError(err)).to.deep.equal({ errorClass: 'network', retryable: true, detail: '-32005' });
+    });
+
+    it('ノードの nonce too low 文言は nonce', () => {
+      const err = makeError('could not coalesce error', 'UNKNOWN_ERROR', { error: { message: 'nonce too low: next nonce 12, tx nonce 11' } });
+      expect(classifyError(err).errorClass).to.equal('nonce');
+    });
+  });
+
+  describe('revert', () => {
+    it('AccessControlUnauthorizedAccount の revert データは unauthorized', () => {
+      const account = '0x00000000000000000000000000000000000000aa';
+      const role = `0x${'11'.repeat(32)}`;
+      const data = abi.encodeErrorResult('AccessControlUnauthorizedAccount', [account, role]);
+      const result = classifyError(makeError('execution reverted', 'CALL_EXCEPTION', { data }));
+      expect(result.errorClass).to.equal('unauthorized');
+      expect(result.retryable).to.equal(false);
+      expect(result.detail).to.equal(`AccessControlUnauthorizedAccount(${getAddress(account)},${role})`);
+    });
+
+    it('ethers がデコードした Error(string) は contractRevert', () => {
+      const err = makeError('execution reverted: "paused"', 'CALL_EXCEPTION', { revert: { name: 'Error', signature: 'Error(string)', args: ['paused'] } });
+      expect(classifyError(err)).to.deep.equal({ errorClass: 'contractRevert', retryable: false, detail: 'Error(paused)' });
+    });
+
+    it('revert データの無い CALL_EXCEPTION は unknown（再試行）、reason があれば contractRevert', () => {
+      expect(classifyError(makeError('missing revert data', 'CALL_EXCEPTION', {}))).to.deep.equal({
+        errorClass: 'unknown',
+        retryable: true,
+        detail: 'CALL_EXCEPTION',
+      });
+      expect(classifyError(makeError('execution reverted', 'CALL_EXCEPTION', { reason: 'bad nonce' })).detail).to.equal('Error(bad nonce)');
+    });
+  });
+
+  describe('Fireblocks の最終ステータス', () => {
+    it('INSUFFICIENT_FUNDS のサブステータスは insufficientFunds', () => {
+      expect(classifyError(fireblocksError('FAILED (INSUFFICIENT_FUNDS_FOR_FEE)'))).to.deep.equal({
+        errorClass: 'insufficientFunds',
+        retryable: false,
+        detail: 'FAILED:INSUFFICIENT_FUNDS_FOR_FEE',
+      });
+    });
+
+    it('BLOCKED / REJECTED / CANCELLED は signerRejected', () => {
+      for (const status of ['BLOCKED (BLOCKED_BY_POLICY)', 'REJECTED', 'CANCELLED']) {
+        expect(classifyError(fireblocksError(status)).errorClass).to.equal('signerRejected');
+      }
+    });
+
+    it('その他の失敗は signerFailed（再試行）', () => {
+      expect(classifyError(fireblocksError('FAILED (TIMEOUT)'))).to.deep.equal({ errorClass: 'signerFailed', retryable: true, detail: 'FAILED:TIMEOUT' });
+    });
+
+    it('ラップされたエラー（cause）の最終ステータスも見る', () => {
+      const err = new Error('send failed', { cause: fireblocksError('REJECTED') });
+      expect(classifyError(err).errorClass).to.equal('signerRejected');
+    });
+
+    it('プロバイダ設定の不備は config', () => {
+      expect(classifyError(new Error('Unsupported chain id: 999'))).to.deep.equal({ errorClass: 'config', retryable: false, detail: 'fireblocks' });
+    });
+  });
+
+  describe('その他', () => {
+    it('発生箇所で分類済みのエラーはその分類', () => {
+      expect(classifyError(classifiedError('config', 'missing CONTRACT_ADDRESS'))).to.deep.equal({ errorClass: 'config', retryable: false });
+    });
+
+    it('JSON の解析失敗は validation、消えた tx は dropped', () => {
+      let syntaxError;
+      try {
+        JSON.parse('{');
+      } catch (e) {
+        syntaxError = e;
+      }
+      expect(classifyError(syntaxError).errorClass).to.equal('validation');
+      const dropped = new Error('dropped');
+      dropped.txResult = { outcome: 'dropped' };
+      expect(classifyError(dropped).errorClass).to.equal('dropped');
+    });
+
+    it('SSM の ParameterNotFound は config、分類できないものは unknown', () => {
+      const notFound = new Error('not found');
+      notFound.name = 'ParameterNotFound';
+      expect(classifyError(notFound).errorClass).to.equal('config');
+      expect(classifyError(new Error('something else'))).to.deep.equal({ errorClass: 'unknown', retryable: true });
+      expect(classifyError(null)).to.deep.equal({ errorClass: 'unknown', retryable: true });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseUnits } = require('ethers');
+const { loadFeePolicy, initialFees, bumpFees } = require('../tx-sender/fee-policy');
+
+const gwei = (v) => parseUnits(String(v), 'gwei');
+
+describe('fee-policy', () => {
+  const policy = loadFeePolicy({ TX_MAX_FEE_GWEI: '500', TX_MAX_PRIORITY_FEE_GWEI: '100', TX_MIN_PRIORITY_FEE_GWEI: '30' });
+
+  describe('loadFeePolicy', () => {
+    it('引き上げ率は置き換え条件の 10% を下回らない', () => {
+      expect(loadFeePolicy({ TX_FEE_BUMP_PERCENT: '5' }).bumpPercent).to.equal(10);
+    });
+
+    it('チップの上限が maxFee の上限を超える設定は拒否する', () => {
+      expect(() => loadFeePolicy({ TX_MAX_FEE_GWEI: '50', TX_MAX_PRIORITY_FEE_GWEI: '100' })).to.throw(/TX_MAX_PRIORITY_FEE_GWEI/);
+    });
+  });
+
+  describe('initialFees', () => {
+    it('baseFee の 2 倍 + チップを maxFee とし、チップは下限まで引き上げる', () => {
+      const fees = initialFees({ baseFeePerGas: gwei(40), suggestedPriorityFeeWei: gwei(1) }, policy);
+      expect(fees).to.deep.equal({ maxFeePerGas: gwei(110), maxPriorityFeePerGas: gwei(30), capped: false });
+    });
+
+    it('推奨チップはチップの上限で切り詰める', () => {
+      const fees = initialFees({ baseFeePerGas: gwei(10), suggestedPriorityFeeWei: gwei(250) }, policy);
+      expect(fees.maxPriorityFeePerGas).to.equal(gwei(100));
+      expect(fees.maxFeePerGas).to.equal(gwei(120));
+    });
+
+    it('baseFee 高騰時は maxFee を上限で切り詰め capped を立てる', () => {
+      const fees = initialFees({ baseFeePerGas: gwei(400), suggestedPriorityFeeWei: gwei(50) }, policy);
+      expect(fees).to.deep.equal({ maxFeePerGas: gwei(500), maxPriorityFeePerGas: gwei(50), capped: true });
+    });
+
+    it('baseFee が取れない場合はチップのみ', () => {
+      const fees = initialFees({ baseFeePerGas: null, suggestedPriorityFeeWei: null }, policy);
+      expect(fees).to.deep.equal({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(30), capped: false });
+    });
+  });
+
+  describe('bumpFees', () => {
+    it('両方の手数料を引き上げ率だけ上げる（切り上げ）', () => {
+      const bumped = bumpFees({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(30) }, policy);
+      expect(bumped).to.deep.equal({ maxFeePerGas: gwei(120), maxPriorityFeePerGas: gwei(36) });
+      expect(bumpFees({ maxFeePerGas: 101n, maxPriorityFeePerGas: 101n }, policy)).to.deep.equal({ maxFeePerGas: 122n, maxPriorityFeePerGas: 122n });
+    });
+
+    it('上限で切り詰めても 10% 以上上がるなら置き換える', () => {
+      const bumped = bumpFees({ maxFeePerGas: gwei(450), maxPriorityFeePerGas: gwei(50) }, policy);
+      expect(bumped).to.deep.equal({ maxFeePerGas: gwei(500), maxPriorityFeePerGas: gwei(60) });
+    });
+
+    it('上限のため 10% 以上上げられなければ null', () => {
+      expect(bumpFees({ maxFeePerGas: gwei(480), maxPriorityFeePerGas: gwei(50) }, policy)).to.equal(null);
+      expect(bumpFees({ maxFeePerGas: gwei(200), maxPriorityFeePerGas: gwei(95) }, policy)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * テスト用の AWS SDK / RPC の代替（email-ingest / reorg-verifier のハンドラ、tx-sender の結果記録のテスト用）
+ *
+ * - FakeDocumentClient : DynamoDBDocumentClient の代替。テーブルごとにアイテムを保持し、
+ *                        処理済みオブジェクト台帳（PROCESSED#...）の条件付き書き込み・解放を再現する
+ * - fakeS3             : S3Client の代替（GetObject / ListObjectsV2）
+ * - rpcFetch           : JSON-RPC プロバイダとしての fetch の代替
+ * - captureConsole     : ログ・EMF メトリクスの取得（テスト出力には出さない）
+ */
+'use strict';
+
+const { Readable } = require('stream');
+const sinon = require('sinon');
+
+function conditionalCheckFailed() {
+  const err = new Error('The conditional request failed');
+  err.name = 'ConditionalCheckFailedException';
+  return err;
+}
+
+function tableKey(input) {
+  const key = input.Key || input.Item;
+  return key.correlationId !== undefined ? key.correlationId : key.inboxId;
+}
+
+class FakeDocumentClient {
+  constructor() {
+    this.tables = new Map();
+    this.calls = [];
+    // (command) => Error|Object|undefined。Error は throw、Object はそのまま応答、undefined は既定の動作
+    this.onSend = null;
+    // (input) => Items（QueryCommand の応答）
+    this.onQuery = () => [];
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  callsOf(commandName) {
+    return this.calls.filter((c) => c.constructor.name === commandName).map((c) => c.input);
+  }
+
+  async send(command) {
+    this.calls.push(command);
+    if (this.onSend) {
+      const r = await this.onSend(command);
+      if (r instanceof Error) throw r;
+      if (r !== undefined) return r;
+    }
+    const { input } = command;
+    const name = command.constructor.name;
+    if (name === 'QueryCommand') return { Items: this.onQuery(input) };
+    const items = this.table(input.TableName);
+    const key = tableKey(input);
+    const existing = items.get(key);
+    if (name === 'GetCommand') return { Item: existing };
+    if (name === 'PutCommand') {
+      if (input.ConditionExpression && existing) {
+        const now = input.ExpressionAttributeValues && input.ExpressionAttributeValues[':now'];
+        const expired = now !== undefined && existing.status === 'PROCESSING' && existing.leaseUntilMs < now;
+        if (!expired) throw conditionalCheckFailed();
+      }
+      items.set(key, { ...input.Item });
+      return {};
+    }
+    if (name === 'DeleteCommand') {
+      if (input.ConditionExpression && (!existing || existing.status !== 'PROCESSING')) throw conditionalCheckFailed();
+      items.delete(key);
+      return {};
+    }
+    if (name === 'UpdateCommand') {
+      const values = input.ExpressionAttributeValues || {};
+      if (String(key).startsWith('PROCESSED#') && values[':completed']) {
+        items.set(key, { ...existing, status: values[':completed'], outcome: values[':outcome'] });
+      }
+      return {};
+    }
+    return {};
+  }
+}
+
+/**
+ * @param {Object<string, { body: string|Buffer, lastModified?: Date }>} objects - キー → オブジェクト
+ */
+function fakeS3(objects) {
+  return class FakeS3Client {
+    async send(command) {
+      const { input } = command;
+      if (command.constructor.name === 'ListObjectsV2Command') {
+        const keys = Object.keys(objects).sort().filter((k) => !input.StartAfter || k > input.StartAfter);
+        return {
+          Contents: keys.map((k) => ({ Key: k, LastModified: objects[k].lastModified || new Date() })),
+          IsTruncated: false,
+        };
+      }
+      const obj = objects[input.Key];
+      if (!obj) {
+        const err = new Error('The specified key does not exist.');
+        err.name = 'NoSuchKey';
+        throw err;
+      }
+      return { Body: Readable.from([Buffer.from(obj.body)]), LastModified: obj.lastModified || new Date() };
+    }
+  };
+}
+
+/**
+ * JSON-RPC の fetch を差し替える
+ * @param {Object<string, Function|any>} methods - メソッド名 → 結果（関数なら (params, url) => 結果。Error を返すと HTTP 500）
+ * @returns {{ restore: Function, calls: Array<{ url: string, method: string, params: Array }> }}
+ */
+function rpcFetch(methods) {
+  const original = global.fetch;
+  const calls = [];
+  global.fetch = async (url, opts) => {
+    const body = JSON.parse(opts.body);
+    calls.push({ url: String(url), method: body.method, params: body.params });
+    const handler = methods[body.method];
+    const result = typeof handler === 'function' ? await handler(body.params, String(url)) : handler;
+    if (result instanceof Error) return { ok: false, status: 500, json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => ({ jsonrpc: '2.0', id: body.id, result: result === undefined ? null : result }) };
+  };
+  return { restore: () => { global.fetch = original; }, calls };
+}
+
+/**
+ * console 出力を取得（EMF は JSON の _aws を持つ行）
+ */
+function captureConsole() {
+  const lines = [];
+  const stubs = ['log', 'warn', 'error'].map((m) => sinon.stub(console, m).callsFake((line) => lines.push(String(line))));
+  const parsed = () => lines.map((l) => {
+    try {
+      return JSON.parse(l);
+    } catch (_) {
+      return null;
+    }
+  }).filter(Boolean);
+  return {
+    lines,
+    restore: () => stubs.forEach((s) => s.restore()),
+    // [{ name, reason }]
+    metrics: () => parsed()
+      .filter((r) => r._aws)
+      .map((r) => ({ name: r._aws.CloudWatchMetrics[0].Metrics[0].Name, reason: r.Reason })),
+    messages: () => parsed().filter((r) => r.message).map((r) => r.message),
+  };
+}
+
+/**
+ * 環境変数を一時的に設定して fn を実行（モジュール読み込み時に環境変数を読むハンドラ用）
+ */
+function withEnv(env, fn) {
+  const saved = {};
+  for (const [k, v] of Object.entries(env)) {
+    saved[k] = process.env[k];
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = String(v);
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+/**
+ * Lambda の context（残り時間は固定値）
+ */
+function lambdaContext(remainingMs = 60 * 1000) {
+  return { awsRequestId: 'test-request', getRemainingTimeInMillis: () => remainingMs };
+}
+
+module.exports = {
+  FakeDocumentClient,
+  fakeS3,
+  rpcFetch,
+  captureConsole,
+  withEnv,
+  lambdaContext,
+};
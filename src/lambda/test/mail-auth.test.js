@@ -0,0 +1,48 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseAuthenticationResults } = require('../email-ingest/mail-auth');
+
+describe('mail-auth parseAuthenticationResults', () => {
+  it('SES（amazonses.com）のヘッダから spf / dkim / dmarc を取り出す', () => {
+    const values = ['amazonses.com; spf=pass (spfCheck: domain of example.com designates 192.0.2.1 as permitted sender) smtp.mailfrom=alerts@example.com; dkim=pass header.i=@example.com; dmarc=pass header.from=example.com;'];
+    expect(parseAuthenticationResults(values)).to.deep.equal({ spf: 'pass', dkim: 'pass', dmarc: 'pass' });
+  });
+
+  it('同じ方式に複数の結果があれば最も悪い結果を採用する', () => {
+    const values = ['amazonses.com; dkim=pass header.i=@example.com; dkim=fail header.i=@attacker.example; dkim=neutral header.i=@other.example; spf=softfail; spf=pass'];
+    expect(parseAuthenticationResults(values)).to.deep.equal({ spf: 'softfail', dkim: 'fail', dmarc: null });
+  });
+
+  it('未知の結果は fail より悪いものとして扱う', () => {
+    expect(parseAuthenticationResults(['amazonses.com; dmarc=fail; dmarc=bogus']).dmarc).to.equal('bogus');
+  });
+
+  it('先頭のヘッダのみ信頼し、送信者が付けた後続のヘッダは読まない', () => {
+    const values = [
+      'amazonses.com; spf=fail smtp.mailfrom=alerts@example.com; dkim=none; dmarc=fail header.from=example.com',
+      'amazonses.com; spf=pass; dkim=pass; dmarc=pass',
+    ];
+    expect(parseAuthenticationResults(values)).to.deep.equal({ spf: 'fail', dkim: 'none', dmarc: 'fail' });
+  });
+
+  it('先頭の authserv-id が SES でなければ判定なし', () => {
+    expect(parseAuthenticationResults(['mx.attacker.example; spf=pass; dkim=pass; dmarc=pass'])).to.deep.equal({ spf: null, dkim: null, dmarc: null });
+    // authserv-id の一部に amazonses.com を含むだけのものも不一致
+    expect(parseAuthenticationResults(['amazonses.com.attacker.example; dmarc=pass']).dmarc).to.equal(null);
+    expect(parseAuthenticationResults(['amazonses.com dmarc=pass']).dmarc).to.equal(null);
+  });
+
+  it('authserv-id の後ろのバージョンは無視し、大文字小文字を区別しない', () => {
+    expect(parseAuthenticationResults(['AmazonSES.com 1; SPF=Pass; DMARC=PASS'])).to.deep.equal({ spf: 'pass', dkim: null, dmarc: 'pass' });
+  });
+
+  it('信頼する authserv-id を指定できる', () => {
+    expect(parseAuthenticationResults(['mx.example.net; dmarc=pass'], 'mx.example.net').dmarc).to.equal('pass');
+  });
+
+  it('ヘッダが無ければ判定なし', () => {
+    expect(parseAuthenticationResults([])).to.deep.equal({ spf: null, dkim: null, dmarc: null });
+    expect(parseAuthenticationResults(undefined)).to.deep.equal({ spf: null, dkim: null, dmarc: null });
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseMailDate, parseReceivedChain, resolveMailTimestamps } = require('../email-ingest/mail-time');
+
+const RECEIVED = [
+  'from mx.example.com by inbound-smtp.ap-northeast-1.amazonaws.com with SMTP id abc; Mon, 19 Oct 2026 08:00:05 +0000 (UTC)',
+  'from sender.example.com by mx.example.com; Mon, 19 Oct 2026 16:59:58 +0900',
+];
+const PROCESSING_MS = Date.UTC(2026, 9, 19, 9, 0, 0);
+
+const mail = (headers) => ({ headers });
+
+describe('mail-time', () => {
+  describe('parseMailDate / parseReceivedChain', () => {
+    it('末尾のコメントを除いて解析し、解析できなければ null', () => {
+      expect(parseMailDate('Mon, 19 Oct 2026 08:00:00 +0000 (UTC)')).to.equal(Date.UTC(2026, 9, 19, 8, 0, 0));
+      expect(parseMailDate('not a date')).to.equal(null);
+      expect(parseMailDate(undefined)).to.equal(null);
+    });
+
+    it('Received は出現順（新しいホップから）に最後の ; 以降を読み、解析できないものは除く', () => {
+      expect(parseReceivedChain([...RECEIVED, 'from x by y', 'from x; garbage'])).to.deep.equal([
+        Date.UTC(2026, 9, 19, 8, 0, 5),
+        Date.UTC(2026, 9, 19, 7, 59, 58),
+      ]);
+      expect(parseReceivedChain(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe('resolveMailTimestamps', () => {
+    it('Received > S3 LastModified > Date ヘッダ > 処理時刻 の順に採用する', () => {
+      const headers = { date: ['Mon, 19 Oct 2026 07:59:00 +0000'], received: RECEIVED };
+      const s3LastModified = new Date('2026-10-19T08:00:07Z');
+      const opts = { s3LastModified, processingMs: PROCESSING_MS };
+
+      expect(resolveMailTimestamps(mail(headers), opts)).to.include({ source: 'received', chosenMs: Date.UTC(2026, 9, 19, 8, 0, 5) });
+      expect(resolveMailTimestamps(mail({ date: headers.date }), opts)).to.include({ source: 's3', chosenMs: s3LastModified.getTime() });
+      expect(resolveMailTimestamps(mail({ date: headers.date }), { processingMs: PROCESSING_MS }))
+        .to.include({ source: 'dateHeader', chosenMs: Date.UTC(2026, 9, 19, 7, 59, 0) });
+      expect(resolveMailTimestamps(mail({}), { processingMs: PROCESSING_MS })).to.include({ source: 'processing', chosenMs: PROCESSING_MS });
+    });
+
+    it('メール由来の時刻間の最大のずれを返し、処理時刻は対象外', () => {
+      const r = resolveMailTimestamps(mail({ date: ['Mon, 19 Oct 2026 07:55:00 +0000'], received: RECEIVED }), {
+        s3LastModified: '2026-10-19T08:00:07Z',
+        processingMs: PROCESSING_MS,
+      });
+      expect(r).to.include({ maxSkewMs: 5 * 60 * 1000 + 7 * 1000, skewPair: 's3-dateHeader' });
+      expect(r.receivedChainMs).to.have.length(2);
+
+      expect(resolveMailTimestamps(mail({}), { processingMs: PROCESSING_MS })).to.include({ maxSkewMs: 0, skewPair: null });
+    });
+
+    it('不正な LastModified は無視する', () => {
+      const r = resolveMailTimestamps(mail({}), { s3LastModified: 'invalid', processingMs: PROCESSING_MS });
+      expect(r).to.include({ s3LastModifiedMs: null, source: 'processing' });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseEmail, firstHeader } = require('../email-ingest/mime');
+
+// ISO-2022-JP の「テスト」（ESC $ B ... ESC ( B）
+const ISO2022JP_TEST = Buffer.from('\x1b$B%F%9%H\x1b(B', 'latin1');
+
+function crlf(lines) {
+  return lines.join('\r\n');
+}
+
+describe('mime parseEmail', () => {
+  it('multipart/alternative の text/plain（QP）と text/html（base64）をデコードする', () => {
+    const html = '<p>Tx: <a href="https://amoy.polygonscan.com/tx/0xabc">0xabc</a> &amp; 残高</p>';
+    const raw = crlf([
+      'From: Alerts <alerts@example.com>',
+      'Subject: Event notification',
+      'Message-ID: <m1@example.com>',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/alternative; boundary="b1"',
+      '',
+      'preamble',
+      '--b1',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Tx hash: 0xabc =E6=AE=8B=E9=AB=98 long line with soft=',
+      ' break',
+      '--b1',
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(html, 'utf8').toString('base64').replace(/(.{60})/g, '$1\r\n'),
+      '--b1--',
+      '',
+    ]);
+    const mail = parseEmail(Buffer.from(raw, 'latin1'));
+
+    expect(mail.subject).to.equal('Event notification');
+    expect(mail.from).to.equal('Alerts <alerts@example.com>');
+    expect(firstHeader(mail.headers, 'message-id')).to.equal('<m1@example.com>');
+    expect(mail.textParts).to.deep.equal(['Tx hash: 0xabc 残高 long line with soft break']);
+    expect(mail.htmlParts).to.deep.equal([html]);
+    expect(mail.htmlTextParts[0]).to.include('https://amoy.polygonscan.com/tx/0xabc');
+    expect(mail.htmlTextParts[0]).to.include('& 残高');
+    expect(mail.text).to.include('0xabc 残高').and.include('polygonscan');
+    expect(mail.parts).to.deep.equal([
+      { contentType: 'text/plain', charset: 'UTF-8', disposition: '' },
+      { contentType: 'text/html', charset: 'UTF-8', disposition: '' },
+    ]);
+  });
+
+  it('ISO-2022-JP の本文と RFC 2047 の件名をデコードする', () => {
+    const raw = Buffer.concat([
+      Buffer.from(crlf([
+        'From: =?ISO-2022-JP?B?' + ISO2022JP_TEST.toString('base64') + '?= <alerts@example.jp>',
+        'Subject: =?ISO-2022-JP?B?' + ISO2022JP_TEST.toString('base64') + '?=',
+        ' =?UTF-8?Q?_=E9=80=9A=E7=9F=A5?=',
+        'Content-Type: text/plain; charset=ISO-2022-JP',
+        'Content-Transfer-Encoding: 7bit',
+        '',
+        '',
+      ]), 'latin1'),
+      ISO2022JP_TEST,
+      Buffer.from('\r\n', 'latin1'),
+    ]);
+    const mail = parseEmail(raw);
+
+    expect(mail.subject).to.equal('テスト 通知');
+    expect(mail.from).to.equal('テスト <alerts@example.jp>');
+    expect(mail.textParts[0].trim()).to.equal('テスト');
+    expect(mail.parts).to.deep.equal([{ contentType: 'text/plain', charset: 'ISO-2022-JP', disposition: '' }]);
+  });
+
+  it('入れ子の multipart を辿り、添付ファイルは本文に含めない', () => {
+    const raw = crlf([
+      'Subject: nested',
+      'Content-Type: multipart/mixed; boundary=outer',
+      '',
+      '--outer',
+      'Content-Type: multipart/alternative; boundary=inner',
+      '',
+      '--inner',
+      'Content-Type: text/plain; charset=us-ascii',
+      '',
+      'body text',
+      '--inner--',
+      '--outer',
+      'Content-Type: text/plain; name="report.txt"',
+      'Content-Disposition: attachment; filename="report.txt"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('attached text').toString('base64'),
+      '--outer--',
+      '',
+    ]);
+    const mail = parseEmail(raw);
+
+    expect(mail.textParts).to.deep.equal(['body text']);
+    expect(mail.text).to.not.include('attached text');
+    expect(mail.parts.map((p) => p.disposition)).to.deep.equal(['', 'attachment']);
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { NonceManager, classifyNonceError } = require('../tx-sender/nonce-manager');
+
+const ADDRESS = `0x${'22'.repeat(20)}`;
+
+describe('nonce-manager', () => {
+  describe('NonceManager', () => {
+    it('pending を含む数から取り直し、以降は連番で払い出す', async () => {
+      const provider = { getTransactionCount: sinon.stub().resolves(5) };
+      const nonces = new NonceManager(provider, ADDRESS);
+
+      expect([await nonces.next(), await nonces.next(), await nonces.next()]).to.deep.equal([5, 6, 7]);
+      expect(provider.getTransactionCount.calledOnceWithExactly(ADDRESS, 'pending')).to.equal(true);
+    });
+
+    it('直前に払い出した nonce だけ戻せる', async () => {
+      const nonces = new NonceManager({ getTransactionCount: async () => 0 }, ADDRESS);
+      const first = await nonces.next();
+      await nonces.next();
+
+      nonces.release(first);
+      const last = await nonces.next();
+      expect(last).to.equal(2);
+
+      nonces.release(last);
+      expect(await nonces.next()).to.equal(2);
+    });
+
+    it('resync で pending から取り直す（衝突の検出後）', async () => {
+      const provider = { getTransactionCount: sinon.stub() };
+      provider.getTransactionCount.onFirstCall().resolves(5).onSecondCall().resolves(9);
+      const nonces = new NonceManager(provider, ADDRESS);
+
+      await nonces.next();
+      expect(await nonces.resync()).to.equal(9);
+      expect(await nonces.next()).to.equal(9);
+    });
+
+    it('取り直す前の release は無視する', () => {
+      const nonces = new NonceManager({ getTransactionCount: async () => 0 }, ADDRESS);
+      nonces.release(0);
+      expect(nonces.nextNonce).to.equal(null);
+    });
+  });
+
+  describe('classifyNonceError', () => {
+    it('ethers のエラーコードで分類する', () => {
+      expect(classifyNonceError({ code: 'NONCE_EXPIRED' })).to.equal('nonceTooLow');
+      expect(classifyNonceError({ code: 'REPLACEMENT_UNDERPRICED' })).to.equal('replacementUnderpriced');
+    });
+
+    it('ノード実装ごとの文言（入れ子の RPC エラーを含む）で分類する', () => {
+      expect(classifyNonceError(new Error('Nonce too low: next nonce 10, tx nonce 9'))).to.equal('nonceTooLow');
+      expect(classifyNonceError({ message: 'could not coalesce error', info: { error: { message: 'already known' } } })).to.equal('alreadyKnown');
+      expect(classifyNonceError({ shortMessage: 'replacement transaction underpriced' })).to.equal('replacementUnderpriced');
+    });
+
+    it('nonce と無関係なエラーは null', () => {
+      expect(classifyNonceError(new Error('insufficient funds for gas * price + value'))).to.equal(null);
+      expect(classifyNonceError(undefined)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Interface, makeError, parseEther, parseUnits, id } = require('ethers');
+const { E2E_MONITOR_ABI } = require('../common/e2e-monitor-abi');
+const { loadPreflightPolicy, runPreflight } = require('../tx-sender/preflight');
+
+const SENDER = `0x${'22'.repeat(20)}`;
+const MAX_FEE_CAP_WEI = parseUnits('500', 'gwei');
+
+/**
+ * @param {Object} [o] - chainIdHex / hasRole / estimate（bigint か Error）/ balance
+ */
+function context(o = {}) {
+  const estimateGas = sinon.stub();
+  if (o.estimate instanceof Error) estimateGas.rejects(o.estimate);
+  else estimateGas.resolves(o.estimate === undefined ? 50000n : o.estimate);
+  const ping = { estimateGas };
+  return {
+    provider: {
+      send: sinon.stub().resolves(o.chainIdHex || '0x13882'),
+      getBalance: sinon.stub().resolves(o.balance === undefined ? parseEther('1') : o.balance),
+    },
+    contract: { hasRole: sinon.stub().resolves(o.hasRole !== false), ping },
+    senderAddress: SENDER,
+    chainId: 80002,
+    maxFeeCapWei: MAX_FEE_CAP_WEI,
+  };
+}
+
+const ALL = loadPreflightPolicy({});
+
+describe('preflight', () => {
+  describe('loadPreflightPolicy', () => {
+    it('既定は全チェック、none / 空は無効、未知のチェックは拒否する', () => {
+      expect(ALL).to.deep.equal({ checks: ['chainId', 'role', 'estimateGas', 'balance'], minBalanceWei: 0n });
+      expect(loadPreflightPolicy({ PREFLIGHT_CHECKS: 'None' }).checks).to.deep.equal([]);
+      expect(loadPreflightPolicy({ PREFLIGHT_CHECKS: '' }).checks).to.deep.equal([]);
+      expect(loadPreflightPolicy({ PREFLIGHT_CHECKS: ' role , balance ', PREFLIGHT_MIN_BALANCE: '0.5' })).to.deep.equal({
+        checks: ['role', 'balance'],
+        minBalanceWei: parseEther('0.5'),
+      });
+      expect(() => loadPreflightPolicy({ PREFLIGHT_CHECKS: 'chainId,nonce' })).to.throw(/Unknown PREFLIGHT_CHECKS entry: nonce/);
+    });
+  });
+
+  describe('runPreflight', () => {
+    const failure = (promise) => promise.then(() => { throw new Error('expected to fail'); }, (e) => e);
+
+    it('すべて通れば各チェックの結果を返す', async () => {
+      const ctx = context();
+      const result = await runPreflight(ctx, ALL);
+      expect(result).to.deep.equal({
+        chainId: 80002,
+        hasRole: true,
+        gasEstimate: '50000',
+        balanceWei: parseEther('1').toString(),
+        requiredWei: (50000n * MAX_FEE_CAP_WEI).toString(),
+      });
+      expect(ctx.contract.hasRole.calledOnceWithExactly(id('SENDER_ROLE'), SENDER)).to.equal(true);
+    });
+
+    it('チェーン ID の不一致は PreflightChainMismatch（config）', async () => {
+      const err = await failure(runPreflight(context({ chainIdHex: '0x1' }), ALL));
+      expect(err).to.include({ name: 'PreflightChainMismatch', errorClass: 'config' });
+      expect(err.preflight).to.deep.equal({ expected: 80002, actual: 1 });
+    });
+
+    it('SENDER_ROLE が無ければ PreflightNoRole（unauthorized）で、以降のチェックは行わない', async () => {
+      const ctx = context({ hasRole: false });
+      const err = await failure(runPreflight(ctx, ALL));
+      expect(err).to.include({ name: 'PreflightNoRole', errorClass: 'unauthorized' });
+      expect(ctx.contract.ping.estimateGas.called).to.equal(false);
+    });
+
+    it('estimateGas の revert は分類に応じたプリフライト失敗にする', async () => {
+      const data = new Interface(E2E_MONITOR_ABI).encodeErrorResult('AccessControlUnauthorizedAccount', [SENDER, id('SENDER_ROLE')]);
+      const noRole = await failure(runPreflight(context({ estimate: makeError('execution reverted', 'CALL_EXCEPTION', { data }) }), ALL));
+      expect(noRole.name).to.equal('PreflightNoRole');
+
+      const funds = await failure(runPreflight(context({ estimate: makeError('insufficient funds', 'INSUFFICIENT_FUNDS', {}) }), ALL));
+      expect(funds).to.include({ name: 'PreflightLowBalance', errorClass: 'insufficientFunds' });
+
+      const reverted = makeError('execution reverted: "paused"', 'CALL_EXCEPTION', { revert: { name: 'Error', signature: 'Error(string)', args: ['paused'] } });
+      const estimate = await failure(runPreflight(context({ estimate: reverted }), ALL));
+      expect(estimate).to.include({ name: 'PreflightEstimateFailed', errorClass: 'contractRevert' });
+      expect(estimate.preflight).to.deep.equal({ errorClass: 'contractRevert', detail: 'Error(paused)' });
+    });
+
+    it('RPC 障害（再試行する分類）は元のエラーのまま throw する', async () => {
+      const timeout = makeError('request timeout', 'TIMEOUT', {});
+      expect(await failure(runPreflight(context({ estimate: timeout }), ALL))).to.equal(timeout);
+    });
+
+    it('残高は 推定ガス × 手数料上限 と最低残高の大きい方を下回ると PreflightLowBalance', async () => {
+      const required = 50000n * MAX_FEE_CAP_WEI;
+      const low = await failure(runPreflight(context({ balance: required - 1n }), ALL));
+      expect(low).to.include({ name: 'PreflightLowBalance', errorClass: 'insufficientFunds' });
+      expect(low.preflight).to.include({ requiredWei: required.toString() });
+
+      const policy = loadPreflightPolicy({ PREFLIGHT_MIN_BALANCE: '2' });
+      const belowMin = await failure(runPreflight(context({ balance: parseEther('1') }), policy));
+      expect(belowMin.preflight).to.include({ requiredWei: parseEther('2').toString() });
+    });
+
+    it('estimateGas を無効にした場合は最低残高のみで判定する', async () => {
+      const ctx = context({ balance: 0n });
+      const result = await runPreflight(ctx, loadPreflightPolicy({ PREFLIGHT_CHECKS: 'balance' }));
+      expect(result).to.deep.equal({ balanceWei: '0', requiredWei: '0' });
+      expect(ctx.provider.send.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { rpcFetch } = require('./helpers/lambda-harness');
+
+const TX_HASH = `0x${'12'.repeat(32)}`;
+const receipt = (blockHash) => ({ transactionHash: TX_HASH, blockHash, status: '0x1', logs: [] });
+
+// サーキットブレーカーの状態はモジュール単位のため、テストごとに読み込み直す
+function loadFetcher(env) {
+  const { ReceiptFetcher, loadReceiptFetcherConfig } = proxyquire('../common/receipt-fetcher', {});
+  return new ReceiptFetcher(loadReceiptFetcherConfig({ RECEIPT_BACKOFF_BASE_MS: '0', ...env }));
+}
+
+const PROVIDERS = JSON.stringify([
+  { name: 'a', type: 'rpc', url: 'http://a.rpc.test' },
+  { name: 'b', type: 'rpc', url: 'http://b.rpc.test' },
+]);
+
+describe('receipt-fetcher', () => {
+  let rpc;
+
+  afterEach(() => {
+    if (rpc) rpc.restore();
+    rpc = null;
+  });
+
+  describe('loadReceiptFetcherConfig', () => {
+    const { loadReceiptFetcherConfig } = require('../common/receipt-fetcher');
+
+    it('RECEIPT_PROVIDERS 未設定時は旧来の環境変数から組み立てる', () => {
+      const config = loadReceiptFetcherConfig({
+        RPC_ALCHEMY_URL: 'https://polygon-amoy.g.alchemy.com/v2',
+        RPC_ALCHEMY_APIKEY: 'key',
+        EXPLORER_API_URL: 'https://api.example.com/api',
+        EXPLORER_API_KEY: 'ekey',
+      });
+      expect(config.providers.map((p) => [p.name, p.type, p.url, p.apiKey])).to.deep.equal([
+        ['alchemy', 'rpc', 'https://polygon-amoy.g.alchemy.com/v2/key', ''],
+        ['explorer', 'explorer', 'https://api.example.com/api', 'ekey'],
+      ]);
+      expect(config).to.include({ maxAttempts: 4, quorum: 1, breakerThreshold: 3 });
+    });
+
+    it('不正なプロバイダ設定は拒否する', () => {
+      expect(() => loadReceiptFetcherConfig({ RECEIPT_PROVIDERS: '{}' })).to.throw(/must be a JSON array/);
+      expect(() => loadReceiptFetcherConfig({ RECEIPT_PROVIDERS: '[{"name":"x"}]' })).to.throw(/missing "url"/);
+      expect(() => loadReceiptFetcherConfig({ RECEIPT_PROVIDERS: '[{"name":"x","type":"ws","url":"u"}]' })).to.throw(/unknown type: ws/);
+    });
+  });
+
+  describe('fetchReceipt', () => {
+    it('quorum=1 は先頭から順に問い合わせ、最初に得たレシートを採用する', async () => {
+      rpc = rpcFetch({ eth_getTransactionReceipt: (params, url) => (url.includes('a.rpc') ? null : receipt('0x01')) });
+      const fetcher = loadFetcher({ RECEIPT_PROVIDERS: PROVIDERS });
+      expect(await fetcher.fetchReceipt(TX_HASH)).to.deep.equal(receipt('0x01'));
+      expect(rpc.calls.map((c) => c.url)).to.deep.equal(['http://a.rpc.test', 'http://b.rpc.test']);
+    });
+
+    it('全プロバイダが null なら再試行し、使い切ったら RECEIPT_NOT_FOUND（内訳付き）', async () => {
+      let round = 0;
+      rpc = rpcFetch({ eth_getTransactionReceipt: (params, url) => {
+        if (url.includes('a.rpc')) round++;
+        return url.includes('b.rpc') ? new Error('down') : null;
+      } });
+      const fetcher = loadFetcher({ RECEIPT_PROVIDERS: PROVIDERS, RECEIPT_MAX_ATTEMPTS: '3', RECEIPT_BREAKER_THRESHOLD: '100' });
+      const err = await fetcher.fetchReceipt(TX_HASH).catch((e) => e);
+      expect(err).to.include({ code: 'RECEIPT_NOT_FOUND', nulls: 1, errors: 1 });
+      expect(round).to.equal(3);
+    });
+
+    it('全プロバイダがエラーなら RECEIPT_FETCH_FAILED', async () => {
+      rpc = rpcFetch({ eth_getTransactionReceipt: new Error('down') });
+      const fetcher = loadFetcher({ RECEIPT_PROVIDERS: PROVIDERS, RECEIPT_MAX_ATTEMPTS: '1' });
+      const err = await fetcher.fetchReceipt(TX_HASH).catch((e) => e);
+      expect(err).to.include({ code: 'RECEIPT_FETCH_FAILED', nulls: 0, errors: 2 });
+    });
+
+    it('null の後にレシートが得られれば返す（バックオフ）', async () => {
+      let n = 0;
+      rpc = rpcFetch({ eth_getTransactionReceipt: () => (++n < 3 ? null : receipt('0x01')) });
+      const fetcher = loadFetcher({ RECEIPT_PROVIDERS: JSON.stringify([{ name: 'a', url: 'http://a.rpc.test' }]) });
+      expect(await fetcher.fetchReceipt(TX_HASH)).to.deep.equal(receipt('0x01'));
+      expect(n).to.equal(3);
+    });
+
+    it('次の巡が deadlineMs を超える場合は再試行を打ち切る', async () => {
+      rpc = rpcFetch({ eth_getTransactionReceipt: null });
+      const fetcher = loadFetcher({ RECEIPT_PROVIDERS: PROVIDERS, RECEIPT_TIMEOUT_MS: '5000' });
+      const err = await fetcher.fetchReceipt(TX_HASH, { deadlineMs: Date.now() + 9000 }).catch((e) => e);
+      expect(err.code).to.equal('RECEIPT_NOT_FOUND');
+      expect(rpc.calls).to.have.length(2);
+    });
+
+    it('quorum>1 は同一内容のレシートが quorum 件以上で採用し、食い違いは RECEIPT_NO_QUORUM', async () => {
+      const three = JSON.stringify([
+        { name: 'a', url: 'http://a.rpc.test' },
+        { name: 'b', url: 'http://b.rpc.test' },
+        { name: 'c', url: 'http://c.rpc.test' },
+      ]);
+      rpc = rpcFetch({ eth_getTransactionReceipt: (params, url) => receipt(url.includes('c.rpc') ? '0x02' : '0x01') });
+      let fetcher = loadFetcher({ RECEIPT_PROVIDERS: three, RECEIPT_QUORUM: '2' });
+      expect(await fetcher.fetchReceipt(TX_HASH)).to.deep.equal(receipt('0x01'));
+      rpc.restore();
+
+      rpc = rpcFetch({ eth_getTransactionReceipt: (params, url) => (url.includes('a.rpc') ? receipt('0x01') : receipt('0x02')) });
+      fetcher = loadFetcher({ RECEIPT_PROVIDERS: PROVIDERS, RECEIPT_QUORUM: '2', RECEIPT_MAX_ATTEMPTS: '1' });
+      const err = await fetcher.fetchReceipt(TX_HASH).catch((e) => e);
+      expect(err.code).to.equal('RECEIPT_NO_QUORUM');
+    });
+  });
+
+  describe('サーキットブレーカー', () => {
+    let clock;
+
+    afterEach(() => clock.restore());
+
+    it('連続失敗で遮断したプロバイダは冷却期間中は問い合わせず、期間後に再開する', async () => {
+      clock = sinon.useFakeTimers({ now: Date.UTC(2026, 9, 19), toFake: ['Date'] });
+      rpc = rpcFetch({ eth_getTransactionReceipt: (params, url) => (url.includes('a.rpc') ? new Error('down') : receipt('0x01')) });
+      const fetcher = loadFetcher({ RECEIPT_PROVIDERS: PROVIDERS, RECEIPT_BREAKER_THRESHOLD: '2', RECEIPT_BREAKER_COOLDOWN_MS: '60000' });
+      const callsToA = () => rpc.calls.filter((c) => c.url.includes('a.rpc')).length;
+
+      await fetcher.fetchReceipt(TX_HASH);
+      await fetcher.fetchReceipt(TX_HASH);
+      expect(callsToA()).to.equal(2);
+
+      await fetcher.fetchReceipt(TX_HASH);
+      expect(callsToA()).to.equal(2);
+
+      clock.tick(60 * 1000 + 1);
+      await fetcher.fetchReceipt(TX_HASH);
+      expect(callsToA()).to.equal(3);
+    });
+  });
+
+  describe('explorer プロバイダ', () => {
+    it('proxy API のクエリで問い合わせ、result のエラーメッセージは失敗として扱う', async () => {
+      const original = global.fetch;
+      const urls = [];
+      global.fetch = async (url) => {
+        urls.push(String(url));
+        const result = String(url).includes('eth_blockNumber') ? '0x10' : 'Invalid API Key';
+        return { ok: true, status: 200, json: async () => ({ result }) };
+      };
+      try {
+        const fetcher = loadFetcher({
+          RECEIPT_PROVIDERS: JSON.stringify([{ name: 'scan', type: 'explorer', url: 'https://api.example.com/api', apiKey: 'k', params: { chainid: 80002 } }]),
+          RECEIPT_MAX_ATTEMPTS: '1',
+        });
+        expect(await fetcher.fetchBlockNumber()).to.equal(16);
+        const err = await fetcher.fetchReceipt(TX_HASH).catch((e) => e);
+        expect(err.code).to.equal('RECEIPT_FETCH_FAILED');
+        expect(urls[1]).to.equal(`https://api.example.com/api?chainid=80002&module=proxy&action=eth_getTransactionReceipt&txhash=${TX_HASH}&apikey=k`);
+      } finally {
+        global.fetch = original;
+      }
+    });
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { FakeDocumentClient, rpcFetch, captureConsole, withEnv } = require('./helpers/lambda-harness');
+
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+const BLOCK_HASH = `0x${'01'.repeat(32)}`;
+const OTHER_BLOCK_HASH = `0x${'02'.repeat(32)}`;
+
+function loadHandler(ddb, providers) {
+  return withEnv({
+    RESULTS_TABLE: 'results',
+    E2E_TARGETS: '',
+    RECEIPT_PROVIDERS: JSON.stringify(providers),
+    RECEIPT_BACKOFF_BASE_MS: 0,
+    RECEIPT_BREAKER_THRESHOLD: 1000,
+    FINALITY_CONFIRMATIONS: 128,
+    LOG_LEVEL: 'info',
+  }, () => proxyquire('../reorg-verifier/index.js', {
+    '@aws-sdk/lib-dynamodb': { DynamoDBDocumentClient: { from: () => ddb } },
+  }).handler);
+}
+
+function resolvedRecord(extra) {
+  return {
+    correlationId: 'c-1',
+    txHash: TX_HASH,
+    blockHash: BLOCK_HASH,
+    blockNumber: 100,
+    correlationResolved: true,
+    finality: 'CONFIRMED',
+    balanceReceived: true,
+    ...extra,
+  };
+}
+
+describe('reorg-verifier', () => {
+  const PROVIDERS = [
+    { name: 'reorg-a', type: 'rpc', url: 'http://a.rpc.test' },
+    { name: 'reorg-b', type: 'rpc', url: 'http://b.rpc.test' },
+  ];
+  let ddb;
+  let out;
+  let rpc;
+
+  beforeEach(() => {
+    ddb = new FakeDocumentClient();
+    out = captureConsole();
+  });
+
+  afterEach(() => {
+    out.restore();
+    if (rpc) rpc.restore();
+  });
+
+  const updates = () => ddb.callsOf('UpdateCommand');
+
+  it('全プロバイダが null の1回目は txMissingCount を記録するだけで差し戻さない', async () => {
+    rpc = rpcFetch({ eth_blockNumber: '0xc8', eth_getTransactionReceipt: null });
+    ddb.onQuery = () => [resolvedRecord()];
+    const result = await loadHandler(ddb, PROVIDERS)();
+
+    expect(result).to.include({ checked: 1, reorged: 0 });
+    expect(updates()).to.have.length(1);
+    expect(updates()[0].ExpressionAttributeValues).to.include({ ':count': 1 });
+    expect(out.metrics()).to.deep.include({ name: 'ReorgCheckError', reason: 'TxMissingUnconfirmed' });
+    expect(out.metrics().map((m) => m.name)).to.not.include('Reorged');
+  });
+
+  it('連続2回目で TxMissing として差し戻す', async () => {
+    rpc = rpcFetch({ eth_blockNumber: '0xc8', eth_getTransactionReceipt: null });
+    ddb.onQuery = () => [resolvedRecord({ txMissingCount: 1 })];
+    const result = await loadHandler(ddb, PROVIDERS)();
+
+    expect(result).to.include({ reorged: 1 });
+    const values = updates()[0].ExpressionAttributeValues;
+    expect(values).to.include({ ':status': 'BALANCE_ONLY', ':reorged': 'REORGED', ':reason': 'TxMissing', ':txHash': TX_HASH });
+    expect(out.metrics()).to.deep.include({ name: 'Reorged', reason: 'TxMissing' });
+  });
+
+  it('一部のプロバイダがエラーなら tx が存在しないとはみなさない', async () => {
+    rpc = rpcFetch({
+      eth_blockNumber: '0xc8',
+      eth_getTransactionReceipt: (params, url) => (url.includes('b.rpc') ? new Error('unavailable') : null),
+    });
+    ddb.onQuery = () => [resolvedRecord({ txMissingCount: 1 })];
+    const result = await loadHandler(ddb, PROVIDERS)();
+
+    expect(result).to.include({ reorged: 0 });
+    expect(updates()).to.have.length(0);
+    expect(out.metrics()).to.deep.include({ name: 'ReorgCheckError', reason: 'RECEIPT_NOT_FOUND' });
+  });
+
+  it('別ブロックへの再取り込みはブロックを更新し、Reorged ではなく ReorgMoved を出す', async () => {
+    rpc = rpcFetch({
+      eth_blockNumber: '0xc8',
+      eth_getTransactionReceipt: { transactionHash: TX_HASH, blockHash: OTHER_BLOCK_HASH, blockNumber: '0x65', status: '0x1' },
+    });
+    ddb.onQuery = () => [resolvedRecord()];
+    const result = await loadHandler(ddb, PROVIDERS)();
+
+    expect(result).to.include({ moved: 1, reorged: 0 });
+    expect(updates()[0].ExpressionAttributeValues).to.include({
+      ':blockHash': OTHER_BLOCK_HASH,
+      ':blockNumber': 101,
+      ':confirmations': 100,
+      ':finality': 'CONFIRMED',
+    });
+    expect(out.metrics()).to.deep.equal([{ name: 'ReorgMoved', reason: 'BlockChanged' }]);
+  });
+
+  it('revert に変化した tx は TxReverted として差し戻す', async () => {
+    rpc = rpcFetch({
+      eth_blockNumber: '0xc8',
+      eth_getTransactionReceipt: { transactionHash: TX_HASH, blockHash: BLOCK_HASH, blockNumber: '0x64', status: '0x0' },
+    });
+    ddb.onQuery = () => [resolvedRecord({ balanceReceived: false })];
+    const result = await loadHandler(ddb, PROVIDERS)();
+
+    expect(result).to.include({ reorged: 1 });
+    expect(updates()[0].ExpressionAttributeValues).to.include({ ':status': 'PENDING', ':reason': 'TxReverted' });
+    expect(out.metrics()).to.deep.include({ name: 'Reorged', reason: 'TxReverted' });
+  });
+
+  it('確認数が閾値以上なら FINAL にする', async () => {
+    rpc = rpcFetch({
+      eth_blockNumber: '0x200',
+      eth_getTransactionReceipt: { transactionHash: TX_HASH, blockHash: BLOCK_HASH, blockNumber: '0x64', status: '0x1' },
+    });
+    ddb.onQuery = () => [resolvedRecord()];
+    const result = await loadHandler(ddb, PROVIDERS)();
+
+    expect(result).to.include({ finalized: 1, moved: 0 });
+    expect(updates()[0].ExpressionAttributeValues).to.include({ ':finality': 'FINAL' });
+    expect(out.metrics()).to.deep.equal([]);
+  });
+});
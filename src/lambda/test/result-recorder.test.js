@@ -0,0 +1,146 @@
+'use strict';
+
+const { expect } = require('chai');
+const { ResultRecorder } = require('../tx-sender/result-recorder');
+const { encodeCorrelationId } = require('../common/correlation-codec');
+const { FakeDocumentClient, captureConsole } = require('./helpers/lambda-harness');
+
+const UUID = '5a7c9e01-3b2d-4f6a-8e1c-0d9b7a6f5e4c';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const LEGACY_HEX = `0x${'77'.repeat(32)}`;
+
+function recorderWith(ddb) {
+  const recorder = new ResultRecorder('results');
+  recorder.ddb = ddb;
+  return recorder;
+}
+
+const fields = (update) => Object.fromEntries(Object.entries(update.ExpressionAttributeNames)
+  .map(([name, attr]) => [attr, update.ExpressionAttributeValues[name.replace('#', ':')]]));
+
+describe('result-recorder', () => {
+  let ddb;
+  let out;
+
+  beforeEach(() => {
+    ddb = new FakeDocumentClient();
+    out = captureConsole();
+  });
+
+  afterEach(() => out.restore());
+
+  describe('resolveCorrelationId', () => {
+    it('correlationId → v1 の correlationIdHex32 の復元 → GSI_CorrelationIdHex の逆引き の順に解決する', async () => {
+      const recorder = recorderWith(ddb);
+      ddb.onQuery = () => [{ correlationId: 'legacy-id' }];
+
+      expect(await recorder.resolveCorrelationId({ correlationId: 'given', correlationIdHex32: LEGACY_HEX })).to.equal('given');
+      expect(await recorder.resolveCorrelationId({ correlationIdHex32: encodeCorrelationId(UUID, { attempt: 1 }).toUpperCase().replace('0X', '0x') })).to.equal(UUID);
+      expect(ddb.callsOf('QueryCommand')).to.have.length(0);
+
+      expect(await recorder.resolveCorrelationId({ correlationIdHex32: LEGACY_HEX })).to.equal('legacy-id');
+      expect(ddb.callsOf('QueryCommand')[0]).to.include({ IndexName: 'GSI_CorrelationIdHex', Limit: 1 });
+    });
+  });
+
+  describe('recordSubmitted', () => {
+    const txResult = {
+      outcome: 'mined',
+      transactionHash: TX_HASH,
+      nonce: 12,
+      pingNonce: 11,
+      nonceMismatch: true,
+      submittedAtMs: Date.UTC(2026, 9, 19, 8, 0, 0),
+      broadcastAtMs: Date.UTC(2026, 9, 19, 8, 0, 1),
+      minedAtMs: Date.UTC(2026, 9, 19, 8, 0, 5),
+      blockNumber: 100,
+      gasUsed: 21000,
+      effectiveGasPriceWei: '1000000000',
+      custody: [{ id: 'fb-1', statuses: [] }],
+      custodyLatencyMs: 900,
+    };
+
+    it('採掘済みの tx は結果と txHash を記録し、別の tx が記録済みなら上書きしない', async () => {
+      expect(await recorderWith(ddb).recordSubmitted({ correlationId: 'c-1' }, txResult)).to.equal(true);
+
+      const [update] = ddb.callsOf('UpdateCommand');
+      expect(update.Key).to.deep.equal({ correlationId: 'c-1' });
+      expect(update.ConditionExpression).to.equal('attribute_exists(correlationId) AND (attribute_not_exists(txHash) OR txHash = :txHash)');
+      expect(update.ExpressionAttributeValues[':txHash']).to.equal(TX_HASH);
+      expect(fields(update)).to.include({
+        txStatus: 'TX_SENT',
+        txOutcome: 'mined',
+        txNonce: 12,
+        pingNonce: 11,
+        txNonceMismatch: true,
+        submittedAt: '2026-10-19T08:00:00.000Z',
+        broadcastAtJST: '2026-10-19 17:00:01',
+        minedAtMs: txResult.minedAtMs,
+        blockNumber: 100,
+        custodyTxId: 'fb-1',
+        custodyLatencyMs: 900,
+      });
+    });
+
+    it('未採掘（pending）は txHash・採掘情報を書かず、txHash の無いレコードのみ更新する', async () => {
+      await recorderWith(ddb).recordSubmitted({ correlationId: 'c-1' }, { ...txResult, outcome: 'pending', custody: [] });
+
+      const [update] = ddb.callsOf('UpdateCommand');
+      expect(update.ConditionExpression).to.equal('attribute_exists(correlationId) AND attribute_not_exists(txHash)');
+      expect(update.UpdateExpression).to.not.include('txHash');
+      expect(fields(update)).to.include({ txOutcome: 'pending' });
+      expect(fields(update)).to.not.have.any.keys('minedAtMs', 'blockNumber', 'gasUsed', 'custodyTxId');
+    });
+
+    it('条件不一致（二重送信）・書き込み失敗は false を返し、例外にしない', async () => {
+      ddb.onSend = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+      expect(await recorderWith(ddb).recordSubmitted({ correlationId: 'c-1' }, txResult)).to.equal(false);
+      expect(out.lines.join('\n')).to.include('possible double send');
+
+      ddb.onSend = () => new Error('network');
+      expect(await recorderWith(ddb).recordSubmitted({ correlationId: 'c-1' }, txResult)).to.equal(false);
+    });
+  });
+
+  describe('recordFailed', () => {
+    it('エラーの分類と失敗時刻を記録する', async () => {
+      const classification = { errorClass: 'InsufficientFunds', detail: 'balance 0', retryable: false };
+      await recorderWith(ddb).recordFailed({ correlationId: 'c-1' }, 'insufficient funds', classification, { outcome: 'dropped' });
+
+      const [update] = ddb.callsOf('UpdateCommand');
+      expect(update.ConditionExpression).to.equal('attribute_exists(correlationId) AND attribute_not_exists(txHash)');
+      expect(fields(update)).to.include({
+        txStatus: 'TX_FAILED',
+        txOutcome: 'dropped',
+        txError: 'insufficient funds',
+        txErrorType: 'InsufficientFunds',
+        txErrorDetail: 'balance 0',
+        txErrorRetryable: false,
+      });
+      expect(fields(update).txFailedAtMs).to.be.a('number');
+    });
+  });
+
+  describe('送信済み tx', () => {
+    it('追記した submittedTxHashes と txHash を新しい順・重複なしで返す', async () => {
+      const recorder = recorderWith(ddb);
+      expect(await recorder.appendSubmittedTxHash({ correlationId: 'c-1' }, '0x03')).to.equal(true);
+      expect(ddb.callsOf('UpdateCommand')[0].ExpressionAttributeValues[':txHashes']).to.deep.equal(['0x03']);
+
+      ddb.table('results').set('c-1', { correlationId: 'c-1', submittedTxHashes: ['0x01', '0x02', '0x03'], txHash: '0x02' });
+      expect(await recorder.findSubmittedTxHashes({ correlationId: 'c-1' })).to.deep.equal(['0x02', '0x03', '0x01']);
+    });
+
+    it('照会に失敗しても空配列（送信は止めない）', async () => {
+      ddb.onSend = () => new Error('network');
+      expect(await recorderWith(ddb).findSubmittedTxHashes({ correlationId: 'c-1' })).to.deep.equal([]);
+    });
+  });
+
+  it('RESULTS_TABLE 未設定時は記録しない', async () => {
+    const recorder = new ResultRecorder('');
+    expect(recorder.ddb).to.equal(null);
+    expect(await recorder.recordFailed({ correlationId: 'c-1' }, 'x', {})).to.equal(false);
+    expect(await recorder.findSubmittedTxHashes({ correlationId: 'c-1' })).to.deep.equal([]);
+  });
+});
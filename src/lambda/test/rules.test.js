@@ -0,0 +1,117 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire').noPreserveCache();
+const { withEnv } = require('./helpers/lambda-harness');
+const { compileRules, evaluateRules } = require('../email-ingest/rules');
+const bundledRuleSet = require('../email-ingest/classification-rules.json');
+
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const BUNDLED = compileRules(bundledRuleSet);
+
+const mail = (m) => ({ from: 'alerts@example.com', subject: '', text: '', headers: {}, ...m });
+
+/**
+ * SSM の応答を差し替えて rules.js を読み込む（ルールセットのキャッシュはモジュールごと）
+ * @param {Function} getParameter - (input) => Parameter.Value の文字列（throw で失敗）
+ */
+function loadRulesModule(getParameter) {
+  const calls = [];
+  class FakeSSMClient {
+    async send(command) {
+      calls.push(command.input);
+      return { Parameter: { Value: getParameter(command.input) } };
+    }
+  }
+  const mod = withEnv({ CLASSIFICATION_RULES_PARAM: '/e2emm/rules' }, () => proxyquire('../email-ingest/rules', {
+    '@aws-sdk/client-ssm': { SSMClient: FakeSSMClient, GetParameterCommand: class { constructor(input) { this.input = input; } } },
+  }));
+  return { mod, calls };
+}
+
+describe('rules', () => {
+  describe('compileRules', () => {
+    it('不正なルールセットは読み込み時に拒否する', () => {
+      expect(() => compileRules({})).to.throw(/"rules" array/);
+      expect(() => compileRules({ rules: [{ id: 'a', type: 'event' }, { id: 'a', type: 'event' }] })).to.throw(/Duplicate rule id: a/);
+      expect(() => compileRules({ rules: [{ id: 'a' }] })).to.throw(/missing "type"/);
+      expect(() => compileRules({ rules: [{ id: 'a', type: 'event', match: { to: ['x'] } }] })).to.throw(/unknown match key: to/);
+      expect(() => compileRules({ rules: [{ id: 'a', type: 'event', match: { subject: ['('] } }] })).to.throw(/Invalid regex in rule "a" \(subject\)/);
+      expect(() => compileRules({ rules: [{ id: 'a', type: 'event', require: ['txHash'] }] })).to.throw(/no extract pattern/);
+    });
+  });
+
+  describe('evaluateRules（同梱ルール）', () => {
+    it('エクスプローラの tx リンクを最優先で event と判定する', () => {
+      const r = evaluateRules(mail({ subject: 'Wallet balance', text: `https://amoy.polygonscan.com/tx/${TX_HASH}` }), BUNDLED);
+      expect(r).to.deep.equal({ type: 'event', ruleId: 'event-explorer-tx-url', fields: { txHash: TX_HASH } });
+    });
+
+    it('ラベル付きのハッシュ（日本語含む）を抽出する', () => {
+      const r = evaluateRules(mail({ text: `トランザクションハッシュ：${TX_HASH}` }), BUNDLED);
+      expect(r).to.include({ type: 'event', ruleId: 'event-labeled-txhash' });
+      expect(r.fields.txHash).to.equal(TX_HASH);
+    });
+
+    it('必須フィールドを抽出できないルールは不一致として次のルールへ進む', () => {
+      const r = evaluateRules(mail({ subject: 'Notice', text: 'Transaction Hash: 0x1234' }), BUNDLED);
+      expect(r).to.deep.equal({ type: 'other', ruleId: null, fields: {} });
+    });
+
+    it('本文条件は改行を跨いで判定する', () => {
+      const r = evaluateRules(mail({ text: 'Your wallet\nbalance is low' }), BUNDLED);
+      expect(r).to.include({ type: 'balance', ruleId: 'balance-body' });
+    });
+  });
+
+  describe('evaluateRules（カスタムルール）', () => {
+    const rules = compileRules({ rules: [
+      { id: 'alert', type: 'ignore', match: { from: ['@alerts\\.example\\.com$'], headers: ['X-Alert'] } },
+      { id: 'fallback', type: 'custom', match: { subject: ['alert'] } },
+    ] });
+
+    it('すべての条件（From・ヘッダの存在）を満たした場合のみ一致する', () => {
+      const withHeader = mail({ from: 'ops@alerts.example.com', subject: 'alert', headers: { 'x-alert': ['1'] } });
+      expect(evaluateRules(withHeader, rules).ruleId).to.equal('alert');
+      expect(evaluateRules({ ...withHeader, headers: {} }, rules).ruleId).to.equal('fallback');
+    });
+  });
+
+  describe('loadRules', () => {
+    let clock;
+
+    afterEach(() => {
+      if (clock) clock.restore();
+      clock = null;
+    });
+
+    it('SSM のルールセットを読み込み、以降はキャッシュを使う', async () => {
+      const { mod, calls } = loadRulesModule(() => JSON.stringify({ version: 7, rules: [{ id: 'x', type: 'ignore' }] }));
+      const first = await mod.loadRules();
+      expect(first).to.include({ source: 'ssm:/e2emm/rules', version: 7 });
+      expect(first.rules.map((r) => r.id)).to.deep.equal(['x']);
+      await mod.loadRules();
+      expect(calls).to.deep.equal([{ Name: '/e2emm/rules', WithDecryption: true }]);
+    });
+
+    it('SSM の読み込み・検証に失敗したら同梱ルールにフォールバックし、60秒後に SSM を再試行する', async () => {
+      clock = sinon.useFakeTimers({ now: Date.UTC(2026, 9, 19), toFake: ['Date'] });
+      let value = '{"rules": "not-an-array"}';
+      const { mod, calls } = loadRulesModule(() => value);
+
+      const fallback = await mod.loadRules();
+      expect(fallback).to.include({ source: 'bundled', version: bundledRuleSet.version });
+      expect(fallback.warning).to.match(/^SSM rule set unavailable, using bundled rules: Rule set must have a "rules" array/);
+
+      clock.tick(59 * 1000);
+      expect(await mod.loadRules()).to.equal(fallback);
+      expect(calls).to.have.length(1);
+
+      value = JSON.stringify({ version: 8, rules: [{ id: 'x', type: 'ignore' }] });
+      clock.tick(2 * 1000);
+      expect(await mod.loadRules()).to.include({ source: 'ssm:/e2emm/rules', version: 8 });
+      expect(calls).to.have.length(2);
+    });
+  });
+});
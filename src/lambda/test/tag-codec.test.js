@@ -0,0 +1,50 @@
+'use strict';
+
+const { expect } = require('chai');
+const { encodeTag, decodeTag, tagMismatches, formatTag, legacyTag } = require('../common/tag-codec');
+
+// bytes32 の指定バイトを書き換える（チェックサム検証の確認用）
+function flipByte(hex, index) {
+  const bytes = Buffer.from(hex.slice(2), 'hex');
+  bytes[index] ^= 0xff;
+  return `0x${bytes.toString('hex')}`;
+}
+
+describe('tag-codec', () => {
+  const fields = { stage: 'dev', scenario: 'default', attempt: 2, totalAttempts: 3, executionId: 'exec-0000-5a7c9e01' };
+
+  it('v1 でエンコードした各項目を復元できる（executionId は末尾 8 文字）', () => {
+    const decoded = decodeTag(encodeTag(fields));
+    expect(decoded).to.deep.equal({
+      version: 1,
+      stage: 'dev',
+      scenario: 'default',
+      attempt: 2,
+      totalAttempts: 3,
+      executionId: '5a7c9e01',
+    });
+    expect(formatTag(decoded)).to.equal('v1 stage=dev scenario=default attempt=2/3 exec=5a7c9e01');
+  });
+
+  it('印字できない文字は置き換え、長い値は切り詰める', () => {
+    const decoded = decodeTag(encodeTag({ stage: 'my stage!', scenario: 'a-very-long-scenario-name' }));
+    expect(decoded.stage).to.equal('my_stage');
+    expect(decoded.scenario).to.equal('a-very-long-');
+  });
+
+  it('チェックサムが一致しなければ旧形式として扱う', () => {
+    const hex = encodeTag(fields);
+    expect(decodeTag(flipByte(hex, 31))).to.deep.equal({ version: 0 });
+    expect(decodeTag(flipByte(hex, 10))).to.deep.equal({ version: 0 });
+    expect(decodeTag(legacyTag('seed'))).to.deep.equal({ version: 0 });
+    expect(formatTag({ version: 0 })).to.equal('legacy');
+    expect(decodeTag('0xzz')).to.equal(null);
+  });
+
+  it('tagMismatches は指定した項目のみ、エンコード時と同じ正規化で照合する', () => {
+    const decoded = decodeTag(encodeTag(fields));
+    expect(tagMismatches(decoded, { stage: 'dev', scenario: 'default', attempt: '2', totalAttempts: 3 })).to.deep.equal([]);
+    expect(tagMismatches(decoded, { stage: 'prod', attempt: 1 })).to.deep.equal(['stage', 'attempt']);
+    expect(tagMismatches(decoded, { stage: '', scenario: null })).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { expect } = require('chai');
+const { loadTargets, getTarget, resolveTargetForMail, receiptEnvForTarget } = require('../common/targets');
+
+const TARGETS = loadTargets({
+  E2E_TARGETS: JSON.stringify([
+    { id: 'amoy', chainId: '80002', explorerHosts: ['Amoy.PolygonScan.com'], recipients: ['E2E-Amoy@example.com'] },
+    {
+      id: 'sepolia',
+      chainId: 11155111,
+      explorerHosts: ['sepolia.etherscan.io'],
+      recipients: ['e2e-sepolia@example.com'],
+      receiptProviders: [{ type: 'rpc', url: 'http://sepolia.rpc.test' }, { name: 'scan', type: 'explorer', url: 'http://scan.test' }],
+    },
+  ]),
+});
+
+describe('targets', () => {
+  describe('loadTargets', () => {
+    it('E2E_TARGETS を正規化する（数値化・小文字化）', () => {
+      expect(TARGETS.map((t) => t.id)).to.deep.equal(['amoy', 'sepolia']);
+      expect(TARGETS[0]).to.include({ chainId: 80002, vaultId: undefined });
+      expect(TARGETS[0].explorerHosts).to.deep.equal(['amoy.polygonscan.com']);
+      expect(TARGETS[0].recipients).to.deep.equal(['e2e-amoy@example.com']);
+    });
+
+    it('未設定時は従来の単一設定から "default" を構築する', () => {
+      const [target] = loadTargets({ CHAIN_ID: '80002', CA_E2E_MONITOR: `0x${'AB'.repeat(20)}`, RPC_URL: 'http://rpc.test' });
+      expect(target).to.include({ id: 'default', chainId: 80002, contractAddress: `0x${'ab'.repeat(20)}`, rpcUrl: 'http://rpc.test' });
+    });
+
+    it('不正な設定は拒否する', () => {
+      expect(() => loadTargets({ E2E_TARGETS: '[]' })).to.throw(/non-empty JSON array/);
+      expect(() => loadTargets({ E2E_TARGETS: '[{"id":"a b"}]' })).to.throw(/invalid "id"/);
+      expect(() => loadTargets({ E2E_TARGETS: '[{"id":"a"},{"id":"a"}]' })).to.throw(/Duplicate target id/);
+      expect(() => loadTargets({ E2E_TARGETS: '[{"id":"a","receiptProviders":{}}]' })).to.throw(/must be an array/);
+      expect(() => loadTargets({ E2E_TARGETS: '[1]' })).to.throw(/must be an object/);
+    });
+  });
+
+  describe('getTarget', () => {
+    it('ID 未指定は既定ターゲット、未登録の ID は null', () => {
+      expect(getTarget(TARGETS, undefined).id).to.equal('amoy');
+      expect(getTarget(TARGETS, 'sepolia').id).to.equal('sepolia');
+      expect(getTarget(TARGETS, 'mainnet')).to.equal(null);
+    });
+  });
+
+  describe('resolveTargetForMail', () => {
+    const mail = (headers, text = '') => ({ headers, text });
+
+    it('受信アドレスを本文のエクスプローラ URL より優先する', () => {
+      const r = resolveTargetForMail(TARGETS, mail(
+        { to: ['"E2E" <E2E-Sepolia@example.com>'] },
+        'https://amoy.polygonscan.com/tx/0x01',
+      ));
+      expect(r.matchedBy).to.equal('recipient');
+      expect(r.target.id).to.equal('sepolia');
+    });
+
+    it('Delivered-To / X-Original-To も受信アドレスとして扱う', () => {
+      expect(resolveTargetForMail(TARGETS, mail({ 'x-original-to': ['e2e-sepolia@example.com'] })).target.id).to.equal('sepolia');
+    });
+
+    it('受信アドレスで決まらなければエクスプローラのホスト、どちらも無ければ既定', () => {
+      const byHost = resolveTargetForMail(TARGETS, mail({ to: ['other@example.com'] }, 'See https://Sepolia.Etherscan.io/tx/0x01'));
+      expect(byHost.matchedBy).to.equal('explorerHost');
+      expect(byHost.target.id).to.equal('sepolia');
+
+      const fallback = resolveTargetForMail(TARGETS, mail({}, 'https://evil.example/?u=sepolia.etherscan.io'));
+      expect(fallback.matchedBy).to.equal('default');
+      expect(fallback.target.id).to.equal('amoy');
+    });
+
+    it('ターゲットが1件なら判定しない', () => {
+      expect(resolveTargetForMail(TARGETS.slice(0, 1), mail({})).matchedBy).to.equal('single');
+    });
+  });
+
+  describe('receiptEnvForTarget', () => {
+    it('receiptProviders 指定時はプロバイダ名をターゲット ID で修飾して差し替える', () => {
+      const env = { RECEIPT_PROVIDERS: '[]', RECEIPT_QUORUM: '2' };
+      const out = receiptEnvForTarget(TARGETS[1], env);
+      expect(out.RECEIPT_QUORUM).to.equal('2');
+      expect(JSON.parse(out.RECEIPT_PROVIDERS).map((p) => p.name)).to.deep.equal(['sepolia:rpc-0', 'sepolia:scan']);
+      expect(env.RECEIPT_PROVIDERS).to.equal('[]');
+    });
+
+    it('receiptProviders 未指定なら共通設定のまま', () => {
+      const env = { RECEIPT_PROVIDERS: '[]' };
+      expect(receiptEnvForTarget(TARGETS[0], env)).to.equal(env);
+    });
+  });
+});
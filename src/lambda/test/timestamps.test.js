@@ -0,0 +1,20 @@
+'use strict';
+
+const { expect } = require('chai');
+const { makeTimestampFields } = require('../common/timestamps');
+
+describe('timestamps makeTimestampFields', () => {
+  it('ms / UTC ISO8601 / JST（秒まで）の3属性を生成する', () => {
+    const epochMs = Date.UTC(2025, 9, 21, 12, 0, 0, 123);
+    expect(makeTimestampFields(epochMs, 'createdAt')).to.deep.equal({
+      createdAtMs: epochMs,
+      createdAt: '2025-10-21T12:00:00.123Z',
+      createdAtJST: '2025-10-21 21:00:00',
+    });
+  });
+
+  it('JST は日付の境界をまたぐ', () => {
+    const fields = makeTimestampFields(Date.UTC(2025, 11, 31, 15, 30, 0), 'at');
+    expect(fields.atJST).to.equal('2026-01-01 00:30:00');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * tx-sender Fireblocks トランザクションのライフサイクル記録
+ *
+ * 役割: FireblocksWeb3Provider が内部で行う Fireblocks API 呼び出し（createTransaction / getTransactionById のポーリング）を
+ *       観測し、Fireblocks のトランザクション ID とステータス遷移（SUBMITTED → PENDING_AUTHORIZATION → PENDING_SIGNATURE →
+ *       BROADCASTING 等）を時刻付きで記録する。
+ *       カストディ側（ポリシー承認・署名・ブロードキャスト）の所要時間を、チェーン側（ブロードキャスト → 採掘）と分けて見るために使う。
+ *
+ * provider はブロードキャスト（BROADCASTING / CONFIRMING）か失敗で終わる状態に達した時点でポーリングを終えるため、
+ * それ以降の遷移（COMPLETED 等）は記録されない。時刻はポーリング（既定 1 秒間隔）で観測した時刻。
+ */
+'use strict';
+
+// provider がポーリングを終える状態（fireblocks-web3-provider の FINAL_TRANSACTION_STATES）
+const CUSTODY_FINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'BLOCKED', 'REJECTED', 'BROADCASTING', 'CONFIRMING'];
+
+class CustodyLifecycle {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Fireblocks の SDK クライアントの呼び出しを観測する
+   * @param {Object} client - FireblocksWeb3Provider.fireblocksApiClient（FireblocksSDK）
+   */
+  attach(client) {
+    const createTransaction = client.createTransaction.bind(client);
+    const getTransactionById = client.getTransactionById.bind(client);
+    client.createTransaction = async (...args) => {
+      const requestedAtMs = Date.now();
+      const res = await createTransaction(...args);
+      this.onCreated(res, requestedAtMs);
+      return res;
+    };
+    client.getTransactionById = async (...args) => {
+      const info = await getTransactionById(...args);
+      this.onStatus(info);
+      return info;
+    };
+    return this;
+  }
+
+  onCreated(res, requestedAtMs) {
+    if (!res || !res.id) return;
+    const entry = { id: res.id, requestedAtMs, transitions: [] };
+    this.entries.push(entry);
+    if (res.status) this.addTransition(entry, res.status, null, Date.now());
+  }
+
+  onStatus(info) {
+    if (!info || !info.id) return;
+    const entry = this.entries.find((e) => e.id === info.id);
+    if (!entry) return;
+    if (info.txHash) entry.txHash = info.txHash;
+    const last = entry.transitions[entry.transitions.length - 1];
+    if (!last || last.status !== info.status || (last.subStatus || null) !== (info.subStatus || null)) {
+      this.addTransition(entry, info.status, info.subStatus || null, Date.now());
+    }
+  }
+
+  addTransition(entry, status, subStatus, atMs) {
+    entry.transitions.push({ status, ...(subStatus ? { subStatus } : {}), atMs });
+    if (!entry.completedAtMs && CUSTODY_FINAL_STATUSES.includes(status)) entry.completedAtMs = atMs;
+  }
+
+  /**
+   * 記録したトランザクションを取り出して消去（ping ごとに呼ぶ）
+   * @returns {Array<Object>} id / txHash / status / subStatus / requestedAtMs / completedAtMs / latencyMs / phaseMs / transitions
+   *   latencyMs: createTransaction の呼び出しから終了状態（ブロードキャスト・失敗）を観測するまで
+   *   phaseMs: ステータスごとの滞在時間（次の遷移までの時間）
+   */
+  take() {
+    const entries = this.entries.map(summarize);
+    this.entries = [];
+    return entries;
+  }
+}
+
+function summarize(entry) {
+  const last = entry.transitions[entry.transitions.length - 1];
+  const phaseMs = {};
+  for (let i = 0; i + 1 < entry.transitions.length; i++) {
+    const t = entry.transitions[i];
+    phaseMs[t.status] = (phaseMs[t.status] || 0) + (entry.transitions[i + 1].atMs - t.atMs);
+  }
+  return {
+    id: entry.id,
+    ...(entry.txHash ? { txHash: entry.txHash } : {}),
+    ...(last ? { status: last.status } : {}),
+    ...(last && last.subStatus ? { subStatus: last.subStatus } : {}),
+    requestedAtMs: entry.requestedAtMs,
+    ...(entry.completedAtMs ? {
+      completedAtMs: entry.completedAtMs,
+      latencyMs: entry.completedAtMs - entry.requestedAtMs,
+    } : {}),
+    phaseMs,
+    transitions: entry.transitions,
+  };
+}
+
+module.exports = {
+  CustodyLifecycle,
+};
@@ -0,0 +1,207 @@
+/**
+ * tx-sender エラー分類
+ *
+ * 役割: 送信失敗を ethers v6 のエラーコード・revert データ（E2eMonitor / AccessControl の ABI でデコード）・
+ *       Fireblocks の最終ステータスから分類し、分類ごとの再試行ポリシー（SQS で再処理するか）を決める。
+ *       メッセージ文言の部分一致ではなく、構造化された情報を優先して判定する。
+ *
+ * 分類（errorClass）と再試行ポリシー:
+ *   再試行しない: validation / config / insufficientFunds / unauthorized / contractRevert / signerRejected
+ *   再試行する  : signerFailed / nonce / underpriced / dropped / network / unknown
+ */
+'use strict';
+
+const { Interface } = require('ethers');
+const { E2E_MONITOR_ABI } = require('../common/e2e-monitor-abi');
+const { classifyNonceError } = require('./nonce-manager');
+
+const ERROR_CLASSES = {
+  // メッセージ不正（JSON / 必須項目 / 未登録の targetId）
+  validation: { retryable: false },
+  // 設定不備（資格情報・コントラクトアドレス・チェーン ID・Vault のアセット等）
+  config: { retryable: false },
+  // 送信アカウントの残高不足（補充されるまで何度送っても失敗する）
+  insufficientFunds: { retryable: false },
+  // AccessControlUnauthorizedAccount（送信アカウントに SENDER_ROLE が無い）
+  unauthorized: { retryable: false },
+  // 上記以外の revert
+  contractRevert: { retryable: false },
+  // 署名の拒否（Fireblocks の BLOCKED / REJECTED / CANCELLED、ACTION_REJECTED）
+  signerRejected: { retryable: false },
+  // 署名・送信の失敗（Fireblocks の FAILED 等）
+  signerFailed: { retryable: true },
+  // nonce 競合（nonce too low / already known）
+  nonce: { retryable: true },
+  // 手数料不足（replacement underpriced 等）
+  underpriced: { retryable: true },
+  // 送信した tx がどれも採掘されずに消えた
+  dropped: { retryable: true },
+  // RPC / ネットワーク障害・レート制限
+  network: { retryable: true },
+  // 分類できないエラー
+  unknown: { retryable: true },
+};
+
+// Fireblocks の最終ステータス（fireblocks-web3-provider のエラーメッセージに含まれる）
+const FIREBLOCKS_STATUS_RE = /Final Status:\s*([A-Z_]+)(?:\s*\(([A-Z0-9_]+)\))?/;
+const FIREBLOCKS_REJECTED_STATUSES = ['BLOCKED', 'REJECTED', 'CANCELLED'];
+// fireblocks-web3-provider の設定起因のエラー
+const FIREBLOCKS_CONFIG_PATTERNS = [
+  'Unsupported chain id',
+  'asset wallet found for vault account',
+  'does not match the chain ID of the FireblocksWeb3Provider',
+];
+
+const NETWORK_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+// ethers の引数・呼び出し不正（コード・設定の不備で、再試行しても変わらない）
+const CONFIG_CODES = ['INVALID_ARGUMENT', 'MISSING_ARGUMENT', 'UNEXPECTED_ARGUMENT', 'UNSUPPORTED_OPERATION', 'NUMERIC_FAULT'];
+// JSON-RPC のレート制限（-32005: limit exceeded）
+const RPC_RATE_LIMIT_CODES = [-32005, 429];
+const AWS_CONFIG_ERRORS = ['ParameterNotFound', 'AccessDeniedException'];
+
+const ABI_INTERFACE = new Interface(E2E_MONITOR_ABI);
+
+/**
+ * 分類結果を生成
+ * @param {string} errorClass - ERROR_CLASSES のキー
+ * @param {string} [detail] - 補足（revert 名・Fireblocks ステータス・ethers のコード等）
+ * @returns {{ errorClass: string, retryable: boolean, detail?: string }}
+ */
+function makeClassification(errorClass, detail) {
+  const policy = ERROR_CLASSES[errorClass] || ERROR_CLASSES.unknown;
+  return {
+    errorClass: ERROR_CLASSES[errorClass] ? errorClass : 'unknown',
+    retryable: policy.retryable,
+    ...(detail ? { detail: String(detail) } : {}),
+  };
+}
+
+/**
+ * 分類を指定したエラーを生成（設定不備等、発生箇所で分類が確定しているもの）
+ * @param {string} errorClass - ERROR_CLASSES のキー
+ * @param {string} message
+ */
+function classifiedError(errorClass, message) {
+  const err = new Error(message);
+  err.errorClass = errorClass;
+  return err;
+}
+
+/**
+ * ラップされたエラー（cause / ethers の error・info.error）を含めて列挙
+ */
+function errorChain(err) {
+  const chain = [];
+  const queue = [err];
+  while (queue.length > 0 && chain.length < 8) {
+    const e = queue.shift();
+    if (!e || typeof e !== 'object' || chain.includes(e)) continue;
+    chain.push(e);
+    queue.push(e.cause, e.error, e.info && e.info.error);
+  }
+  return chain;
+}
+
+/**
+ * revert をデコード（ethers がデコード済みなら err.revert、未デコードなら revert データを ABI でデコード）
+ * @returns {{ name: string, args: Array }|null}
+ */
+function decodeRevert(chain) {
+  for (const e of chain) {
+    if (e.revert && e.revert.name) return { name: e.revert.name, args: Array.from(e.revert.args || []) };
+  }
+  for (const e of chain) {
+    const data = typeof e.data === 'string' ? e.data : (e.data && typeof e.data.data === 'string' ? e.data.data : null);
+    if (!data || !/^0x[0-9a-fA-F]{8}/.test(data)) continue;
+    try {
+      const parsed = ABI_INTERFACE.parseError(data);
+      if (parsed) return { name: parsed.name, args: Array.from(parsed.args) };
+    } catch (_) {
+      // 未知のエラーセレクタ・不正なデータ
+    }
+  }
+  return null;
+}
+
+/**
+ * Fireblocks の最終ステータスを抽出
+ * @returns {{ status: string, subStatus: string|null }|null}
+ */
+function parseFireblocksStatus(chain) {
+  for (const e of chain) {
+    const m = typeof e.message === 'string' ? e.message.match(FIREBLOCKS_STATUS_RE) : null;
+    if (m) return { status: m[1], subStatus: m[2] || null };
+  }
+  return null;
+}
+
+/**
+ * 送信失敗を分類
+ * @param {Error} err - 送信・初期化・メッセージ処理で発生したエラー
+ * @returns {{ errorClass: string, retryable: boolean, detail?: string }}
+ */
+function classifyError(err) {
+  if (!err) return makeClassification('unknown');
+  // 発生箇所で分類済み（設定不備・プリフライト失敗。名前付きエラーは名前を補足にする）
+  if (err.errorClass) return makeClassification(err.errorClass, err.name !== 'Error' ? err.name : undefined);
+  // 送信済み tx がすべて消えた（sendPing の dropped）
+  if (err.txResult && err.txResult.outcome === 'dropped') return makeClassification('dropped');
+  // メッセージボディの JSON.parse 失敗
+  if (err instanceof SyntaxError) return makeClassification('validation', 'invalid JSON');
+
+  const chain = errorChain(err);
+  const codes = chain.map((e) => e.code).filter((c) => c !== undefined && c !== null);
+  const has = (code) => codes.includes(code);
+
+  const fireblocks = parseFireblocksStatus(chain);
+  if (fireblocks) {
+    const detail = fireblocks.subStatus ? `${fireblocks.status}:${fireblocks.subStatus}` : fireblocks.status;
+    if (fireblocks.subStatus && fireblocks.subStatus.startsWith('INSUFFICIENT_FUNDS')) {
+      return makeClassification('insufficientFunds', detail);
+    }
+    if (FIREBLOCKS_REJECTED_STATUSES.includes(fireblocks.status)) return makeClassification('signerRejected', detail);
+    return makeClassification('signerFailed', detail);
+  }
+
+  if (has('INSUFFICIENT_FUNDS')) return makeClassification('insufficientFunds', 'INSUFFICIENT_FUNDS');
+  if (has('ACTION_REJECTED')) return makeClassification('signerRejected', 'ACTION_REJECTED');
+
+  const revert = decodeRevert(chain);
+  if (revert) {
+    if (revert.name === 'AccessControlUnauthorizedAccount') {
+      return makeClassification('unauthorized', `${revert.name}(${revert.args.join(',')})`);
+    }
+    const reason = revert.name === 'Error' && revert.args.length > 0 ? `Error(${revert.args[0]})` : revert.name;
+    return makeClassification('contractRevert', reason);
+  }
+
+  const nonceKind = classifyNonceError(err) || chain.map(classifyNonceError).find(Boolean);
+  if (nonceKind) return makeClassification(nonceKind === 'replacementUnderpriced' ? 'underpriced' : 'nonce', nonceKind);
+
+  // ethers は estimateGas 中の RPC エラー（レート制限等）も CALL_EXCEPTION にするため、RPC のコードを先に見る
+  const networkCode = codes.find((c) => NETWORK_CODES.includes(c) || RPC_RATE_LIMIT_CODES.includes(c));
+  if (networkCode !== undefined) return makeClassification('network', networkCode);
+
+  if (has('CALL_EXCEPTION')) {
+    // revert データが無い CALL_EXCEPTION は RPC の一時的な不具合（missing revert data）の可能性があるため再試行
+    const reason = chain.map((e) => e.reason).find((r) => typeof r === 'string' && r);
+    return reason ? makeClassification('contractRevert', `Error(${reason})`) : makeClassification('unknown', 'CALL_EXCEPTION');
+  }
+
+  const configCode = codes.find((c) => CONFIG_CODES.includes(c));
+  if (configCode) return makeClassification('config', configCode);
+  const awsConfig = chain.map((e) => e.name).find((n) => AWS_CONFIG_ERRORS.includes(n));
+  if (awsConfig) return makeClassification('config', awsConfig);
+  const fireblocksConfig = chain.some((e) => typeof e.message === 'string'
+    && FIREBLOCKS_CONFIG_PATTERNS.some((p) => e.message.includes(p)));
+  if (fireblocksConfig) return makeClassification('config', 'fireblocks');
+
+  return makeClassification('unknown', codes.length > 0 ? codes[0] : (err.name !== 'Error' ? err.name : undefined));
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  makeClassification,
+  classifiedError,
+  classifyError,
+};
@@ -0,0 +1,99 @@
+/**
+ * tx-sender 手数料ポリシー（EIP-1559）
+ *
+ * 役割: ping 送信時の maxFeePerGas / maxPriorityFeePerGas の決定と、滞留 tx を同一 nonce で置き換える際の
+ *       手数料引き上げを行う（RPC には触れない純粋関数）。
+ *
+ * 環境変数（ENV）
+ * - TX_MAX_FEE_GWEI          : maxFeePerGas の上限（gwei、既定: 500）
+ * - TX_MAX_PRIORITY_FEE_GWEI : maxPriorityFeePerGas の上限（gwei、既定: 100）
+ * - TX_MIN_PRIORITY_FEE_GWEI : maxPriorityFeePerGas の下限（gwei、既定: 30。Polygon の最低チップ相当）
+ * - TX_FEE_BUMP_PERCENT      : 置き換え時の引き上げ率（%、既定: 20。ノードの置き換え条件を満たすため最低 10）
+ * - TX_REPLACE_AFTER_SEC     : この秒数採掘されなければ置き換える（既定: 30）
+ * - TX_MAX_REPLACEMENTS      : 置き換えの最大回数（既定: 3。nonce を指定できない fireblocks バックエンドでは置き換えない）
+ * - TX_WAIT_DEADLINE_SEC     : 送信から採掘待ちを打ち切るまでの秒数（既定: 150。Lambda の残り時間でも制限）
+ */
+'use strict';
+
+const { parseUnits } = require('ethers');
+
+// ノードが同一 nonce の置き換えを受け付ける最低引き上げ率
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+function envNumber(env, name, fallback) {
+  const v = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(v) ? v : fallback;
+}
+
+function gwei(v) {
+  return parseUnits(String(v), 'gwei');
+}
+
+/**
+ * 環境変数から手数料ポリシーを構築
+ */
+function loadFeePolicy(env = process.env) {
+  const policy = {
+    maxFeeCapWei: gwei(envNumber(env, 'TX_MAX_FEE_GWEI', 500)),
+    priorityFeeCapWei: gwei(envNumber(env, 'TX_MAX_PRIORITY_FEE_GWEI', 100)),
+    minPriorityFeeWei: gwei(envNumber(env, 'TX_MIN_PRIORITY_FEE_GWEI', 30)),
+    bumpPercent: Math.max(MIN_REPLACEMENT_BUMP_PERCENT, envNumber(env, 'TX_FEE_BUMP_PERCENT', 20)),
+    replaceAfterMs: envNumber(env, 'TX_REPLACE_AFTER_SEC', 30) * 1000,
+    maxReplacements: Math.max(0, Math.floor(envNumber(env, 'TX_MAX_REPLACEMENTS', 3))),
+    waitDeadlineMs: envNumber(env, 'TX_WAIT_DEADLINE_SEC', 150) * 1000,
+  };
+  if (policy.priorityFeeCapWei > policy.maxFeeCapWei) {
+    throw new Error('TX_MAX_PRIORITY_FEE_GWEI must not exceed TX_MAX_FEE_GWEI');
+  }
+  return policy;
+}
+
+function minBigInt(a, b) {
+  return a < b ? a : b;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+/**
+ * 初回送信の手数料
+ * @param {{ baseFeePerGas: bigint|null, suggestedPriorityFeeWei: bigint|null }} market - 直近ブロックの baseFee とノード推奨チップ
+ * @param {Object} policy - loadFeePolicy() の結果
+ * @returns {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, capped: boolean }}
+ *   capped: 上限で切り詰めた（baseFee 高騰中で採掘が遅れる可能性がある）
+ */
+function initialFees(market, policy) {
+  const suggested = market.suggestedPriorityFeeWei || 0n;
+  const priority = minBigInt(maxBigInt(suggested, policy.minPriorityFeeWei), policy.priorityFeeCapWei);
+  // 次ブロック以降の baseFee 上昇に備えて 2 倍を見込む（ethers の既定と同じ考え方）
+  const wanted = market.baseFeePerGas ? market.baseFeePerGas * 2n + priority : priority;
+  const maxFee = minBigInt(wanted, policy.maxFeeCapWei);
+  return {
+    maxFeePerGas: maxBigInt(maxFee, priority),
+    maxPriorityFeePerGas: priority,
+    capped: wanted > policy.maxFeeCapWei,
+  };
+}
+
+/**
+ * 置き換え（speed-up）用に手数料を引き上げる
+ * @param {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }} prev - 直前の送信の手数料
+ * @param {Object} policy
+ * @returns {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }|null}
+ *   上限のため置き換え条件（両方を MIN_REPLACEMENT_BUMP_PERCENT 以上引き上げ）を満たせなければ null
+ */
+function bumpFees(prev, policy) {
+  const bump = (v) => (v * BigInt(100 + policy.bumpPercent) + 99n) / 100n;
+  const required = (v) => (v * BigInt(100 + MIN_REPLACEMENT_BUMP_PERCENT) + 99n) / 100n;
+  const priority = minBigInt(bump(prev.maxPriorityFeePerGas), policy.priorityFeeCapWei);
+  const maxFee = minBigInt(bump(prev.maxFeePerGas), policy.maxFeeCapWei);
+  if (priority < required(prev.maxPriorityFeePerGas) || maxFee < required(prev.maxFeePerGas)) return null;
+  return { maxFeePerGas: maxBigInt(maxFee, priority), maxPriorityFeePerGas: priority };
+}
+
+module.exports = {
+  loadFeePolicy,
+  initialFees,
+  bumpFees,
+};
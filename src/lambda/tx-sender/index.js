@@ -4,7 +4,7 @@
  * 役割: SQSメッセージ（bytes32のcorrelationIdHex32/tagHex32）を受け取り、
  *       Fireblocks経由で E2eMonitor.ping を送信するエントリーポイント。
  * トリガー: SQS `e2emm-main-queue-<stage>`
- * 入力: messageBody(JSON) { correlationIdHex32, tagHex32 }
+ * 入力: messageBody(JSON) { correlationId?, correlationIdHex32, tagHex32, targetId? }
  */
 const { handler: recordLogHandler } = require('./recordLogHandler');
 
@@ -0,0 +1,85 @@
+/**
+ * tx-sender nonce 管理
+ *
+ * 役割: 送信アカウントの nonce を pending を含むトランザクション数から払い出し、
+ *       バッチ内の連続送信で同じ nonce を使わないようにする。
+ *       払い出した nonce は tx の nonce と E2eMonitor.ping の nonce 引数の両方に使う（イベントに実際の nonce が残る）。
+ *       ただし Fireblocks は tx の nonce を自身で割り当てるため、ping の nonce 引数は予定値になる
+ *       （一致しない場合は TxNonceMismatch メトリクスとレコードの txNonceMismatch / pingNonce で検出する）。
+ *
+ * BlockchainService（ターゲットごと・ハンドラ起動ごと）に1つ。起動ごとに pending から取り直すため、
+ * 他の実行が使った nonce との衝突は送信エラー（nonce too low 等）で検出して resync する。
+ */
+'use strict';
+
+// 送信エラーの nonce 関連の分類（ノード実装ごとの文言差を吸収）
+const NONCE_ERROR_PATTERNS = [
+  { kind: 'nonceTooLow', patterns: ['nonce too low', 'nonce has already been used', 'nonce_expired', 'invalid nonce'] },
+  { kind: 'alreadyKnown', patterns: ['already known', 'known transaction', 'already imported', 'alreadyknown'] },
+  { kind: 'replacementUnderpriced', patterns: ['replacement transaction underpriced', 'replacement_underpriced'] },
+];
+
+/**
+ * 送信エラーを nonce 関連の種別に分類
+ * @param {Error} err - ethers の送信エラー
+ * @returns {'nonceTooLow'|'alreadyKnown'|'replacementUnderpriced'|null}
+ */
+function classifyNonceError(err) {
+  const text = [
+    err && err.code,
+    err && err.shortMessage,
+    err && err.message,
+    err && err.info && err.info.error && err.info.error.message,
+  ].filter(Boolean).join(' ').toLowerCase();
+  if (err && err.code === 'NONCE_EXPIRED') return 'nonceTooLow';
+  if (err && err.code === 'REPLACEMENT_UNDERPRICED') return 'replacementUnderpriced';
+  for (const { kind, patterns } of NONCE_ERROR_PATTERNS) {
+    if (patterns.some((p) => text.includes(p))) return kind;
+  }
+  return null;
+}
+
+class NonceManager {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {string} address - 送信アカウント
+   */
+  constructor(provider, address) {
+    this.provider = provider;
+    this.address = address;
+    this.nextNonce = null;
+  }
+
+  /**
+   * pending を含むトランザクション数から取り直す
+   * @returns {Promise<number>}
+   */
+  async resync() {
+    this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+    return this.nextNonce;
+  }
+
+  /**
+   * 次に使う nonce を払い出す
+   * @returns {Promise<number>}
+   */
+  async next() {
+    if (this.nextNonce === null) await this.resync();
+    const nonce = this.nextNonce;
+    this.nextNonce += 1;
+    return nonce;
+  }
+
+  /**
+   * 送信されなかった nonce を戻す（直前に払い出したものに限る。nonce の欠番で後続 tx が滞留しないように）
+   * @param {number} nonce
+   */
+  release(nonce) {
+    if (this.nextNonce !== null && nonce === this.nextNonce - 1) this.nextNonce = nonce;
+  }
+}
+
+module.exports = {
+  NonceManager,
+  classifyNonceError,
+};
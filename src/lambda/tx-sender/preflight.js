@@ -0,0 +1,136 @@
+/**
+ * tx-sender 送信前チェック（プリフライト）
+ *
+ * 役割: BlockchainService.initialize で ping を送る前に、送信しても失敗するだけの状態（チェーン違い・SENDER_ROLE 無し・
+ *       ガス不足）を検出する。失敗は名前付きの再試行しないエラー（err.name = Preflight*）として throw し、
+ *       同名のメトリクスで原因を示す。RPC 障害でチェック自体ができない場合は元のエラーのまま throw（再試行）。
+ *
+ * チェック（PREFLIGHT_CHECKS の順に関係なく以下の順で実行）
+ * - chainId    : eth_chainId が設定のチェーン ID と一致する       → PreflightChainMismatch（config）
+ * - role       : hasRole(SENDER_ROLE, 送信アカウント)             → PreflightNoRole（unauthorized）
+ * - estimateGas: ping の estimateGas が成功する                    → PreflightEstimateFailed（contractRevert）
+ * - balance    : 残高 >= max(PREFLIGHT_MIN_BALANCE, 推定ガス × TX_MAX_FEE_GWEI) → PreflightLowBalance（insufficientFunds）
+ *
+ * 環境変数（ENV）
+ * - PREFLIGHT_CHECKS      : 実行するチェック（カンマ区切り、既定: chainId,role,estimateGas,balance。none で無効）
+ * - PREFLIGHT_MIN_BALANCE : 送信アカウントの最低残高（ネイティブ通貨単位、既定: 0 = 推定ガス × 手数料上限のみ）
+ */
+'use strict';
+
+const { ethers } = require('ethers');
+const { classifyError } = require('./error-taxonomy');
+
+const PREFLIGHT_CHECKS = ['chainId', 'role', 'estimateGas', 'balance'];
+// E2eMonitor.SENDER_ROLE（grantRole.js と同じく keccak256(ロール名)）
+const SENDER_ROLE = ethers.id('SENDER_ROLE');
+const ZERO_BYTES32 = ethers.ZeroHash;
+
+/**
+ * 環境変数からプリフライトの設定を構築
+ * @returns {{ checks: string[], minBalanceWei: bigint }}
+ */
+function loadPreflightPolicy(env = process.env) {
+  const raw = String(env.PREFLIGHT_CHECKS === undefined ? PREFLIGHT_CHECKS.join(',') : env.PREFLIGHT_CHECKS).trim();
+  const checks = raw === '' || raw.toLowerCase() === 'none'
+    ? []
+    : raw.split(',').map((s) => s.trim()).filter((s) => s.length > 0);
+  for (const c of checks) {
+    if (!PREFLIGHT_CHECKS.includes(c)) throw new Error(`Unknown PREFLIGHT_CHECKS entry: ${c}`);
+  }
+  return {
+    checks,
+    minBalanceWei: ethers.parseEther(String(env.PREFLIGHT_MIN_BALANCE || '0')),
+  };
+}
+
+/**
+ * プリフライト失敗のエラーを生成
+ * @param {string} name - Preflight*（メトリクス名にも使う）
+ * @param {string} errorClass - error-taxonomy.js の分類
+ * @param {string} message
+ * @param {Object} [details]
+ */
+function preflightError(name, errorClass, message, details = {}) {
+  const err = new Error(message);
+  err.name = name;
+  err.errorClass = errorClass;
+  err.preflight = details;
+  return err;
+}
+
+/**
+ * 送信前チェックを実行
+ * @param {Object} ctx
+ * @param {ethers.Provider} ctx.provider
+ * @param {ethers.Contract} ctx.contract - 送信アカウントを runner とする E2eMonitor
+ * @param {string} ctx.senderAddress
+ * @param {number} ctx.chainId - 設定のチェーン ID
+ * @param {bigint} ctx.maxFeeCapWei - FEE_POLICY.maxFeeCapWei（残高チェックの必要額）
+ * @param {Object} policy - loadPreflightPolicy() の結果
+ * @returns {Promise<Object>} 実行したチェックの結果（ログ用）
+ */
+async function runPreflight(ctx, policy) {
+  const enabled = (check) => policy.checks.includes(check);
+  const result = {};
+
+  if (enabled('chainId')) {
+    const chainIdHex = await ctx.provider.send('eth_chainId', []);
+    const chainId = typeof chainIdHex === 'string' ? parseInt(chainIdHex, 16) : Number(chainIdHex);
+    result.chainId = chainId;
+    if (chainId !== ctx.chainId) {
+      throw preflightError('PreflightChainMismatch', 'config',
+        `Connected chain id ${chainId} does not match configured ${ctx.chainId}`, { expected: ctx.chainId, actual: chainId });
+    }
+  }
+
+  if (enabled('role')) {
+    result.hasRole = await ctx.contract.hasRole(SENDER_ROLE, ctx.senderAddress);
+    if (!result.hasRole) {
+      throw preflightError('PreflightNoRole', 'unauthorized',
+        `Sender ${ctx.senderAddress} does not have SENDER_ROLE`, { sender: ctx.senderAddress });
+    }
+  }
+
+  let gasEstimate = null;
+  if (enabled('estimateGas')) {
+    try {
+      gasEstimate = await ctx.contract.ping.estimateGas(ZERO_BYTES32, ZERO_BYTES32, 0, 0);
+      result.gasEstimate = gasEstimate.toString();
+    } catch (e) {
+      const classification = classifyError(e);
+      // RPC 障害等の再試行する分類は元のエラーのまま（プリフライト失敗にしない）
+      if (classification.retryable) throw e;
+      if (classification.errorClass === 'unauthorized') {
+        throw preflightError('PreflightNoRole', 'unauthorized',
+          `Sender ${ctx.senderAddress} does not have SENDER_ROLE (${classification.detail})`, { sender: ctx.senderAddress });
+      }
+      if (classification.errorClass === 'insufficientFunds') {
+        throw preflightError('PreflightLowBalance', 'insufficientFunds',
+          `Sender ${ctx.senderAddress} cannot pay for gas`, { sender: ctx.senderAddress });
+      }
+      throw preflightError('PreflightEstimateFailed', 'contractRevert',
+        `ping gas estimation failed: ${(e && e.shortMessage) || (e && e.message) || String(e)}`,
+        { errorClass: classification.errorClass, detail: classification.detail });
+    }
+  }
+
+  if (enabled('balance')) {
+    const balance = await ctx.provider.getBalance(ctx.senderAddress);
+    const gasCost = gasEstimate !== null ? gasEstimate * ctx.maxFeeCapWei : 0n;
+    const required = gasCost > policy.minBalanceWei ? gasCost : policy.minBalanceWei;
+    result.balanceWei = balance.toString();
+    result.requiredWei = required.toString();
+    if (balance < required) {
+      throw preflightError('PreflightLowBalance', 'insufficientFunds',
+        `Sender ${ctx.senderAddress} balance ${ethers.formatEther(balance)} is below ${ethers.formatEther(required)}`,
+        { sender: ctx.senderAddress, balanceWei: result.balanceWei, requiredWei: result.requiredWei });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  loadPreflightPolicy,
+  runPreflight,
+};
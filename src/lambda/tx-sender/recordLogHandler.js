@@ -1,49 +1,231 @@
 /**
  * SQSトリガーで起動するLambda関数
- * Fireblocks経由で E2eMonitor コントラクトの ping を発行する
+ * Fireblocks経由（SIGNER_BACKEND で切り替え可）で E2eMonitor コントラクトの ping を発行する
  *
  * 環境変数（ENV）
  * - RPC_URL            : 送信に利用するRPCエンドポイントURL（既定: https://rpc-amoy.polygon.technology）
  * - CHAIN_ID           : チェーンID（数値、既定: 80002）
  * - SSM_PREFIX         : SSMパラメータのプレフィックス（既定: /E2E-module/）
  * - CA_E2E_MONITOR     : コントラクトアドレス（任意。未指定時は SSM `${SSM_PREFIX}contract/e2e_monitor_address` を参照）
+ * - E2E_TARGETS        : 監視対象の一覧（任意。common/targets.js 参照）。メッセージの targetId で
+ *                        chainId / rpcUrl / contractAddress / vaultId を選ぶ（省略項目は上記の既定値）
+ * - TX_*               : 手数料の上限・置き換え・採掘待ちの打ち切り（fee-policy.js 参照）
+ * - SIGNER_BACKEND     : 署名バックエンド（fireblocks | private-key | json-rpc、既定: fireblocks。signers.js 参照）
+ * - SIGNER_ADDRESS     : json-rpc の署名アカウント（任意。未指定時はノードの先頭アカウント）
+ * - RESULTS_TABLE      : 結果テーブル名。送信結果（txStatus / txHash 等）をレコードへ記録する（result-recorder.js 参照）
+ * - PREFLIGHT_*        : 送信前チェック（チェーン ID・SENDER_ROLE・estimateGas・残高。preflight.js 参照）
  *
- * 参照する SSM パラメータ（SSM_PREFIX をベースに解決）
- * - `${SSM_PREFIX}fireblocks/api_key`
- * - `${SSM_PREFIX}fireblocks/secret_key`
- * - `${SSM_PREFIX}fireblocks/vault_id`
+ * 参照する SSM パラメータ（SSM_PREFIX をベースに解決。署名バックエンドが必要とするもののみ）
+ * - `${SSM_PREFIX}fireblocks/api_key`（fireblocks）
+ * - `${SSM_PREFIX}fireblocks/secret_key`（fireblocks）
+ * - `${SSM_PREFIX}fireblocks/vault_id`（fireblocks）
+ * - `${SSM_PREFIX}signer/private_key`（private-key）
  * - `${SSM_PREFIX}contract/e2e_monitor_address`（ENV 未設定時）
  */
 const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
-const { FireblocksWeb3Provider } = require('@fireblocks/fireblocks-web3-provider');
 const { ethers } = require('ethers');
+const { E2E_MONITOR_ABI } = require('../common/e2e-monitor-abi');
+const { loadTargets, getTarget } = require('../common/targets');
+const { loadFeePolicy, initialFees, bumpFees } = require('./fee-policy');
+const { SIGNER_BACKENDS, resolveSignerBackend, createSigner } = require('./signers');
+const { ResultRecorder } = require('./result-recorder');
+const { NonceManager, classifyNonceError } = require('./nonce-manager');
+const { ERROR_CLASSES, makeClassification, classifiedError, classifyError } = require('./error-taxonomy');
+const { loadPreflightPolicy, runPreflight } = require('./preflight');
 
 // 定数定義
 const CONSTANTS = {
   RPC_URL: process.env.RPC_URL || 'https://rpc-amoy.polygon.technology',
   CHAIN_ID: Number(process.env.CHAIN_ID || 80002),
   SSM_PREFIX: process.env.SSM_PREFIX || '/E2E-module/',
-  ERROR_TYPES: {
-    VALIDATION: 'validation',
-    TRANSACTION: 'transaction',
-    SYSTEM: 'system'
-  }
+  // 採掘確認のポーリング間隔
+  RECEIPT_POLL_INTERVAL_MS: 3000,
+  // Lambda タイムアウト前に結果を返すための余裕
+  LAMBDA_SAFETY_MARGIN_MS: 10000
 };
 
+// 監視対象（E2E_TARGETS。未設定時は CHAIN_ID / RPC_URL / CA_E2E_MONITOR の単一ターゲット）
+const TARGETS = loadTargets();
+// 手数料ポリシー（EIP-1559）
+const FEE_POLICY = loadFeePolicy();
+// 署名バックエンド
+const SIGNER_BACKEND = resolveSignerBackend();
+// 送信前チェック
+const PREFLIGHT_POLICY = loadPreflightPolicy();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 送信結果のメトリクス（EMF: E2E/TxSender）
+ * @param {Object} result - sendPing の結果（outcome / replacements / waitMs）
+ * @param {string} targetId
+ */
+function emitTxMetrics(result, targetId) {
+  try {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'tx-sender';
+    const metrics = [
+      { Name: 'TxOutcome', Unit: 'Count' },
+      { Name: 'TxReplacements', Unit: 'Count' },
+    ];
+    const values = { TxOutcome: 1, TxReplacements: result.replacements || 0 };
+    if (result.nonceConflicts) {
+      metrics.push({ Name: 'TxNonceConflicts', Unit: 'Count' });
+      values.TxNonceConflicts = result.nonceConflicts;
+    }
+    // ping の nonce 引数（イベントの nonce）と tx の nonce の不一致（Fireblocks が nonce を割り当てた）
+    if (result.nonceMismatch) {
+      metrics.push({ Name: 'TxNonceMismatch', Unit: 'Count' });
+      values.TxNonceMismatch = 1;
+    }
+    if (Number.isFinite(result.waitMs)) {
+      metrics.push({ Name: 'TxWaitMs', Unit: 'Milliseconds' });
+      values.TxWaitMs = result.waitMs;
+    }
+    // チェーン側の所要時間（送信完了 → 採掘ブロックの時刻）。カストディ側は CustodyLatencyMs
+    if (Number.isFinite(result.broadcastAtMs) && Number.isFinite(result.minedAtMs)) {
+      metrics.push({ Name: 'ChainLatencyMs', Unit: 'Milliseconds' });
+      values.ChainLatencyMs = Math.max(0, result.minedAtMs - result.broadcastAtMs);
+    }
+    console.log(JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: 'E2E/TxSender',
+          Dimensions: [['FunctionName'], ['FunctionName', 'Outcome'], ['FunctionName', 'Target', 'Outcome']],
+          Metrics: metrics,
+        }],
+      },
+      FunctionName: functionName,
+      Target: targetId,
+      Outcome: result.outcome,
+      ...values,
+    }));
+  } catch (e) {
+    // メトリクス出力失敗時も処理は継続
+    console.warn('emitTxMetrics error:', e && e.message ? e.message : String(e));
+  }
+}
+
+/**
+ * カストディ（Fireblocks）側の所要時間のメトリクス（EMF: E2E/TxSender）
+ * Fireblocks トランザクション（置き換えを含む）ごとに、作成 → 終了状態（ブロードキャスト・失敗）までの時間を出力
+ * @param {Array<Object>} custody - sendPing の custody（custody-lifecycle.js）
+ * @param {string} targetId
+ */
+function emitCustodyMetrics(custody, targetId) {
+  try {
+    for (const c of custody || []) {
+      if (!Number.isFinite(c.latencyMs)) continue;
+      console.log(JSON.stringify({
+        _aws: {
+          Timestamp: Date.now(),
+          CloudWatchMetrics: [{
+            Namespace: 'E2E/TxSender',
+            Dimensions: [['FunctionName'], ['FunctionName', 'Target']],
+            Metrics: [{ Name: 'CustodyLatencyMs', Unit: 'Milliseconds' }],
+          }],
+        },
+        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME || 'tx-sender',
+        Target: targetId,
+        CustodyStatus: c.status,
+        CustodyTxId: c.id,
+        CustodyLatencyMs: c.latencyMs,
+      }));
+    }
+  } catch (e) {
+    // メトリクス出力失敗時も処理は継続
+    console.warn('emitCustodyMetrics error:', e && e.message ? e.message : String(e));
+  }
+}
+
+/**
+ * バッチの処理統計のメトリクス（EMF: E2E/TxSender）
+ * 件数（TxMessages / TxSucceeded / TxPending / TxRetried / TxDiscarded）と、分類ごとの TxErrors（ErrorClass 次元）
+ * @param {Object} stats - ProcessingTracker.stats
+ */
+function emitProcessingMetrics(stats) {
+  try {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'tx-sender';
+    const timestamp = Date.now();
+    console.log(JSON.stringify({
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [{
+          Namespace: 'E2E/TxSender',
+          Dimensions: [['FunctionName']],
+          Metrics: [
+            { Name: 'TxMessages', Unit: 'Count' },
+            { Name: 'TxSucceeded', Unit: 'Count' },
+            { Name: 'TxPending', Unit: 'Count' },
+            { Name: 'TxRetried', Unit: 'Count' },
+            { Name: 'TxDiscarded', Unit: 'Count' },
+          ],
+        }],
+      },
+      FunctionName: functionName,
+      TxMessages: stats.total,
+      TxSucceeded: stats.success,
+      TxPending: stats.pending,
+      TxRetried: stats.retried,
+      TxDiscarded: stats.discarded,
+    }));
+    for (const [errorClass, count] of Object.entries(stats.errors)) {
+      console.log(JSON.stringify({
+        _aws: {
+          Timestamp: timestamp,
+          CloudWatchMetrics: [{
+            Namespace: 'E2E/TxSender',
+            Dimensions: [['FunctionName', 'ErrorClass']],
+            Metrics: [{ Name: 'TxErrors', Unit: 'Count' }],
+          }],
+        },
+        FunctionName: functionName,
+        ErrorClass: errorClass,
+        Retryable: ERROR_CLASSES[errorClass] ? ERROR_CLASSES[errorClass].retryable : true,
+        TxErrors: count,
+      }));
+    }
+  } catch (e) {
+    // メトリクス出力失敗時も処理は継続
+    console.warn('emitProcessingMetrics error:', e && e.message ? e.message : String(e));
+  }
+}
+
+/**
+ * 送信前チェック失敗のメトリクス（EMF: E2E/TxSender。メトリクス名はエラー名 PreflightNoRole 等）
+ * @param {string} name - preflight.js のエラー名
+ * @param {string} targetId
+ */
+function emitPreflightMetric(name, targetId) {
+  try {
+    console.log(JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: 'E2E/TxSender',
+          Dimensions: [['FunctionName'], ['FunctionName', 'Target']],
+          Metrics: [{ Name: name, Unit: 'Count' }],
+        }],
+      },
+      FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME || 'tx-sender',
+      Target: targetId,
+      [name]: 1,
+    }));
+  } catch (e) {
+    // メトリクス出力失敗時も処理は継続
+    console.warn('emitPreflightMetric error:', e && e.message ? e.message : String(e));
+  }
+}
+
 // SSMパラメータ名
 const SSM_PARAMS = {
   FIREBLOCKS_API_KEY: `${CONSTANTS.SSM_PREFIX}fireblocks/api_key`,
   FIREBLOCKS_API_SECRET: `${CONSTANTS.SSM_PREFIX}fireblocks/secret_key`,
   FIREBLOCKS_VID_PINGER: `${CONSTANTS.SSM_PREFIX}fireblocks/vault_id`,
+  SIGNER_PRIVATE_KEY: `${CONSTANTS.SSM_PREFIX}signer/private_key`,
   E2E_MONITOR_ADDRESS: `${CONSTANTS.SSM_PREFIX}contract/e2e_monitor_address`
 };
 
-// E2eMonitor コントラクトの ABI
-const E2E_MONITOR_ABI = [
-  "event E2ePing(bytes32 indexed correlationId, address indexed sender, uint256 clientTimestamp, uint256 nonce, uint256 blockTimestamp, bytes32 tag)",
-  "function ping(bytes32 correlationId, bytes32 tag, uint256 clientTimestamp, uint256 nonce) external"
-];
-
 /**
  * AWS SSMからパラメータを取得するクラス
  */
@@ -79,16 +261,33 @@ class ParameterStore {
     return value;
   }
 
+  /**
+   * 署名バックエンドの資格情報を取得（バックエンドが必要とするもののみ）
+   * @param {string} backend - SIGNER_BACKENDS のいずれか
+   * @returns {Promise<Object>}
+   */
+  async getSignerParameters(backend) {
+    if (backend === SIGNER_BACKENDS.FIREBLOCKS) {
+      const [apiKey, apiSecret, vaultAccountId] = await Promise.all([
+        this.getParameter(SSM_PARAMS.FIREBLOCKS_API_KEY),
+        this.getParameter(SSM_PARAMS.FIREBLOCKS_API_SECRET),
+        this.getParameter(SSM_PARAMS.FIREBLOCKS_VID_PINGER)
+      ]);
+      return { apiKey, apiSecret, vaultAccountId };
+    }
+    if (backend === SIGNER_BACKENDS.PRIVATE_KEY) {
+      return { privateKey: await this.getParameter(SSM_PARAMS.SIGNER_PRIVATE_KEY) };
+    }
+    return { signerAddress: process.env.SIGNER_ADDRESS || undefined };
+  }
+
   /**
    * 必要なすべてのパラメータを一度に取得
+   * @param {string} backend - 署名バックエンド
    * @returns {Promise<Object>} - パラメータのオブジェクト
    */
-  async getAllParameters() {
-    const [apiKey, apiSecret, vaultAccountId] = await Promise.all([
-      this.getParameter(SSM_PARAMS.FIREBLOCKS_API_KEY),
-      this.getParameter(SSM_PARAMS.FIREBLOCKS_API_SECRET),
-      this.getParameter(SSM_PARAMS.FIREBLOCKS_VID_PINGER)
-    ]);
+  async getAllParameters(backend) {
+    const signerParams = await this.getSignerParameters(backend);
 
     // コントラクトアドレスは環境変数優先、なければ SSM
     let contractAddress = process.env.CA_E2E_MONITOR;
@@ -100,7 +299,7 @@ class ParameterStore {
       }
     }
 
-    return { apiKey, apiSecret, vaultAccountId, contractAddress };
+    return { ...signerParams, contractAddress };
   }
 }
 
@@ -110,19 +309,26 @@ class ParameterStore {
 class BlockchainService {
   /**
    * @param {Object} params - 初期化パラメータ
-   * @param {string} params.apiKey - Fireblocks API Key
-   * @param {string} params.apiSecret - Fireblocks API Secret
-   * @param {string} params.vaultAccountId - Fireblocks Vault ID
+   * @param {string} params.signerBackend - 署名バックエンド（SIGNER_BACKENDS）
+   * @param {Object} params.signerParams - 署名バックエンドの資格情報（ParameterStore.getSignerParameters の結果）
    * @param {string} params.contractAddress - コントラクトアドレス
+   * @param {number} params.chainId - チェーンID
+   * @param {string} params.rpcUrl - 送信に利用するRPCエンドポイントURL
+   * @param {string} params.targetId - ターゲットID（送信前チェックのメトリクス用）
    */
   constructor(params) {
-    this.apiKey = params.apiKey;
-    this.apiSecret = params.apiSecret;
-    this.vaultAccountId = params.vaultAccountId;
+    this.targetId = params.targetId;
+    this.signerBackend = params.signerBackend;
+    this.signerParams = params.signerParams;
     this.contractAddress = params.contractAddress;
+    this.chainId = params.chainId;
+    this.rpcUrl = params.rpcUrl;
     this.provider = null;
     this.signer = null;
     this.contract = null;
+    this.nonceManager = null;
+    this.custody = null;
+    this.nonceControl = false;
   }
 
   /**
@@ -132,87 +338,358 @@ class BlockchainService {
   async initialize() {
     console.log('Initializing blockchain connection');
 
-    // 必須パラメータ検証
-    if (!this.apiKey || !this.apiSecret || !this.vaultAccountId) {
-      throw new Error('Missing Fireblocks credentials (apiKey/apiSecret/vaultAccountId)');
-    }
+    // 必須パラメータ検証（署名バックエンドの資格情報は createSigner で検証）
     if (!this.contractAddress) {
-      throw new Error('Missing contract address (CA_E2E_MONITOR or SSM)');
+      throw classifiedError('config', 'Missing contract address (CA_E2E_MONITOR or SSM)');
     }
     if (!ethers.isAddress(this.contractAddress)) {
-      throw new Error(`Invalid contract address: ${this.contractAddress}`);
+      throw classifiedError('config', `Invalid contract address: ${this.contractAddress}`);
     }
 
-    console.log('Fireblocks VaultID:', this.vaultAccountId);
+    console.log('Signer backend:', this.signerBackend);
     console.log('E2eMonitor Contract:', this.contractAddress);
+    console.log('ChainId / RPC:', this.chainId, this.rpcUrl);
 
-    // Fireblocks Web3 Providerの設定
-    const fireblocksProvider = new FireblocksWeb3Provider({
-      privateKey: this.apiSecret,
-      apiKey: this.apiKey,
-      vaultAccountIds: this.vaultAccountId,
-      chainId: CONSTANTS.CHAIN_ID,
-      rpcUrl: CONSTANTS.RPC_URL,
-      logTransactionStatusChanges: true,
+    const { provider, signer, custody, nonceControl } = await createSigner(this.signerBackend, this.signerParams, {
+      chainId: this.chainId,
+      rpcUrl: this.rpcUrl,
     });
+    this.provider = provider;
+    this.signer = signer;
+    this.custody = custody;
+    this.nonceControl = nonceControl;
+    if (!nonceControl && FEE_POLICY.maxReplacements > 0) {
+      // nonce を指定できない署名バックエンドでの「置き換え」は別 nonce の ping（二重送信）になるため行わない
+      console.log('Fee-bump replacement disabled: signer backend does not honor tx nonce');
+    }
+
+    // コントラクトインスタンスを作成
+    this.contract = new ethers.Contract(this.contractAddress, E2E_MONITOR_ABI, this.signer);
+    const senderAddress = await this.signer.getAddress();
 
-    // ethers.jsとの連携
-    this.provider = new ethers.BrowserProvider(fireblocksProvider);
-    // 接続性・チェーンIDの整合性チェック
+    // 送信前チェック（チェーン ID・SENDER_ROLE・estimateGas・残高）。失敗は再試行しないエラーとして throw
     try {
-      const chainIdHex = await this.provider.send('eth_chainId', []);
-      const chainId = typeof chainIdHex === 'string' ? parseInt(chainIdHex, 16) : Number(chainIdHex);
-      if (Number.isFinite(chainId)) {
-        console.log('Connected chainId:', chainId);
-        if (chainId !== CONSTANTS.CHAIN_ID) {
-          console.warn(`ChainId mismatch. expected=${CONSTANTS.CHAIN_ID}, actual=${chainId}`);
-        }
+      const preflight = await runPreflight({
+        provider: this.provider,
+        contract: this.contract,
+        senderAddress,
+        chainId: this.chainId,
+        maxFeeCapWei: FEE_POLICY.maxFeeCapWei,
+      }, PREFLIGHT_POLICY);
+      console.log('Preflight passed:', PREFLIGHT_POLICY.checks.join(',') || '(disabled)', preflight);
+    } catch (e) {
+      if (e && e.preflight) {
+        console.error('Preflight failed:', e.name, e.message, e.preflight);
+        emitPreflightMetric(e.name, this.targetId);
       }
+      throw e;
+    }
+
+    // バッチ内の送信は同じ nonce 管理を共有（pending から払い出し）
+    this.nonceManager = new NonceManager(this.provider, senderAddress);
+  }
+
+  /**
+   * 直近ブロックの baseFee とノード推奨チップ（eth_maxPriorityFeePerGas 非対応なら getFeeData）
+   * @returns {Promise<{ baseFeePerGas: bigint|null, suggestedPriorityFeeWei: bigint|null }>}
+   */
+  async getFeeMarket() {
+    const block = await this.provider.getBlock('latest');
+    let suggestedPriorityFeeWei = null;
+    try {
+      suggestedPriorityFeeWei = BigInt(await this.provider.send('eth_maxPriorityFeePerGas', []));
     } catch (e) {
-      console.warn('Could not verify chain id via eth_chainId:', e && e.message ? e.message : String(e));
+      const feeData = await this.provider.getFeeData();
+      suggestedPriorityFeeWei = feeData.maxPriorityFeePerGas;
     }
+    return { baseFeePerGas: block ? block.baseFeePerGas : null, suggestedPriorityFeeWei };
+  }
 
-    this.signer = await this.provider.getSigner();
+  /**
+   * いずれかの tx が採掘されるまで待つ（untilMs で打ち切り）
+   * @returns {Promise<{ hash: string, receipt: Object }|null>}
+   */
+  async waitForAnyReceipt(hashes, untilMs) {
+    for (;;) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) return { hash, receipt };
+      }
+      const remaining = untilMs - Date.now();
+      if (remaining <= 0) return null;
+      await sleep(Math.min(CONSTANTS.RECEIPT_POLL_INTERVAL_MS, remaining));
+    }
+  }
 
-    // コントラクトインスタンスを作成
-    this.contract = new ethers.Contract(this.contractAddress, E2E_MONITOR_ABI, this.signer);
+  /**
+   * 採掘ブロックの時刻（取得できなければ null）
+   */
+  async getBlockTimestampMs(blockNumber) {
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      return block ? block.timestamp * 1000 : null;
+    } catch (e) {
+      console.warn('Block timestamp fetch failed:', e && e.message ? e.message : String(e));
+      return null;
+    }
+  }
+
+  /**
+   * 打ち切り時点の状態を判定: 送信済み tx がまだ mempool にあれば pending、
+   * nonce が別 tx で消費された / どの tx もノードに無ければ dropped
+   */
+  async classifyUnmined(senderAddress, txNonce, hashes) {
+    const latestNonce = await this.provider.getTransactionCount(senderAddress, 'latest');
+    if (latestNonce > txNonce) return 'dropped';
+    for (const hash of hashes) {
+      if (await this.provider.getTransaction(hash)) return 'pending';
+    }
+    return 'dropped';
+  }
+
+  /**
+   * 以前の試行で送信済みの tx（ノードが認識しているもの）を探す
+   * @param {string[]} hashes - レコードの txHash / submittedTxHashes
+   * @returns {Promise<ethers.TransactionResponse|null>}
+   */
+  async findExistingTx(hashes) {
+    for (const hash of hashes) {
+      const tx = await this.provider.getTransaction(hash);
+      if (tx) return tx;
+    }
+    return null;
+  }
+
+  /**
+   * tx の呼び出しデータから ping の nonce 引数を取り出す（ping 以外・デコード不可なら null）
+   * @param {ethers.TransactionResponse} tx
+   * @returns {number|null}
+   */
+  pingNonceOf(tx) {
+    try {
+      const parsed = this.contract.interface.parseTransaction({ data: tx.data });
+      return parsed && parsed.name === 'ping' ? Number(parsed.args[3]) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * ping を送信（nonce は pending から払い出し、tx の nonce と ping の nonce 引数に同じ値を使う）
+   * nonce を指定できない署名バックエンド（Fireblocks）では tx の nonce は署名側が割り当てるため、
+   * ping の nonce 引数は予定値となり一致しない場合がある（sendPing の結果の nonceMismatch）
+   * nonce too low / already known は送信済み tx の照会 → nonce の取り直しで1回だけ再送する
+   * @returns {Promise<{ tx: ethers.TransactionResponse, nonceConflicts: number, reconciled?: boolean }>}
+   */
+  async submitPing(params, fees, previousTxHashes) {
+    const { correlationIdHex32, tagHex32 } = params;
+    let nonceConflicts = 0;
+    for (;;) {
+      const nonce = await this.nonceManager.next();
+      const clientTimestamp = Math.floor(Date.now() / 1000);
+      try {
+        const tx = await this.contract.ping(correlationIdHex32, tagHex32, clientTimestamp, nonce, {
+          nonce,
+          maxFeePerGas: fees.maxFeePerGas,
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        });
+        if (tx.nonce !== undefined && tx.nonce !== null && tx.nonce !== nonce) {
+          // 署名側（Fireblocks 等）が nonce を振り直した: イベントの nonce 引数と tx の nonce が一致しない
+          // （sendPing の結果の nonceMismatch としてメトリクス・レコードに残す）。以降の払い出しは取り直す
+          console.warn('Signer assigned a different nonce:', { planned: nonce, actual: tx.nonce, hash: tx.hash });
+          await this.nonceManager.resync();
+        }
+        return { tx, nonceConflicts };
+      } catch (e) {
+        const kind = classifyNonceError(e);
+        if (!kind) {
+          // ブロードキャスト前の失敗は nonce を戻す
+          this.nonceManager.release(nonce);
+          throw e;
+        }
+        nonceConflicts++;
+        console.warn('Nonce conflict on send:', { kind, nonce, error: (e && e.shortMessage) || (e && e.message) });
+        // 同じ ping が既に送信済み（並行実行・再試行）ならその tx を採用
+        const existing = await this.findExistingTx(previousTxHashes);
+        if (existing) return { tx: existing, nonceConflicts, reconciled: true };
+        if (nonceConflicts > 1 || kind === 'replacementUnderpriced') throw e;
+        await this.nonceManager.resync();
+      }
+    }
   }
 
   /**
    * E2eMonitor.ping を送信
+   * 手数料は FEE_POLICY の上限内で決め、TX_REPLACE_AFTER_SEC ごとに同一 nonce・引き上げた手数料で置き換える
+   * （nonce を指定できる署名バックエンドのみ。Fireblocks では置き換えずに採掘を待つ）。
+   * 採掘待ちは deadlineMs で打ち切る。
+   * 以前の試行（SQS 再試行）で送信済みの tx がノードにあれば、再送せずにその tx を待つ（二重送信防止）。
    * @param {Object} params - 送信パラメータ
    * @param {string} params.correlationIdHex32 - 0x + 64桁の bytes32
    * @param {string} params.tagHex32 - 0x + 64桁の bytes32
+   * @param {string[]} [params.previousTxHashes] - レコードに記録済みの送信 tx（ResultRecorder.findSubmittedTxHashes）
+   * @param {number} deadlineMs - 採掘待ちの打ち切り時刻（epoch ms）
+   * @param {Function} [onBroadcast] - tx を送信するたび（置き換え含む）に hash を渡して呼ぶ（送信済み tx の記録用）
    * @returns {Promise<Object>} - トランザクション結果
+   *   outcome: 'mined'（初回 tx が採掘）| 'replaced'（置き換え tx が採掘）| 'pending'（打ち切り時点で未採掘）
+   *   dropped（どの tx も採掘されずに消えた）は outcome 付きのエラーとして throw
+   *   nonce: tx の nonce（チェーン上で実際に使われた値）、pingNonce: ping の nonce 引数（イベントの nonce）、
+   *   nonceMismatch: 両者が一致しない（Fireblocks が nonce を割り当てた）、reconciled: 送信済み tx を採用した
+   *   broadcastAtMs: 採掘された（未採掘なら初回の）tx の送信が完了した時刻（以降がチェーン側の所要時間）
+   *   custody: Fireblocks トランザクションのライフサイクル（fireblocks のみ。custody-lifecycle.js）、
+   *   custodyLatencyMs: 採掘された（未採掘なら初回の）tx の Fireblocks 側の所要時間
    */
-  async sendPing(params) {
+  async sendPing(params, deadlineMs, onBroadcast = async () => {}) {
     const { correlationIdHex32, tagHex32 } = params;
+    const previousTxHashes = params.previousTxHashes || [];
 
     console.log(JSON.stringify({ message: 'Sending E2eMonitor.ping', correlationIdHex32, tagHex32 }, null, 2));
 
+    // txHashes: 採掘を待つ tx（採用した送信済み tx を含む）、sentTxHashes: この実行で送信した tx
+    const txHashes = [];
+    const sentTxHashes = [];
+    // tx ごとの送信完了時刻（カストディ側の処理が終わりチェーンへ渡った時刻）
+    const broadcastAtMs = {};
+    // 送信前チェック等で記録されたものを除き、この ping の Fireblocks トランザクションだけを集める
+    if (this.custody) this.custody.take();
     try {
       const senderAddress = await this.signer.getAddress();
-      const nonce = await this.provider.getTransactionCount(senderAddress);
-      const clientTimestamp = Math.floor(Date.now() / 1000);
 
-      // トランザクションを送信
-      const tx = await this.contract.ping(correlationIdHex32, tagHex32, clientTimestamp, nonce);
-      console.log('Transaction hash:', tx.hash);
+      let fees = initialFees(await this.getFeeMarket(), FEE_POLICY);
+      if (fees.capped) {
+        console.warn('Fee capped by TX_MAX_FEE_GWEI (base fee spike):', fees.maxFeePerGas.toString());
+      }
 
-      // トランザクション完了を待機
-      const receipt = await tx.wait();
-      console.log('Transaction completed! Block number:', receipt.blockNumber);
+      // トランザクションを送信（送信済みの tx があれば採用）
+      const sentAtMs = Date.now();
+      let tx = await this.findExistingTx(previousTxHashes);
+      let reconciled = !!tx;
+      let nonceConflicts = 0;
+      if (tx) {
+        console.log('Reusing previously submitted transaction:', tx.hash, 'nonce:', tx.nonce);
+        if (tx.maxFeePerGas && tx.maxPriorityFeePerGas) {
+          fees = { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+        }
+      } else {
+        const submitted = await this.submitPing(params, fees, previousTxHashes);
+        tx = submitted.tx;
+        nonceConflicts = submitted.nonceConflicts;
+        reconciled = !!submitted.reconciled;
+        if (!reconciled) {
+          broadcastAtMs[tx.hash] = Date.now();
+          sentTxHashes.push(tx.hash);
+          await onBroadcast(tx.hash);
+        }
+      }
+      txHashes.push(tx.hash);
+      // 採用した場合は以前の試行の置き換え tx も採掘を待つ
+      if (reconciled) txHashes.push(...previousTxHashes.filter((h) => h !== tx.hash));
+      const pingNonce = this.pingNonceOf(tx);
+      console.log('Transaction hash:', tx.hash, 'nonce:', tx.nonce, 'ping nonce:', pingNonce);
+
+      // 採掘待ち（一定時間で採掘されなければ同じ呼び出しを同一 nonce・引き上げた手数料で置き換え）
+      let mined = null;
+      let replacements = 0;
+      for (;;) {
+        const canReplace = this.nonceControl && replacements < FEE_POLICY.maxReplacements;
+        const untilMs = canReplace ? Math.min(Date.now() + FEE_POLICY.replaceAfterMs, deadlineMs) : deadlineMs;
+        mined = await this.waitForAnyReceipt(txHashes, untilMs);
+        if (mined || Date.now() >= deadlineMs || !canReplace) break;
+
+        const bumped = bumpFees(fees, FEE_POLICY);
+        if (!bumped) {
+          console.warn('Fee cap reached, waiting without further replacement');
+          mined = await this.waitForAnyReceipt(txHashes, deadlineMs);
+          break;
+        }
+        try {
+          // 置き換えは元の tx と同じ呼び出しデータ（ping の引数・nonce 引数も同じ）
+          const replacement = await this.signer.sendTransaction({
+            to: tx.to,
+            data: tx.data,
+            nonce: tx.nonce,
+            maxFeePerGas: bumped.maxFeePerGas,
+            maxPriorityFeePerGas: bumped.maxPriorityFeePerGas,
+          });
+          broadcastAtMs[replacement.hash] = Date.now();
+          fees = bumped;
+          replacements++;
+          txHashes.push(replacement.hash);
+          sentTxHashes.push(replacement.hash);
+          await onBroadcast(replacement.hash);
+          console.log('Replacement sent:', replacement.hash, 'maxFeePerGas:', bumped.maxFeePerGas.toString());
+        } catch (e) {
+          // 直前の tx が採掘済み（nonce too low）等。以降は置き換えずに待つ
+          console.warn('Replacement failed:', (e && e.shortMessage) || (e && e.message) || String(e));
+          mined = await this.waitForAnyReceipt(txHashes, deadlineMs);
+          break;
+        }
+      }
 
-      return {
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber
+      const result = {
+        transactionHash: mined ? mined.hash : txHashes[txHashes.length - 1],
+        blockNumber: mined ? mined.receipt.blockNumber : null,
+        txHashes,
+        sentTxHashes,
+        nonce: tx.nonce,
+        pingNonce,
+        nonceMismatch: pingNonce !== null && pingNonce !== tx.nonce,
+        reconciled,
+        nonceConflicts,
+        replacements,
+        maxFeePerGasWei: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGasWei: fees.maxPriorityFeePerGas.toString(),
+        submittedAtMs: sentAtMs,
+        broadcastAtMs: broadcastAtMs[mined ? mined.hash : tx.hash],
+        waitMs: Date.now() - sentAtMs,
+        ...this.takeCustody(mined ? mined.hash : tx.hash),
       };
+      if (mined) {
+        result.outcome = mined.hash === tx.hash ? 'mined' : 'replaced';
+        result.gasUsed = Number(mined.receipt.gasUsed);
+        result.effectiveGasPriceWei = mined.receipt.gasPrice !== undefined && mined.receipt.gasPrice !== null
+          ? mined.receipt.gasPrice.toString()
+          : undefined;
+        result.minedAtMs = await this.getBlockTimestampMs(mined.receipt.blockNumber);
+        console.log('Transaction completed! Block number:', mined.receipt.blockNumber, 'outcome:', result.outcome);
+        return result;
+      }
+
+      result.outcome = await this.classifyUnmined(senderAddress, tx.nonce, txHashes);
+      if (result.outcome === 'pending') {
+        // 後で採掘されうるため再送しない（再送すると二重送信になる）
+        console.warn('Transaction still pending at deadline:', txHashes);
+        return result;
+      }
+      const dropped = new Error(`Transaction dropped (nonce ${tx.nonce}): ${txHashes.join(', ')}`);
+      dropped.txResult = result;
+      throw dropped;
     } catch (err) {
-      // ethers v6 エラー整形
+      if (err && err.txResult) throw err;
+      // ethers v6 エラー整形（分類用に元のエラーを cause に残す）
       const message = (err && err.shortMessage) || (err && err.message) || String(err);
-      throw new Error(message);
+      const wrapped = new Error(message, { cause: err });
+      if (sentTxHashes.length > 0) wrapped.txHashes = sentTxHashes;
+      // Fireblocks で拒否・失敗した場合もライフサイクルを残す
+      Object.assign(wrapped, this.takeCustody());
+      throw wrapped;
     }
   }
+
+  /**
+   * この ping の Fireblocks トランザクションのライフサイクルを取り出す
+   * @param {string} [txHash] - 所要時間の対象とする tx（省略時・該当なしは最初のトランザクション）
+   * @returns {{ custody?: Array<Object>, custodyLatencyMs?: number }}
+   */
+  takeCustody(txHash) {
+    const custody = this.custody ? this.custody.take() : [];
+    if (custody.length === 0) return {};
+    const primary = custody.find((c) => txHash && c.txHash && c.txHash.toLowerCase() === txHash.toLowerCase()) || custody[0];
+    return {
+      custody,
+      ...(Number.isFinite(primary.latencyMs) ? { custodyLatencyMs: primary.latencyMs } : {}),
+    };
+  }
 }
 
 /**
@@ -234,6 +711,10 @@ class MessageValidator {
       }
 
       const correlationIdHex32 = typeof messageBody.correlationIdHex32 === 'string' ? messageBody.correlationIdHex32 : '';
+      // 結果テーブルのキー（旧メッセージには無い。その場合は correlationIdHex32 で逆引き）
+      const correlationId = typeof messageBody.correlationId === 'string' && messageBody.correlationId
+        ? messageBody.correlationId
+        : undefined;
       const tagHex32 = typeof messageBody.tagHex32 === 'string' ? messageBody.tagHex32 : '';
 
       if (!correlationIdHex32 || !/^0x[0-9a-fA-F]{64}$/.test(correlationIdHex32)) {
@@ -242,11 +723,16 @@ class MessageValidator {
       if (!tagHex32 || !/^0x[0-9a-fA-F]{64}$/.test(tagHex32)) {
         return { success: false, error: 'Invalid tagHex32 (must be 0x + 64 hex chars)' };
       }
+      // targetId 未指定（旧メッセージ）は既定ターゲット
+      const target = getTarget(TARGETS, messageBody.targetId);
+      if (!target) {
+        return { success: false, error: `Unknown targetId: ${messageBody.targetId}` };
+      }
 
       return {
         success: true,
         error: null,
-        params: { correlationIdHex32, tagHex32 }
+        params: { correlationId, correlationIdHex32, tagHex32, targetId: target.id }
       };
     } catch (error) {
       return {
@@ -255,59 +741,6 @@ class MessageValidator {
       };
     }
   }
-
-  /**
-   * エラータイプを判定する
-   * @param {string} errorMessage - エラーメッセージ
-   * @returns {string} - エラータイプ
-   */
-  static determineErrorType(errorMessage) {
-    // Fireblocksやブロックチェーン関連のエラーパターン
-    const transactionErrorPatterns = [
-      'nonce',
-      'gas',
-      'underpriced',
-      'timeout',
-      'rejected',
-      'reverted',
-      'dropped',
-      'fireblocks',
-      'network',
-      'connection',
-      'rpc',
-      'rate limit',
-      'exceeded'
-    ];
-
-    // トランザクションエラーかどうかを判定
-    const isTransactionError = transactionErrorPatterns.some(pattern =>
-      errorMessage.toLowerCase().includes(pattern.toLowerCase())
-    );
-
-    // エラータイプを判定
-    if (errorMessage.startsWith('Validation error:') ||
-      errorMessage.includes('required parameter:') ||
-      errorMessage.includes('must be an') ||
-      errorMessage.includes('Invalid hash length')) {
-      return CONSTANTS.ERROR_TYPES.VALIDATION;
-    } else if (isTransactionError) {
-      return CONSTANTS.ERROR_TYPES.TRANSACTION;
-    } else {
-      return CONSTANTS.ERROR_TYPES.SYSTEM;
-    }
-  }
-
-  /**
-   * エラータイプに基づいて再処理が必要かどうかを判定
-   * @param {string} errorType - エラータイプ
-   * @returns {boolean} - 再処理が必要な場合true
-   */
-  static shouldRetry(errorType) {
-    // トランザクションエラーとシステムエラーは再処理
-    return errorType === CONSTANTS.ERROR_TYPES.TRANSACTION ||
-      errorType === CONSTANTS.ERROR_TYPES.SYSTEM;
-    // バリデーションエラーは再処理しない
-  }
 }
 
 /**
@@ -321,28 +754,48 @@ class ProcessingTracker {
     this.stats = {
       total: totalMessages,
       success: 0,
-      validationErrors: 0,
-      transactionErrors: 0,
-      systemErrors: 0
+      pending: 0,
+      retried: 0,
+      discarded: 0,
+      // 分類（error-taxonomy.js の errorClass）ごとの件数
+      errors: {}
     };
   }
 
   /**
-   * 処理成功を記録
+   * 処理成功を記録（打ち切り時点で未採掘の pending も送信済みとして扱う）
    * @param {string} messageId - メッセージID
    * @param {Object} txResult - トランザクション結果
    */
   recordSuccess(messageId, txResult) {
-    this.stats.success++;
+    const pending = txResult.outcome === 'pending';
+    if (pending) {
+      this.stats.pending++;
+    } else {
+      this.stats.success++;
+    }
 
     this.results.push({
       messageId,
-      status: 'success',
+      status: pending ? 'pending' : 'success',
+      targetId: txResult.targetId,
+      outcome: txResult.outcome,
       transactionHash: txResult.transactionHash,
-      blockNumber: txResult.blockNumber
+      blockNumber: txResult.blockNumber,
+      nonce: txResult.nonce,
+      pingNonce: txResult.pingNonce,
+      nonceMismatch: txResult.nonceMismatch,
+      reconciled: txResult.reconciled,
+      txHashes: txResult.txHashes,
+      replacements: txResult.replacements,
+      maxFeePerGasWei: txResult.maxFeePerGasWei,
+      maxPriorityFeePerGasWei: txResult.maxPriorityFeePerGasWei,
+      broadcastAtMs: txResult.broadcastAtMs,
+      custodyLatencyMs: txResult.custodyLatencyMs,
+      custody: txResult.custody
     });
 
-    // 成功したメッセージは処理完了としてマーク（再処理しない）
+    // 送信済みのメッセージは処理完了としてマーク（再処理しない。pending を再送すると二重送信になる）
     this.processedMessageIds.add(messageId);
   }
 
@@ -350,30 +803,32 @@ class ProcessingTracker {
    * エラーを記録
    * @param {string} messageId - メッセージID
    * @param {string} errorMessage - エラーメッセージ
+   * @param {Object} classification - 分類（error-taxonomy.js の classifyError / makeClassification の結果）
    * @param {string} prefix - エラーメッセージのプレフィックス（オプション）
+   * @param {Object} extra - 結果に含める追加情報（outcome / txHashes 等。オプション）
    */
-  recordError(messageId, errorMessage, prefix = '') {
+  recordError(messageId, errorMessage, classification, prefix = '', extra = {}) {
     const fullErrorMessage = prefix ? `${prefix}: ${errorMessage}` : errorMessage;
-    const errorType = MessageValidator.determineErrorType(fullErrorMessage);
-    const willRetry = MessageValidator.shouldRetry(errorType);
+    const { errorClass, retryable: willRetry, detail } = classification;
 
-    // エラータイプごとのカウントを更新
-    if (errorType === CONSTANTS.ERROR_TYPES.VALIDATION) {
-      this.stats.validationErrors++;
-      // バリデーションエラーは処理済みとマーク（再処理しない）
-      this.processedMessageIds.add(messageId);
-    } else if (errorType === CONSTANTS.ERROR_TYPES.TRANSACTION) {
-      this.stats.transactionErrors++;
+    // 分類ごとのカウントを更新
+    this.stats.errors[errorClass] = (this.stats.errors[errorClass] || 0) + 1;
+    if (willRetry) {
+      this.stats.retried++;
     } else {
-      this.stats.systemErrors++;
+      this.stats.discarded++;
+      // 再試行しない分類は処理済みとマーク（再処理しても同じ結果になる）
+      this.processedMessageIds.add(messageId);
     }
 
     this.results.push({
       messageId,
       status: 'error',
-      errorType,
+      errorClass,
+      errorDetail: detail,
       error: fullErrorMessage,
-      willRetry
+      willRetry,
+      ...extra
     });
 
     // 再処理が必要なエラーの場合のみ失敗リストに追加
@@ -385,10 +840,10 @@ class ProcessingTracker {
   }
 
   /**
-   * 処理統計とログを出力
+   * 処理統計をメトリクスとして出力し、再処理対象をログ出力
    */
   logResults() {
-    console.log('Processing stats:', this.stats);
+    emitProcessingMetrics(this.stats);
     console.log('Processed message IDs (will not be retried):', Array.from(this.processedMessageIds));
     console.log('Failed messages that will be retried:', this.batchItemFailures.length);
   }
@@ -409,16 +864,16 @@ class ProcessingTracker {
 
   /**
    * 全体エラー時のレスポンスを生成
-   * @param {string} errorMessage - エラーメッセージ
+   * @param {Error} error - エラー
    * @param {Array} allMessageIds - すべてのメッセージID配列
    * @returns {Object} - SQSバッチ応答形式のレスポンス
    */
-  generateErrorResponse(errorMessage, allMessageIds) {
-    const errorType = MessageValidator.determineErrorType(errorMessage);
+  generateErrorResponse(error, allMessageIds) {
+    const classification = classifyError(error);
     let batchItemFailures = [];
 
-    // バリデーションエラー以外の場合、未処理のメッセージのみを再処理
-    if (MessageValidator.shouldRetry(errorType)) {
+    // 再試行する分類の場合、未処理のメッセージのみを再処理
+    if (classification.retryable) {
       batchItemFailures = allMessageIds
         .filter(messageId => !this.processedMessageIds.has(messageId))
         .map(messageId => ({
@@ -426,13 +881,13 @@ class ProcessingTracker {
         }));
     }
 
-    console.log('Global error type:', errorType);
+    console.log('Global error class:', classification.errorClass, classification.detail || '');
     console.log('Global error - messages to be retried:', batchItemFailures.length);
 
     return {
       batchItemFailures,
-      error: errorMessage,
-      errorType
+      error: error && error.message ? error.message : String(error),
+      errorClass: classification.errorClass
     };
   }
 }
@@ -440,7 +895,7 @@ class ProcessingTracker {
 /**
  * Lambda関数のメインハンドラー
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
   // 処理追跡インスタンスを作成
   const tracker = new ProcessingTracker((event.Records || []).length);
 
@@ -458,11 +913,31 @@ exports.handler = async (event) => {
 
     // SSMから設定パラメータを取得
     const paramStore = new ParameterStore();
-    const params = await paramStore.getAllParameters();
-
-    // ブロックチェーンサービスを初期化
-    const blockchainService = new BlockchainService(params);
-    await blockchainService.initialize();
+    const params = await paramStore.getAllParameters(SIGNER_BACKEND);
+    const { contractAddress, ...signerParams } = params;
+    const resultRecorder = new ResultRecorder(process.env.RESULTS_TABLE);
+
+    // ブロックチェーンサービスはターゲットごとに初期化（ターゲットの設定を既定値より優先）
+    const services = new Map();
+    const getBlockchainService = async (targetId) => {
+      if (!services.has(targetId)) {
+        const target = getTarget(TARGETS, targetId);
+        const service = new BlockchainService({
+          signerBackend: SIGNER_BACKEND,
+          // vaultId は fireblocks のみ（他のバックエンドでは無視）
+          signerParams: SIGNER_BACKEND === SIGNER_BACKENDS.FIREBLOCKS
+            ? { ...signerParams, vaultAccountId: target.vaultId || signerParams.vaultAccountId }
+            : signerParams,
+          contractAddress: target.contractAddress || contractAddress,
+          chainId: Number.isFinite(target.chainId) ? target.chainId : CONSTANTS.CHAIN_ID,
+          rpcUrl: target.rpcUrl || CONSTANTS.RPC_URL,
+          targetId,
+        });
+        await service.initialize();
+        services.set(targetId, service);
+      }
+      return services.get(targetId);
+    };
 
     // 各メッセージを処理
     for (const message of sqsMessages) {
@@ -475,22 +950,44 @@ exports.handler = async (event) => {
         const validation = MessageValidator.validateMessage(messageBody);
         if (!validation.success) {
           console.error('Validation error:', validation.error, messageBody);
-          tracker.recordError(message.messageId, validation.error, 'Validation error');
+          tracker.recordError(message.messageId, validation.error, makeClassification('validation'), 'Validation error');
           continue;
         }
 
+        const { targetId } = validation.params;
         try {
-          // E2eMonitor.ping を送信
-          const txResult = await blockchainService.sendPing(validation.params);
-          tracker.recordSuccess(message.messageId, txResult);
+          // E2eMonitor.ping を送信（採掘待ちは TX_WAIT_DEADLINE_SEC と Lambda の残り時間で打ち切る）
+          const blockchainService = await getBlockchainService(targetId);
+          const remainingMs = context && typeof context.getRemainingTimeInMillis === 'function'
+            ? context.getRemainingTimeInMillis() - CONSTANTS.LAMBDA_SAFETY_MARGIN_MS
+            : Infinity;
+          const deadlineMs = Date.now() + Math.min(FEE_POLICY.waitDeadlineMs, remainingMs);
+          // 以前の試行で送信済みの tx（SQS 再試行・並行実行）。ノードにあれば再送せずに採用する
+          const previousTxHashes = await resultRecorder.findSubmittedTxHashes(validation.params);
+          const txResult = await blockchainService.sendPing({ ...validation.params, previousTxHashes }, deadlineMs,
+            (hash) => resultRecorder.appendSubmittedTxHash(validation.params, hash));
+          emitTxMetrics(txResult, targetId);
+          emitCustodyMetrics(txResult.custody, targetId);
+          await resultRecorder.recordSubmitted(validation.params, txResult);
+          tracker.recordSuccess(message.messageId, { ...txResult, targetId });
         } catch (txError) {
           console.error('Transaction execution error:', txError);
-          tracker.recordError(message.messageId, txError.message, 'Transaction error');
+          if (txError.txResult) emitTxMetrics(txError.txResult, targetId);
+          const custody = txError.txResult ? txError.txResult.custody : txError.custody;
+          emitCustodyMetrics(custody, targetId);
+          const extra = txError.txResult
+            ? { targetId, outcome: txError.txResult.outcome, txHashes: txError.txResult.sentTxHashes }
+            : { targetId, ...(txError.txHashes ? { txHashes: txError.txHashes } : {}) };
+          if (custody) extra.custody = custody;
+          const classification = classifyError(txError);
+          console.warn('Transaction error class:', classification);
+          await resultRecorder.recordFailed(validation.params, `Transaction error: ${txError.message}`, classification, extra);
+          tracker.recordError(message.messageId, txError.message, classification, 'Transaction error', extra);
         }
       } catch (messageError) {
         // メッセージ処理中の予期せぬエラー
         console.error('Message processing error:', messageError.message, 'MessageId:', message.messageId);
-        tracker.recordError(message.messageId, messageError.message, 'Message processing error');
+        tracker.recordError(message.messageId, messageError.message, classifyError(messageError), 'Message processing error');
       }
     }
 
@@ -508,6 +1005,6 @@ exports.handler = async (event) => {
     const allMessageIds = (event.Records || []).map(record => record.messageId);
 
     // エラーレスポンスを生成
-    return tracker.generateErrorResponse(globalError.message, allMessageIds);
+    return tracker.generateErrorResponse(globalError, allMessageIds);
   }
 };
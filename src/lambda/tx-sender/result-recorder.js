@@ -0,0 +1,236 @@
+/**
+ * tx-sender 送信結果の DynamoDB 記録
+ *
+ * 役割: ping の送信結果を結果テーブルのレコード（init-record が作成）に反映する。
+ *       メールが届かなかった実行でも「tx を送信・採掘したか」を区別できるようにする。
+ *
+ * 書き込む属性:
+ *   txStatus: TX_SENT（送信済み。採掘済みなら minedAt* あり）| TX_FAILED（送信失敗）
+ *   txOutcome: sendPing の outcome（mined / replaced / pending / dropped）
+ *   txHash（採掘された tx）/ submittedTxHashes（置き換えを含む送信 tx）/ txNonce（tx の nonce）
+ *   pingNonce（ping の nonce 引数 = イベントの nonce）/ txNonceMismatch（両者の不一致。Fireblocks が nonce を割り当てた場合）
+ *   submittedAt* / minedAt* / blockNumber / gasUsed / effectiveGasPriceWei / txFailedAt*
+ *   txError / txErrorType（error-taxonomy.js の errorClass）/ txErrorDetail / txErrorRetryable（SQS で再試行するか）
+ *   broadcastAt*（送信完了。以降がチェーン側）/ custodyTxs（Fireblocks トランザクションの ID・ステータス遷移）/ custodyLatencyMs
+ * status（メール受信の進捗）は email-ingest / reorg-verifier / Step Functions の判定に使うため変更しない。
+ * submittedTxHashes は送信直後に追記する（採掘待ち中に Lambda が終了しても、再試行時に送信済み tx を照会できるように）。
+ * レコードに別の txHash が既にある場合（SQS 再配信による二重送信等）は結果を書き込まず、
+ * 先の tx の結果と email-ingest の二重送信検出（extraTxHashes）を上書きしない。
+ *
+ * 環境変数（ENV）
+ * - RESULTS_TABLE : 結果テーブル名（未設定時は記録しない）
+ */
+'use strict';
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { decodeCorrelationId } = require('../common/correlation-codec');
+const { makeTimestampFields } = require('../common/timestamps');
+
+/**
+ * Fireblocks トランザクションのライフサイクル（custody-lifecycle.js）の属性
+ * @param {Array<Object>} [custody]
+ * @param {number} [latencyMs] - 採掘された tx のカストディ側の所要時間
+ */
+function custodyFields(custody, latencyMs) {
+  if (!custody || custody.length === 0) return {};
+  return {
+    custodyTxId: custody[0].id,
+    custodyTxs: custody,
+    ...(Number.isFinite(latencyMs) ? { custodyLatencyMs: latencyMs } : {}),
+  };
+}
+
+/**
+ * 送信結果をレコードへ記録するクラス
+ */
+class ResultRecorder {
+  /**
+   * @param {string} tableName - 結果テーブル名
+   */
+  constructor(tableName) {
+    this.tableName = tableName;
+    this.ddb = tableName ? DynamoDBDocumentClient.from(new DynamoDBClient({})) : null;
+  }
+
+  /**
+   * レコードのキー（correlationId）を解決
+   * メッセージに correlationId があればそれを使い、無ければ（旧メッセージ）correlationIdHex32 から復元・GSI_CorrelationIdHex で逆引き
+   * @param {Object} params - MessageValidator.validateMessage の params
+   * @returns {Promise<string|null>}
+   */
+  async resolveCorrelationId(params) {
+    if (params.correlationId) return params.correlationId;
+    // v1 形式の correlationIdHex32 は correlationId を復元できる（旧形式のみ GSI で逆引き）
+    const decoded = decodeCorrelationId(params.correlationIdHex32.toLowerCase());
+    if (decoded && decoded.version === 1) return decoded.correlationId;
+    const res = await this.ddb.send(new QueryCommand({
+      TableName: this.tableName,
+      IndexName: 'GSI_CorrelationIdHex',
+      KeyConditionExpression: 'correlationIdHex = :hex',
+      ExpressionAttributeValues: { ':hex': params.correlationIdHex32.toLowerCase() },
+      ScanIndexForward: false,
+      Limit: 1,
+    }));
+    return res.Items && res.Items[0] ? res.Items[0].correlationId : null;
+  }
+
+  /**
+   * 以前の試行で送信済みの tx（txHash / submittedTxHashes）を取得
+   * 再試行時に同じ ping を二重に送らないために使う。取得できない場合は空配列
+   * @param {Object} params - MessageValidator.validateMessage の params
+   * @returns {Promise<string[]>}
+   */
+  async findSubmittedTxHashes(params) {
+    if (!this.ddb) return [];
+    try {
+      const correlationId = await this.resolveCorrelationId(params);
+      if (!correlationId) return [];
+      const res = await this.ddb.send(new GetCommand({
+        TableName: this.tableName,
+        Key: { correlationId },
+        ProjectionExpression: 'txHash, submittedTxHashes',
+      }));
+      const item = res.Item || {};
+      const hashes = [...(item.submittedTxHashes || []), ...(item.txHash ? [item.txHash] : [])];
+      // 新しい送信を優先して照会
+      return [...new Set(hashes.reverse())];
+    } catch (e) {
+      console.warn('Submitted tx lookup failed:', e && e.message ? e.message : String(e));
+      return [];
+    }
+  }
+
+  /**
+   * 送信した tx をレコードの submittedTxHashes に追記（送信直後に呼ぶ）
+   * @param {Object} params - MessageValidator.validateMessage の params
+   * @param {string} txHash
+   * @returns {Promise<boolean>} 記録できたら true
+   */
+  async appendSubmittedTxHash(params, txHash) {
+    if (!this.ddb) return false;
+    try {
+      const correlationId = await this.resolveCorrelationId(params);
+      if (!correlationId) {
+        console.warn('Result record not found for correlationIdHex32:', params.correlationIdHex32);
+        return false;
+      }
+      await this.ddb.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { correlationId },
+        UpdateExpression: 'SET submittedTxHashes = list_append(if_not_exists(submittedTxHashes, :emptyList), :txHashes)',
+        ConditionExpression: 'attribute_exists(correlationId)',
+        ExpressionAttributeValues: { ':emptyList': [], ':txHashes': [txHash] },
+      }));
+      return true;
+    } catch (e) {
+      console.warn('Submitted tx record failed:', e && e.message ? e.message : String(e));
+      return false;
+    }
+  }
+
+  /**
+   * レコードを更新（記録の失敗で送信済みメッセージを再試行させないよう、エラーはログのみ）
+   * @param {Object} params - MessageValidator.validateMessage の params
+   * @param {Object} fields - SET する属性
+   * @param {string} [txHash] - 採掘された tx（レコードの txHash が未設定か同じ場合のみ更新）
+   * @returns {Promise<boolean>} 記録できたら true
+   */
+  async update(params, fields, txHash) {
+    if (!this.ddb) return false;
+    let correlationId;
+    try {
+      correlationId = await this.resolveCorrelationId(params);
+      if (!correlationId) {
+        console.warn('Result record not found for correlationIdHex32:', params.correlationIdHex32);
+        return false;
+      }
+
+      const names = {};
+      const values = {};
+      const sets = Object.entries(fields)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v], i) => {
+          names[`#f${i}`] = k;
+          values[`:f${i}`] = v;
+          return `#f${i} = :f${i}`;
+        });
+      if (txHash) {
+        sets.push('txHash = :txHash');
+        values[':txHash'] = txHash;
+      }
+
+      await this.ddb.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { correlationId },
+        UpdateExpression: `SET ${sets.join(', ')}`,
+        // init-record が作成したレコードのみ・別の tx で送信/解決済みでない場合のみ更新
+        ConditionExpression: txHash
+          ? 'attribute_exists(correlationId) AND (attribute_not_exists(txHash) OR txHash = :txHash)'
+          : 'attribute_exists(correlationId) AND attribute_not_exists(txHash)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+      }));
+      console.log('Result record updated:', correlationId, fields.txStatus);
+      return true;
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException') {
+        console.warn('Result record already has another txHash (possible double send), skipped:', correlationId, fields.txStatus);
+        return false;
+      }
+      console.warn('Result record update failed:', e && e.message ? e.message : String(e));
+      return false;
+    }
+  }
+
+  /**
+   * 送信成功（採掘済み / 打ち切り時点で未採掘）を記録
+   * @param {Object} params - MessageValidator.validateMessage の params
+   * @param {Object} txResult - BlockchainService.sendPing の結果
+   */
+  async recordSubmitted(params, txResult) {
+    const mined = txResult.outcome !== 'pending';
+    return this.update(params, {
+      txStatus: 'TX_SENT',
+      txOutcome: txResult.outcome,
+      txNonce: txResult.nonce,
+      ...(Number.isInteger(txResult.pingNonce) ? { pingNonce: txResult.pingNonce } : {}),
+      txNonceMismatch: txResult.nonceMismatch === true,
+      ...makeTimestampFields(txResult.submittedAtMs, 'submittedAt'),
+      ...(Number.isFinite(txResult.broadcastAtMs) ? makeTimestampFields(txResult.broadcastAtMs, 'broadcastAt') : {}),
+      ...custodyFields(txResult.custody, txResult.custodyLatencyMs),
+      ...(mined && Number.isFinite(txResult.minedAtMs) ? makeTimestampFields(txResult.minedAtMs, 'minedAt') : {}),
+      ...(mined ? {
+        blockNumber: txResult.blockNumber,
+        gasUsed: txResult.gasUsed,
+        effectiveGasPriceWei: txResult.effectiveGasPriceWei,
+      } : {}),
+      ...makeTimestampFields(Date.now(), 'updatedAt'),
+    }, mined ? txResult.transactionHash : undefined);
+  }
+
+  /**
+   * 送信失敗を記録
+   * @param {Object} params - MessageValidator.validateMessage の params
+   * @param {string} errorMessage
+   * @param {Object} classification - error-taxonomy.js の classifyError の結果
+   * @param {Object} [extra] - outcome（送信後に失敗した場合）/ custody（Fireblocks で拒否・失敗した場合等）
+   */
+  async recordFailed(params, errorMessage, classification, extra = {}) {
+    return this.update(params, {
+      txStatus: 'TX_FAILED',
+      txOutcome: extra.outcome,
+      txError: errorMessage,
+      txErrorType: classification.errorClass,
+      txErrorDetail: classification.detail,
+      txErrorRetryable: classification.retryable,
+      ...custodyFields(extra.custody),
+      ...makeTimestampFields(Date.now(), 'txFailedAt'),
+      ...makeTimestampFields(Date.now(), 'updatedAt'),
+    });
+  }
+}
+
+module.exports = {
+  ResultRecorder,
+};
@@ -0,0 +1,102 @@
+/**
+ * tx-sender 署名バックエンド
+ *
+ * 役割: SIGNER_BACKEND の設定に応じて ethers の provider / signer を構築する。
+ *
+ * バックエンド（SIGNER_BACKEND）
+ * - fireblocks（既定）: FireblocksWeb3Provider 経由で署名（SSM: fireblocks/api_key, secret_key, vault_id）
+ * - private-key      : 秘密鍵で署名し RPC_URL へ送信（SSM: signer/private_key。dev/stg 向け）
+ * - json-rpc         : ノードのアンロック済みアカウントで署名（Hardhat 等のローカルノード向け。SSM 不要）
+ *                      SIGNER_ADDRESS 指定時はそのアカウント、未指定時はノードの先頭アカウント
+ */
+'use strict';
+
+const { FireblocksWeb3Provider } = require('@fireblocks/fireblocks-web3-provider');
+const { ethers } = require('ethers');
+const { classifiedError } = require('./error-taxonomy');
+const { CustodyLifecycle } = require('./custody-lifecycle');
+
+const SIGNER_BACKENDS = {
+  FIREBLOCKS: 'fireblocks',
+  PRIVATE_KEY: 'private-key',
+  JSON_RPC: 'json-rpc',
+};
+
+/**
+ * 環境変数から署名バックエンドを決定
+ * @returns {string} SIGNER_BACKENDS のいずれか
+ */
+function resolveSignerBackend(env = process.env) {
+  const backend = String(env.SIGNER_BACKEND || SIGNER_BACKENDS.FIREBLOCKS).trim().toLowerCase();
+  if (!Object.values(SIGNER_BACKENDS).includes(backend)) {
+    throw new Error(`Unknown SIGNER_BACKEND: ${env.SIGNER_BACKEND}`);
+  }
+  return backend;
+}
+
+/**
+ * バックエンドごとの必須パラメータ検証
+ * @param {string} backend
+ * @param {Object} params - ParameterStore.getAllParameters() の結果（ターゲット設定で上書き済み）
+ */
+function assertSignerParams(backend, params) {
+  if (backend === SIGNER_BACKENDS.FIREBLOCKS) {
+    if (!params.apiKey || !params.apiSecret || !params.vaultAccountId) {
+      throw classifiedError('config', 'Missing Fireblocks credentials (apiKey/apiSecret/vaultAccountId)');
+    }
+  } else if (backend === SIGNER_BACKENDS.PRIVATE_KEY) {
+    if (!params.privateKey) {
+      throw classifiedError('config', 'Missing signer private key (SSM signer/private_key)');
+    }
+  }
+}
+
+/**
+ * provider / signer を構築
+ * @param {string} backend
+ * @param {Object} params - 資格情報（apiKey / apiSecret / vaultAccountId / privateKey / signerAddress）
+ * @param {{ chainId: number, rpcUrl: string }} network
+ * @returns {Promise<{ provider: ethers.Provider, signer: ethers.Signer, custody: CustodyLifecycle|null, nonceControl: boolean }>}
+ *   custody: Fireblocks トランザクションのライフサイクル記録（fireblocks のみ）
+ *   nonceControl: tx の nonce を指定できるか。FireblocksWeb3Provider は nonce を Fireblocks へ渡さず
+ *                 Fireblocks が割り当てるため false（同一 nonce の置き換えができない）
+ */
+async function createSigner(backend, params, network) {
+  assertSignerParams(backend, params);
+
+  if (backend === SIGNER_BACKENDS.FIREBLOCKS) {
+    console.log('Fireblocks VaultID:', params.vaultAccountId);
+    // Fireblocks Web3 Providerの設定
+    const fireblocksProvider = new FireblocksWeb3Provider({
+      privateKey: params.apiSecret,
+      apiKey: params.apiKey,
+      vaultAccountIds: params.vaultAccountId,
+      chainId: network.chainId,
+      rpcUrl: network.rpcUrl,
+      logTransactionStatusChanges: true,
+    });
+    // Fireblocks トランザクション ID・ステータス遷移を記録
+    const custody = new CustodyLifecycle().attach(fireblocksProvider.fireblocksApiClient);
+    // ethers.jsとの連携
+    const provider = new ethers.BrowserProvider(fireblocksProvider);
+    return { provider, signer: await provider.getSigner(), custody, nonceControl: false };
+  }
+
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+  if (backend === SIGNER_BACKENDS.PRIVATE_KEY) {
+    const signer = new ethers.Wallet(params.privateKey, provider);
+    console.log('Private key signer:', signer.address);
+    return { provider, signer, custody: null, nonceControl: true };
+  }
+
+  // json-rpc: ノード側で署名（eth_sendTransaction）
+  const signer = await provider.getSigner(params.signerAddress || 0);
+  console.log('JSON-RPC signer:', await signer.getAddress());
+  return { provider, signer, custody: null, nonceControl: true };
+}
+
+module.exports = {
+  SIGNER_BACKENDS,
+  resolveSignerBackend,
+  createSigner,
+};